@@ -18,6 +18,8 @@ const { ModelManager, Factory, Serializer } = require('@accordproject/concerto-c
 
 const CommonMarkTransformer = require('@accordproject/markdown-common').CommonMarkTransformer;
 const { CommonMarkModel } = require('@accordproject/markdown-common').CommonMarkModel;
+const domDiff = require('@accordproject/markdown-common').diff;
+const domMerge = require('@accordproject/markdown-common').merge;
 
 const FromCommonMarkVisitor = require('./FromCommonMarkVisitor');
 const FromCiceroEditVisitor = require('./FromCiceroEditVisitor');
@@ -35,7 +37,7 @@ const UntypeVisitor = require('./UntypeVisitor');
 class CiceroMarkTransformer {
     /**
      * Construct the parser.
-     * @param {object} [options] configuration options
+     * @param {object} [options] configuration options, as for CommonMarkTransformer
      */
     constructor(options) {
         this.options = options ? options : {};
@@ -46,6 +48,7 @@ class CiceroMarkTransformer {
         this.modelManager = new ModelManager();
         this.modelManager.addModelFile(CommonMarkModel, 'commonmark.cto');
         this.modelManager.addModelFile(CiceroMarkModel, 'ciceromark.cto');
+        this.commonMark.extensions.filter(extension => extension.model).forEach(extension => this.modelManager.addModelFile(extension.model));
         const factory = new Factory(this.modelManager);
         this.serializer = new Serializer(factory, this.modelManager);
     }
@@ -107,11 +110,12 @@ class CiceroMarkTransformer {
      * Converts a CiceroMark DOM to a markdown string
      * @param {*} input CiceroMark DOM
      * @param {object} [options] configuration options
+     * @param {object} [options.style] the markdown style, as for CommonMarkTransformer.toMarkdown
      * @returns {*} markdown string
      */
     toMarkdown(input, options) {
         const commonMarkDom = this.toCommonMark(input, 'json', options);
-        return this.commonMark.toMarkdown(commonMarkDom);
+        return this.commonMark.toMarkdown(commonMarkDom, options);
     }
 
     /**
@@ -135,6 +139,51 @@ class CiceroMarkTransformer {
         }
     }
 
+    /**
+     * Returns the front matter of a CiceroMark DOM
+     * @param {*} input CiceroMark DOM
+     * @returns {object} the front matter data, or null if the document has no front matter
+     */
+    getFrontMatter(input) {
+        return this.commonMark.getFrontMatter(input);
+    }
+
+    /**
+     * Compares two CiceroMark DOMs. Clauses and variables are compared by name.
+     * @param {*} before - CiceroMark DOM (in JSON or as a Concerto object)
+     * @param {*} after - CiceroMark DOM (in JSON or as a Concerto object)
+     * @returns {object} the diff, as a tree of insert, delete, update, move and equal operations
+     */
+    diff(before, after) {
+        const toJSON = (input) => input.getType ? this.serializer.toJSON(input) : input;
+        return domDiff.diff(toJSON(before), toJSON(after));
+    }
+
+    /**
+     * Converts the diff of two CiceroMark DOMs to a markdown string, with the changes in CriticMarkup
+     * @param {object} diff - the diff, as returned by diff
+     * @param {object} [options] configuration options, as for toMarkdown
+     * @returns {string} the markdown string
+     */
+    diffToMarkdown(diff, options) {
+        const markdown = this.toMarkdown(domDiff.redline(diff), options);
+        return domDiff.replaceMarkers(markdown, domDiff.CRITIC_MARKUP);
+    }
+
+    /**
+     * Merges the changes to a CiceroMark DOM from two other DOMs. Clauses and
+     * variables are merged by name. Changes which overlap are kept as Conflict
+     * nodes, which toMarkdown writes with conflict markers.
+     * @param {*} base - the common CiceroMark DOM (in JSON or as a Concerto object)
+     * @param {*} ours - the first changed CiceroMark DOM (in JSON or as a Concerto object)
+     * @param {*} theirs - the second changed CiceroMark DOM (in JSON or as a Concerto object)
+     * @returns {object} the merged CiceroMark DOM (in JSON)
+     */
+    merge(base, ours, theirs) {
+        const toJSON = (input) => input.getType ? this.serializer.toJSON(input) : input;
+        return domMerge.merge(toJSON(base), toJSON(ours), toJSON(theirs));
+    }
+
     /**
      * Retrieve the serializer used by the parser
      *
@@ -190,7 +239,8 @@ class CiceroMarkTransformer {
         dom.accept( visitor, {
             commonMark: this.commonMark,
             modelManager : this.modelManager,
-            serializer : this.serializer
+            serializer : this.serializer,
+            source: json.source
         } );
 
         if(format === 'concerto') {
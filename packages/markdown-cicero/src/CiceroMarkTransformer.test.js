@@ -143,3 +143,125 @@ describe('acceptance', () => {
         expect(newMarkdown).toMatchSnapshot();
     });
 });
+
+describe('front matter', () => {
+    it('returns the front matter of a CiceroMark DOM', () => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/ciceromark/frontmatter.md', 'utf8');
+        const frontMatterTransformer = new CiceroMarkTransformer({ frontMatter: true });
+        const dom = frontMatterTransformer.fromMarkdown(markdownText);
+        expect(frontMatterTransformer.getFrontMatter(dom)).toEqual({
+            title: 'Acceptance of Delivery',
+            jurisdiction: 'New York',
+            version: '1.0.0',
+        });
+        expect(frontMatterTransformer.toMarkdown(dom).startsWith('---\ntitle: Acceptance of Delivery\n')).toBe(true);
+    });
+});
+
+describe('source positions', () => {
+    it('records the position of the nodes in a clause', () => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/ciceromark/clause.md', 'utf8');
+        const transformer = new CiceroMarkTransformer({ sourcePos: true });
+        const json = transformer.fromMarkdown(markdownText, 'json');
+        const clause = json.nodes[2];
+        expect(clause.$class).toEqual('org.accordproject.ciceromark.Clause');
+        expect([clause.startPos.line, clause.endPos.line]).toEqual([12, 17]);
+        const paragraphs = clause.nodes;
+        expect([paragraphs[0].startPos.line, paragraphs[0].startPos.column, paragraphs[1].startPos.line]).toEqual([13, 1, 16]);
+        expect(markdownText.slice(paragraphs[1].startPos.offset, paragraphs[1].endPos.offset)).toEqual('content');
+    });
+});
+
+describe('lossless', () => {
+    it('only converts the nodes of a clause which have changed', () => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/ciceromark/clause.md', 'utf8');
+        const transformer = new CiceroMarkTransformer({ lossless: true });
+        const json = transformer.fromMarkdown(markdownText, 'json');
+        expect(transformer.toMarkdown(json)).toEqual(markdownText);
+        json.nodes[2].nodes[1].nodes[0].text = 'other content';
+        expect(transformer.toMarkdown(json)).toEqual(markdownText.replace('\ncontent', '\nother content'));
+    });
+});
+
+describe('diff', () => {
+    const transformer = new CiceroMarkTransformer();
+    const markdownText = fs.readFileSync(__dirname + '/../test/data/ciceromark/clause.md', 'utf8');
+
+    it('compares clauses by name', () => {
+        const before = transformer.fromMarkdown(markdownText, 'json');
+        const after = transformer.fromMarkdown(markdownText, 'json');
+        const clause = after.nodes.pop();
+        after.nodes.unshift(Object.assign({}, clause, { nodes: clause.nodes.slice(1) }));
+        const diff = transformer.diff(before, after);
+        const move = diff.nodes.find(operation => operation.type === 'Clause');
+        expect(move).toMatchObject({ op: 'move', from: 2, to: 0 });
+        expect(move.nodes.map(operation => operation.op)).toEqual(['delete', 'equal']);
+    });
+
+    it('compares variables by name', () => {
+        const paragraph = (party) => ({
+            $class: 'org.accordproject.commonmark.Document',
+            xmlns: 'http://commonmark.org/xml/1.0',
+            nodes: [{
+                $class: 'org.accordproject.commonmark.Paragraph',
+                nodes: [
+                    { $class: 'org.accordproject.commonmark.Text', text: 'Pay ' },
+                    { $class: 'org.accordproject.ciceromark.Variable', name: 'party', value: party },
+                    { $class: 'org.accordproject.commonmark.Text', text: ' now.' },
+                ]
+            }]
+        });
+        const diff = transformer.diff(paragraph('"Party A"'), paragraph('"Party B"'));
+        expect(diff.nodes[0].nodes[1]).toMatchObject({ op: 'update', type: 'Variable', attributes: { value: { before: '"Party A"', after: '"Party B"' } } });
+        expect(transformer.diffToMarkdown(diff)).toEqual('Pay {~~"Party A"~>"Party B"~~} now.');
+    });
+});
+
+describe('merge', () => {
+    const transformer = new CiceroMarkTransformer();
+    const markdownText = fs.readFileSync(__dirname + '/../test/data/ciceromark/clause.md', 'utf8');
+    const paragraph = (party, text) => ({
+        $class: 'org.accordproject.commonmark.Document',
+        xmlns: 'http://commonmark.org/xml/1.0',
+        nodes: [{
+            $class: 'org.accordproject.commonmark.Paragraph',
+            nodes: [
+                { $class: 'org.accordproject.commonmark.Text', text: 'Pay ' },
+                { $class: 'org.accordproject.ciceromark.Variable', name: 'party', value: party },
+                { $class: 'org.accordproject.commonmark.Text', text },
+            ]
+        }]
+    });
+
+    it('merges a clause which has moved with a clause which has changed', () => {
+        const base = transformer.fromMarkdown(markdownText, 'json');
+        const ours = transformer.fromMarkdown(markdownText, 'json');
+        ours.nodes.unshift(ours.nodes.pop());
+        const theirs = transformer.fromMarkdown(markdownText, 'json');
+        theirs.nodes[2].nodes[1].nodes[0].text = 'other content';
+        const merged = transformer.merge(base, ours, theirs);
+        expect(merged.nodes.map(node => node.$class)).toEqual(ours.nodes.map(node => node.$class));
+        expect(merged.nodes[0].nodes[1].nodes[0].text).toEqual('other content');
+    });
+
+    it('merges variables by name', () => {
+        const merged = transformer.merge(paragraph('"Party A"', ' now.'), paragraph('"Party B"', ' now.'), paragraph('"Party A"', ' today.'));
+        expect(transformer.toMarkdown(merged)).toEqual('Pay "Party B" today.');
+    });
+
+    it('keeps conflicting changes to a variable as a conflict', () => {
+        const merged = transformer.merge(paragraph('"Party A"', ' now.'), paragraph('"Party B"', ' now.'), paragraph('"Party C"', ' now.'));
+        expect(transformer.toMarkdown(merged)).toEqual('<<<<<<< ours\n\nPay "Party B" now.\n\n=======\n\nPay "Party C" now.\n\n>>>>>>> theirs');
+    });
+
+    it('keeps conflicts in a clause', () => {
+        const base = transformer.fromMarkdown(markdownText, 'json');
+        const ours = transformer.fromMarkdown(markdownText, 'json');
+        ours.nodes[2].nodes[1].nodes[0].text = 'our content';
+        const theirs = transformer.fromMarkdown(markdownText, 'json');
+        theirs.nodes[2].nodes[1].nodes[0].text = 'their content';
+        const merged = transformer.merge(base, ours, theirs);
+        expect(merged.nodes[2].nodes[1].$class).toEqual('org.accordproject.commonmark.Conflict');
+        expect(transformer.toMarkdown(merged)).toContain('\n<<<<<<< ours\n\nour content\n\n=======\n\ntheir content\n\n>>>>>>> theirs\n```');
+    });
+});
@@ -15,6 +15,7 @@
 'use strict';
 
 const { NS_PREFIX_CiceroMarkModel } = require('./externalModels/CiceroMarkModel');
+const FromCommonMarkVisitor = require('./FromCommonMarkVisitor');
 
 /**
  * Converts a CommonMark DOM to a CiceroMark DOM
@@ -78,6 +79,10 @@ class FromCiceroEditVisitor {
                     thing.name = FromCiceroEditVisitor.getAttribute(tag.attributes, 'clauseid').value;
 
                     thing.nodes = parameters.commonMark.fromMarkdown(clauseText,'concerto').nodes;
+                    const contentPos = FromCommonMarkVisitor.codeBlockContentPos(thing);
+                    if (contentPos) {
+                        FromCommonMarkVisitor.shiftPositions(thing.nodes, contentPos);
+                    }
                     FromCiceroEditVisitor.visitNodes(this, thing.nodes, parameters);
 
                     thing.text = null; // Remove text
@@ -90,6 +95,10 @@ class FromCiceroEditVisitor {
                 const clauseText = FromCiceroEditVisitor.codeBlockContent(thing.text);
 
                 const newNodes = parameters.commonMark.fromMarkdown(clauseText).nodes;
+                const contentPos = FromCommonMarkVisitor.codeBlockContentPos(thing);
+                if (contentPos) {
+                    FromCommonMarkVisitor.shiftPositions(newNodes, contentPos);
+                }
                 if (newNodes.length === 1 && newNodes[0].getType() === 'List') {
                     const listNode = newNodes[0];
                     thing.$classDeclaration = parameters.modelManager.getType(ciceroMarkTag);
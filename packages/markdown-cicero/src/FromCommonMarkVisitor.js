@@ -32,6 +32,57 @@ class FromCommonMarkVisitor {
         return result;
     }
 
+    /**
+     * Returns the source position of the content of a fenced code block,
+     * from the position of the block and its text
+     * @param {*} thing the code block
+     * @return {*} the line, column and offset of the content, or null if the
+     * code block has no position
+     */
+    static codeBlockContentPos(thing) {
+        if (!thing.startPos || !thing.endPos) {
+            return null;
+        }
+        const text = thing.text ? thing.text : '';
+        const lines = text.split('\n').length - 1;
+        let offset;
+        if (thing.endPos.line === thing.startPos.line + lines + 1) {
+            // The block ends with its closing fence
+            offset = thing.endPos.offset - (thing.endPos.column - 1) - text.length;
+        } else {
+            // Unclosed blocks end with their last line of content
+            offset = thing.endPos.offset - (text.length - 1);
+        }
+        return { line: thing.startPos.line + 1, column: 1, offset };
+    }
+
+    /**
+     * Shifts the source positions of nodes parsed from the content of a code
+     * block, so that they are relative to the whole source
+     * @param {*} nodes the nodes
+     * @param {*} start the position of the content of the code block
+     */
+    static shiftPositions(nodes, start) {
+        const shift = (pos) => {
+            if (pos.line === 1) {
+                pos.column = pos.column + start.column - 1;
+            }
+            pos.line = pos.line + start.line - 1;
+            pos.offset = pos.offset + start.offset;
+        };
+        nodes.forEach(node => {
+            if (node.startPos) {
+                shift(node.startPos);
+            }
+            if (node.endPos) {
+                shift(node.endPos);
+            }
+            if (node.nodes) {
+                FromCommonMarkVisitor.shiftPositions(node.nodes, start);
+            }
+        });
+    }
+
     /**
      * Visits a sub-tree and return CiceroMark DOM
      * @param {*} visitor the visitor to use
@@ -78,6 +129,10 @@ class FromCommonMarkVisitor {
                         thing.src = FromCommonMarkVisitor.getAttribute(tag.attributes, 'src').value;
                     }
                     thing.nodes = parameters.commonMark.fromMarkdown(clauseText,'concerto').nodes;
+                    const contentPos = FromCommonMarkVisitor.codeBlockContentPos(thing);
+                    if (contentPos) {
+                        FromCommonMarkVisitor.shiftPositions(thing.nodes, contentPos);
+                    }
                     FromCommonMarkVisitor.visitNodes(this, thing.nodes, parameters);
 
                     thing.text = null; // Remove text
@@ -40,14 +40,15 @@ class ToCommonMarkVisitor {
      * @param {*} visitor the visitor to use
      * @param {*} thing the node to visit
      * @param {*} [parameters] optional parameters
+     * @param {string} field - where to find the children nodes
      */
-    static visitChildren(visitor, thing, parameters) {
-        if(thing.nodes) {
+    static visitChildren(visitor, thing, parameters, field = 'nodes') {
+        if(thing[field]) {
             const result =
-                  thing.nodes.map(node => {
+                  thing[field].map(node => {
                       return node.accept(visitor, parameters);
                   });
-            thing.nodes = flatten(result);
+            thing[field] = flatten(result);
         }
     }
 
@@ -73,6 +74,10 @@ class ToCommonMarkVisitor {
             jsonSource.$class = NS_PREFIX_CommonMarkModel + 'Document';
             jsonSource.xmlns = 'http://commonmark.org/xml/1.0';
             jsonSource.nodes = clauseJson.nodes;
+            // In lossless mode, unchanged nodes in the clause are copied from the source
+            if (typeof parameters.source === 'string') {
+                jsonSource.source = parameters.source;
+            }
 
             const content = parameters.commonMark.toMarkdown(jsonSource);
             let attributeString;
@@ -166,6 +171,12 @@ class ToCommonMarkVisitor {
             ToCommonMarkVisitor.visitChildren(this, thing, parameters);
             return thing.nodes;
         }
+        case 'Conflict': {
+            ToCommonMarkVisitor.visitChildren(this, thing, parameters, 'ours');
+            ToCommonMarkVisitor.visitChildren(this, thing, parameters, 'theirs');
+            ToCommonMarkVisitor.visitChildren(this, thing, parameters, 'base');
+        }
+            break;
         default:
             ToCommonMarkVisitor.visitChildren(this, thing, parameters);
         }
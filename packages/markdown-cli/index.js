@@ -20,6 +20,42 @@ const logger = require('@accordproject/concerto-core').Logger;
 const formatDescriptor= require('@accordproject/markdown-transform').formatDescriptor;
 const commands = require('./lib/commands');
 
+/**
+ * Log the result of a transformation
+ * @param {*} result the result
+ * @param {string} format the format of the result
+ */
+function logResult(result, format) {
+    const destinationFormat = formatDescriptor(format);
+    if(result) {
+        if(destinationFormat.fileFormat !== 'binary') {
+            logger.info('\n'+result);
+        }
+        else {
+            logger.info(`\n<binary ${format} data>`);
+        }
+    }
+}
+
+/**
+ * Build the transform parameters for a template from the command line arguments
+ * @param {object} argv the command line arguments
+ * @returns {object} the transform parameters
+ */
+function templateParameters(argv) {
+    const parameters = {};
+    parameters.ctoFiles = argv.ctoFiles;
+    // Load the plugin if given
+    let plugin = {};
+    if (argv.plugin) {
+        plugin = require(path.resolve(process.cwd(),argv.plugin));
+    }
+    parameters.plugin = plugin;
+    parameters.template = argv.template;
+    parameters.templateKind = argv.contract ? 'contract' : 'clause';
+    return parameters;
+}
+
 require('yargs')
     .scriptName('markus')
     .usage('$0 <cmd> [args]')
@@ -28,7 +64,7 @@ require('yargs')
     .strict()
     .command('transform', 'transform between two formats', (yargs) => {
         yargs.option('input', {
-            describe: 'path to the input',
+            describe: 'path to the input, or a directory or glob pattern to transform several files',
             type: 'string'
         });
         yargs.option('from', {
@@ -37,9 +73,10 @@ require('yargs')
             default: 'markdown'
         });
         yargs.option('to', {
-            describe: 'target format',
+            describe: 'target format, repeat to transform to several formats in one pass',
             type: 'string',
-            default: 'commonmark'
+            array: true,
+            default: ['commonmark']
         });
         yargs.option('via', {
             describe: 'intermediate formats',
@@ -51,6 +88,10 @@ require('yargs')
             describe: 'path to the output file',
             type: 'string'
         });
+        yargs.option('outputDir', {
+            describe: 'path to the output directory, when transforming several files or to several formats',
+            type: 'string'
+        });
         yargs.option('verbose', {
             describe: 'verbose output',
             type: 'boolean',
@@ -84,48 +125,290 @@ require('yargs')
             type: 'boolean',
             default: false
         });
+        yargs.option('strict', {
+            describe: 'refuse transformations which lose information',
+            type: 'boolean',
+            default: false
+        });
+        yargs.option('keep', {
+            describe: 'information to keep in strict mode (formatting, variables, types)',
+            type: 'string',
+            array: true
+        });
+        yargs.option('explain', {
+            describe: 'explain the transformation without running it',
+            type: 'boolean',
+            default: false
+        });
+        yargs.option('extension', {
+            describe: 'path to modules registering additional formats',
+            type: 'string',
+            array: true,
+            default: []
+        });
     }, (argv) => {
         if (argv.verbose) {
             logger.info(`transform input ${argv.input} file`);
         }
 
         try {
-            argv = commands.validateTransformArgs(argv);
-            const parameters = {};
-            parameters.inputFileName = argv.input;
-            parameters.ctoFiles = argv.ctoFiles;
-            // Load the plugin if given
-            let plugin = {};
-            if (argv.plugin) {
-                plugin = require(path.resolve(process.cwd(),argv.plugin));
+            commands.loadExtensions(argv.extension);
+            if (argv.explain) {
+                const options = { strict: argv.strict, keep: argv.keep };
+                logger.info('\n'+argv.to.map((to) => commands.explain(argv.from, argv.via, to, options)).join('\n\n'));
+                return;
+            }
+            commands.validateOutputArgs(argv);
+            const batch = argv.input && commands.isBatch(argv.input);
+            if (!batch) {
+                argv = commands.validateTransformArgs(argv);
             }
-            parameters.plugin = plugin;
-            parameters.template = argv.template;
-            parameters.templateKind = argv.contract ? 'contract' : 'clause';
+            const parameters = templateParameters(argv);
+            parameters.inputFileName = argv.input;
             const options = {};
             options.verbose = argv.verbose;
             options.sourcePos = argv.sourcePos;
             options.roundtrip = argv.roundtrip;
-            return commands.transform(argv.input, argv.from, argv.via, argv.to, argv.output, parameters, options)
-                .then((result) => {
-                    const destinationFormat = formatDescriptor(argv.to);
-                    if(result) {
-                        if(destinationFormat.fileFormat !== 'binary') {
-                            logger.info('\n'+result);
+            options.strict = argv.strict;
+            options.keep = argv.keep;
+            if (batch) {
+                return commands.batch(argv.input, argv.from, argv.via, argv.to, argv.outputDir, parameters, options)
+                    .then((summary) => {
+                        const description = commands.batchSummary(summary);
+                        if (summary.failed.length > 0) {
+                            logger.error(description);
+                            process.exitCode = 1;
+                        } else {
+                            logger.info(description);
                         }
-                        else {
-                            logger.info(`\n<binary ${argv.to} data>`);
+                    })
+                    .catch((err) => {
+                        logger.error(err);
+                        process.exitCode = 1;
+                    });
+            }
+            if (argv.to.length > 1 || argv.outputDir) {
+                return commands.fanOut(argv.input, argv.from, argv.via, argv.to, argv.outputDir, parameters, options)
+                    .then((results) => {
+                        if (!argv.outputDir) {
+                            argv.to.forEach((to) => logResult(results[to], to));
                         }
-                    }
+                    })
+                    .catch((err) => {
+                        logger.error(err);
+                        process.exitCode = 1;
+                    });
+            }
+            return commands.transform(argv.input, argv.from, argv.via, argv.to[0], argv.output, parameters, options)
+                .then((result) => {
+                    logResult(result, argv.to[0]);
                 })
                 .catch((err) => {
                     logger.error(err);
                 });
         } catch (err){
             logger.error(err);
+            process.exitCode = 1;
+            return;
+        }
+    })
+    .command('parse', 'parse a contract or clause text to data, using a template', (yargs) => {
+        yargs.option('sample', {
+            describe: 'path to the contract or clause text',
+            type: 'string'
+        });
+        yargs.option('template', {
+            describe: 'path to the template grammar',
+            type: 'string'
+        });
+        yargs.option('ctoFiles', {
+            describe: 'array of CTO files for the template model',
+            type: 'string',
+            array: true
+        });
+        yargs.option('contract', {
+            describe: 'contract template',
+            type: 'boolean',
+            default: false
+        });
+        yargs.option('plugin', {
+            describe: 'path to the parser plugin',
+            type: 'string'
+        });
+        yargs.option('output', {
+            describe: 'path to the output file',
+            type: 'string'
+        });
+        yargs.option('verbose', {
+            describe: 'verbose output',
+            type: 'boolean',
+            default: false
+        });
+    }, (argv) => {
+        try {
+            argv = commands.validateTemplateArgs(argv, 'sample', 'sample.md');
+            const options = { verbose: argv.verbose };
+            return commands.parse(argv.sample, argv.output, templateParameters(argv), options)
+                .then((result) => {
+                    logResult(result, 'data');
+                })
+                .catch((err) => {
+                    logger.error(commands.formatError(err));
+                    process.exitCode = 1;
+                });
+        } catch (err){
+            logger.error(err.message);
+            process.exitCode = 1;
             return;
         }
     })
+    .command('draft', 'draft a contract or clause text from data, using a template', (yargs) => {
+        yargs.option('data', {
+            describe: 'path to the contract or clause data',
+            type: 'string'
+        });
+        yargs.option('template', {
+            describe: 'path to the template grammar',
+            type: 'string'
+        });
+        yargs.option('ctoFiles', {
+            describe: 'array of CTO files for the template model',
+            type: 'string',
+            array: true
+        });
+        yargs.option('contract', {
+            describe: 'contract template',
+            type: 'boolean',
+            default: false
+        });
+        yargs.option('plugin', {
+            describe: 'path to the parser plugin',
+            type: 'string'
+        });
+        yargs.option('format', {
+            describe: 'format of the drafted text',
+            type: 'string',
+            choices: ['markdown', 'html', 'ciceromark', 'commonmark'],
+            default: 'markdown'
+        });
+        yargs.option('output', {
+            describe: 'path to the output file',
+            type: 'string'
+        });
+        yargs.option('verbose', {
+            describe: 'verbose output',
+            type: 'boolean',
+            default: false
+        });
+    }, (argv) => {
+        try {
+            argv = commands.validateTemplateArgs(argv, 'data', 'data.json');
+            const options = { verbose: argv.verbose };
+            return commands.draft(argv.data, argv.format, argv.output, templateParameters(argv), options)
+                .then((result) => {
+                    logResult(result, argv.format);
+                })
+                .catch((err) => {
+                    logger.error(commands.formatError(err));
+                    process.exitCode = 1;
+                });
+        } catch (err){
+            logger.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+    })
+    .command('lint-template', 'check a template against its model, and the formats of its variables', (yargs) => {
+        yargs.option('template', {
+            describe: 'path to the template grammar',
+            type: 'string'
+        });
+        yargs.option('ctoFiles', {
+            describe: 'array of CTO files for the template model',
+            type: 'string',
+            array: true
+        });
+        yargs.option('contract', {
+            describe: 'contract template',
+            type: 'boolean',
+            default: false
+        });
+        yargs.option('plugin', {
+            describe: 'path to the parser plugin',
+            type: 'string'
+        });
+        yargs.option('verbose', {
+            describe: 'verbose output',
+            type: 'boolean',
+            default: false
+        });
+    }, (argv) => {
+        try {
+            argv = commands.validateTemplateArgs(argv);
+            return commands.lintTemplate(templateParameters(argv))
+                .then((problems) => {
+                    if (problems.length > 0) {
+                        logger.error('\n' + commands.formatProblems(problems));
+                        process.exitCode = 1;
+                    } else {
+                        logger.info(`No problems found in ${argv.template}`);
+                    }
+                })
+                .catch((err) => {
+                    logger.error(commands.formatError(err));
+                    process.exitCode = 1;
+                });
+        } catch (err){
+            logger.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+    })
+    .command('formats', 'list the formats and the transformations between them', (yargs) => {
+        yargs.option('extension', {
+            describe: 'path to modules registering additional formats',
+            type: 'string',
+            array: true,
+            default: []
+        });
+    }, (argv) => {
+        try {
+            commands.loadExtensions(argv.extension);
+            logger.info('\n' + commands.formats());
+        } catch (err){
+            logger.error(err.message);
+            process.exitCode = 1;
+        }
+    })
+    .command('graph', 'generate a diagram of the transformations between formats', (yargs) => {
+        yargs.option('format', {
+            describe: 'format of the diagram',
+            type: 'string',
+            choices: ['plantuml', 'dot', 'mermaid', 'json'],
+            default: 'plantuml'
+        });
+        yargs.option('output', {
+            describe: 'path to the output file',
+            type: 'string'
+        });
+        yargs.option('extension', {
+            describe: 'path to modules registering additional formats',
+            type: 'string',
+            array: true,
+            default: []
+        });
+    }, (argv) => {
+        try {
+            commands.loadExtensions(argv.extension);
+            const result = commands.graph(argv.format, argv.output);
+            if (!argv.output) {
+                logger.info('\n' + result);
+            }
+        } catch (err){
+            logger.error(err.message);
+            process.exitCode = 1;
+        }
+    })
     .option('verbose', {
         alias: 'v',
         default: false
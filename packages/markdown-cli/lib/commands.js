@@ -15,9 +15,28 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
 const logger = require('@accordproject/concerto-core').Logger;
+const ParseException = require('@accordproject/concerto-core').ParseException;
 const formatDescriptor = require('@accordproject/markdown-transform').formatDescriptor;
 const transform = require('@accordproject/markdown-transform').transform;
+const fanOutTransform = require('@accordproject/markdown-transform').fanOutTransform;
+const planTransform = require('@accordproject/markdown-transform').planTransform;
+const formatTraceRecord = require('@accordproject/markdown-transform').formatTraceRecord;
+const describeTransformationGraph = require('@accordproject/markdown-transform').describeTransformationGraph;
+const generateTransformationDiagram = require('@accordproject/markdown-transform').generateTransformationDiagram;
+const validateTemplate = require('@accordproject/markdown-transform').validateTemplate;
+const markdownTransform = require('@accordproject/markdown-transform');
+
+// Extensions of the input files for a format, when transforming a directory.
+// Other formats use the extensions of the files written by the CLI.
+const INPUT_EXTENSIONS = {
+    template: ['.md'],
+    markdown: ['.md', '.markdown'],
+    plaintext: ['.txt'],
+    html: ['.html', '.htm'],
+};
 
 /**
  * Utility class that implements the commands exposed by the CLI.
@@ -67,6 +86,52 @@ class Commands {
         fs.writeFileSync(filePath, Commands.printFormatToString(input,format));
     }
 
+    /**
+     * Load extensions to the transformation graph. Each extension module
+     * must export a function which is called with the markdown-transform API,
+     * so it can register its own formats and transformations.
+     *
+     * @param {string[]} extensions the paths to the extension modules
+     */
+    static loadExtensions(extensions) {
+        extensions.forEach((extension) => {
+            const register = require(path.resolve(process.cwd(),extension));
+            if (typeof register !== 'function') {
+                throw new Error(`Extension ${extension} must export a function`);
+            }
+            register(markdownTransform);
+        });
+    }
+
+    /**
+     * Derive the name of an output file from the name of the input file and the output format
+     * @param {string} inputPath the input file name
+     * @param {string} format the output format
+     * @returns {string} the output file name, without directory
+     */
+    static outputFileName(inputPath,format) {
+        const inputName = path.basename(inputPath, path.extname(inputPath));
+        const fileFormat = formatDescriptor(format).fileFormat;
+        if (fileFormat === 'json') {
+            return `${inputName}.${format}.json`;
+        } else {
+            return `${inputName}.${format}`;
+        }
+    }
+
+    /**
+     * The extensions of the input files for a format, when transforming a directory
+     * @param {string} format the input format
+     * @returns {string[]} the extensions, e.g., ['.md', '.markdown'] for markdown
+     */
+    static inputExtensions(format) {
+        if (INPUT_EXTENSIONS[format]) {
+            return INPUT_EXTENSIONS[format];
+        }
+        const fileFormat = formatDescriptor(format).fileFormat;
+        return fileFormat === 'json' ? ['.json'] : [`.${format}`];
+    }
+
     /**
      * Set a default for a file argument
      *
@@ -108,6 +173,157 @@ class Commands {
         return argv;
     }
 
+    /**
+     * Check the output arguments of a transformation
+     *
+     * @param {object} argv the inbound argument values object
+     * @returns {object} the argument object
+     */
+    static validateOutputArgs(argv) {
+        if (argv.output && argv.to.length > 1) {
+            throw new Error('The --output flag only applies to a single target format. Try the --outputDir flag.');
+        }
+        return argv;
+    }
+
+    /**
+     * Set default params before we parse, draft or lint with a template
+     *
+     * @param {object} argv the inbound argument values object
+     * @param {string} [inputArgName] the name of the input argument, if any
+     * @param {string} [inputDefaultName] the input default name
+     * @returns {object} a modfied argument object
+     */
+    static validateTemplateArgs(argv, inputArgName, inputDefaultName) {
+        if (inputArgName) {
+            argv = Commands.setDefaultFileArg(argv, inputArgName, inputDefaultName, ((argv, argDefaultName) => { return argDefaultName; }));
+        }
+        argv = Commands.setDefaultFileArg(argv, 'template', 'grammar.tem.md', ((argv, argDefaultName) => { return argDefaultName; }));
+
+        if(!argv.ctoFiles || argv.ctoFiles.length === 0) {
+            logger.info('Loading a default model.cto file.');
+            if (!fs.existsSync('model.cto')) {
+                throw new Error('A model.cto file is required. Try the --ctoFiles flag or create a model.cto.');
+            }
+            argv.ctoFiles = ['model.cto'];
+        }
+
+        if(argv.verbose) {
+            const input = inputArgName ? ` ${argv[inputArgName]}` : '';
+            logger.info(`${argv._[0]}${input} using template ${argv.template} and model ${argv.ctoFiles.join(', ')}`);
+        }
+
+        return argv;
+    }
+
+    /**
+     * Describe an error for the command line. Parse errors are described with
+     * the name of the file, the location of the error and what was expected there.
+     *
+     * @param {Error} err the error
+     * @returns {string} the description of the error
+     */
+    static formatError(err) {
+        const cause = err.cause ? err.cause : err;
+        if (cause instanceof ParseException) {
+            return cause.getFileName() ? `${cause.getFileName()}: ${cause.message}` : cause.message;
+        }
+        return err.message;
+    }
+
+    /**
+     * Explain a transformation between formats, without running it
+     *
+     * @param {string} from the source format
+     * @param {string[]} via intermediate formats
+     * @param {string} to the target format
+     * @param {object} [options] configuration options
+     * @param {boolean} [options.strict] refuse transformations which lose information
+     * @param {string[]} [options.keep] information to keep in strict mode
+     * @returns {string} the description of the transformation
+     */
+    static explain(from, via, to, options) {
+        const plan = planTransform(from, via.concat([to]), options);
+        let result = `Transformation from ${from} to ${to}: ${plan.path.join(' -> ')}\n`;
+        plan.steps.forEach((step, index) => {
+            result += `${index+1}. ${step.source} -> ${step.destination} using ${step.converter}`;
+            if (step.parameters.length > 0) {
+                result += `, requires ${step.parameters.join(', ')}`;
+            }
+            if (step.loses.length > 0) {
+                result += `, loses ${step.loses.join(', ')}`;
+            }
+            result += '\n';
+        });
+        result += `Required parameters: ${plan.parameters.length > 0 ? plan.parameters.join(', ') : 'none'}\n`;
+        result += `Information lost: ${plan.loses.length > 0 ? plan.loses.join(', ') : 'none'}`;
+        return result;
+    }
+
+    /**
+     * List the formats in the transformation graph, as a table with the file
+     * format, description and destination formats of each format
+     *
+     * @returns {string} the table of formats
+     */
+    static formats() {
+        const graph = describeTransformationGraph();
+        const rows = [['Format', 'File format', 'Description', 'Converts to']];
+        graph.formats.forEach((format) => {
+            const destinations = graph.transformations
+                .filter((transformation) => transformation.source === format.name)
+                .map((transformation) => transformation.destination);
+            rows.push([format.name, format.fileFormat, format.docs, destinations.length > 0 ? destinations.join(', ') : '-']);
+        });
+        const widths = rows[0].map((header, column) => Math.max(...rows.map((row) => row[column].length)));
+        return rows.map((row) => row.map((cell, column) => column < row.length - 1 ? cell.padEnd(widths[column]) : cell).join('  ')).join('\n');
+    }
+
+    /**
+     * Generate a diagram of the transformation graph
+     *
+     * @param {string} format the diagram format, one of plantuml, dot, mermaid or json
+     * @param {string} outputPath to an output file
+     * @returns {string} the diagram
+     */
+    static graph(format, outputPath) {
+        const result = generateTransformationDiagram(format);
+        if (outputPath) {
+            logger.info('Creating file: ' + outputPath);
+            fs.writeFileSync(outputPath, result);
+        }
+        return result;
+    }
+
+    /**
+     * Run a transformation, logging a trace of every step in verbose mode
+     *
+     * @param {Function} transformation either transform or fanOutTransform
+     * @param {*} input the input
+     * @param {string} from the source format
+     * @param {string[]} to the destination formats
+     * @param {object} parameters the transform parameters
+     * @param {object} [options] configuration options
+     * @param {boolean} [options.verbose] verbose output
+     * @returns {Promise} the result of the transformation
+     */
+    static async runTransform(transformation, input, from, to, parameters, options) {
+        if (!options || !options.verbose) {
+            return transformation(input, from, to, parameters, options);
+        }
+        const traceOptions = Object.assign({}, options, { verbose: false, trace: true });
+        try {
+            const { result, trace } = await transformation(input, from, to, parameters, traceOptions);
+            trace.forEach((record) => logger.info(formatTraceRecord(record)));
+            return result;
+        } catch (err) {
+            if (err.trace) {
+                err.trace.forEach((record) => logger.info(formatTraceRecord(record)));
+            }
+            throw err;
+        }
+    }
+
     /**
      * Transform between formats
      *
@@ -123,24 +339,257 @@ class Commands {
      * @returns {object} Promise to the result of parsing
      */
     static async transform(inputPath, from, via, to, outputPath, parameters, options) {
-        const input = Commands.loadFormatFromFile(inputPath, from);
-        parameters.inputFileName = inputPath;
-        if (parameters.template) {
-            parameters.templateFileName = parameters.template;
-            parameters.template = Commands.loadFormatFromFile(parameters.template,'template');
-        }
+        const input = Commands.loadInput(inputPath, from, parameters);
         const pathTo = via.concat([to]);
-        let result = await transform(input, from, pathTo, parameters, options);
+        let result = await Commands.runTransform(transform, input, from, pathTo, parameters, options);
         let finalFormat = to;
         if (options && options.roundtrip) {
             const pathFrom = via.reverse().concat([from]);
-            result = await transform(result, to, pathFrom, parameters, options);
+            result = await Commands.runTransform(transform, result, to, pathFrom, parameters, options);
             finalFormat = from;
         }
 
         if (outputPath) { Commands.printFormatToFile(result,finalFormat,outputPath); }
         return Promise.resolve(Commands.printFormatToString(result,finalFormat));
     }
+
+    /**
+     * Parse a sample text to data, using a template
+     *
+     * @param {string} samplePath to the sample file
+     * @param {string} outputPath to an output file
+     * @param {object} parameters the transform parameters
+     * @param {string} parameters.template the path to the template
+     * @param {string[]} parameters.ctoFiles the paths to the template model
+     * @param {string} parameters.templateKind either 'clause' or 'contract'
+     * @param {object} [parameters.plugin] the parser plugin
+     * @param {object} [options] configuration options
+     * @param {boolean} [options.verbose] verbose output
+     * @returns {object} Promise to the data, as a JSON string
+     */
+    static async parse(samplePath, outputPath, parameters, options) {
+        const input = Commands.loadInput(samplePath, 'markdown', parameters);
+        const result = await Commands.runTransform(transform, input, 'markdown', ['data'], parameters, options);
+
+        if (outputPath) { Commands.printFormatToFile(result,'data',outputPath); }
+        return Commands.printFormatToString(result,'data');
+    }
+
+    /**
+     * Draft a text from data, using a template
+     *
+     * @param {string} dataPath to the data file
+     * @param {string} format the format of the drafted text, either markdown, html, ciceromark or commonmark
+     * @param {string} outputPath to an output file
+     * @param {object} parameters the transform parameters
+     * @param {string} parameters.template the path to the template
+     * @param {string[]} parameters.ctoFiles the paths to the template model
+     * @param {string} parameters.templateKind either 'clause' or 'contract'
+     * @param {object} [parameters.plugin] the parser plugin
+     * @param {object} [options] configuration options
+     * @param {boolean} [options.verbose] verbose output
+     * @returns {object} Promise to the drafted text
+     */
+    static async draft(dataPath, format, outputPath, parameters, options) {
+        const input = Commands.loadInput(dataPath, 'data', parameters);
+        const result = await Commands.runTransform(transform, input, 'data', [format], parameters, options);
+
+        if (outputPath) { Commands.printFormatToFile(result,format,outputPath); }
+        return Commands.printFormatToString(result,format);
+    }
+
+    /**
+     * Check a template against its model, and the formats of its variables
+     *
+     * @param {object} parameters the transform parameters
+     * @param {string} parameters.template the path to the template
+     * @param {string[]} parameters.ctoFiles the paths to the template model
+     * @param {string} parameters.templateKind either 'clause' or 'contract'
+     * @param {object} [parameters.plugin] the parser plugin
+     * @returns {object} Promise to the problems found in the template
+     */
+    static async lintTemplate(parameters) {
+        parameters.templateFileName = parameters.template;
+        parameters.template = Commands.loadFormatFromFile(parameters.template,'template');
+        return validateTemplate(parameters);
+    }
+
+    /**
+     * Describe the problems found in a template, one per line, with the
+     * name of the file and the line and column of each problem
+     *
+     * @param {object[]} problems the problems
+     * @returns {string} the description of the problems
+     */
+    static formatProblems(problems) {
+        return problems.map((problem) => {
+            const position = problem.startPos ? `:${problem.startPos.line}:${problem.startPos.column}` : '';
+            return `${problem.fileName}${position}: ${problem.message}`;
+        }).join('\n');
+    }
+
+    /**
+     * Transform to several formats in one pass
+     *
+     * @param {string} inputPath to the input file
+     * @param {string} from the source format
+     * @param {string[]} via intermediate formats, common to all target formats
+     * @param {string[]} to the target formats
+     * @param {string} outputDir to an output directory
+     * @param {object} parameters the transform parameters
+     * @param {object} [options] configuration options
+     * @param {boolean} [options.verbose] verbose output
+     * @returns {object} Promise to the result for each target format
+     */
+    static async fanOut(inputPath, from, via, to, outputDir, parameters, options) {
+        let input = Commands.loadInput(inputPath, from, parameters);
+        let source = from;
+        if (via.length > 0) {
+            input = await Commands.runTransform(transform, input, from, via, parameters, options);
+            source = via[via.length-1];
+        }
+        const results = await Commands.runTransform(fanOutTransform, input, source, to, parameters, options);
+
+        if (outputDir) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+        const output = {};
+        to.forEach((format) => {
+            if (outputDir) {
+                Commands.printFormatToFile(results[format],format,path.join(outputDir,Commands.outputFileName(inputPath,format)));
+            }
+            output[format] = Commands.printFormatToString(results[format],format);
+        });
+        return output;
+    }
+
+    /**
+     * Whether an input designates several files, either as a directory or as a glob pattern
+     *
+     * @param {string} input the input path or pattern
+     * @returns {boolean} true if the input designates several files
+     */
+    static isBatch(input) {
+        return glob.hasMagic(input) || (fs.existsSync(input) && fs.statSync(input).isDirectory());
+    }
+
+    /**
+     * The directory against which the files matching an input are named in the output
+     * directory: the directory itself, or the part of a glob pattern before the first
+     * special character
+     *
+     * @param {string} input the input path or pattern
+     * @returns {string} the base directory
+     */
+    static batchBase(input) {
+        if (!glob.hasMagic(input)) {
+            return input;
+        }
+        const segments = input.split('/');
+        const index = segments.findIndex((segment) => glob.hasMagic(segment));
+        return segments.slice(0, index).join('/') || '.';
+    }
+
+    /**
+     * List the files designated by an input, in order. In a directory, only the
+     * files with an extension for the input format are transformed.
+     *
+     * @param {string} input the input path or pattern
+     * @param {string} from the source format
+     * @returns {string[]} the input files
+     */
+    static expandInputs(input, from) {
+        let files;
+        if (glob.hasMagic(input)) {
+            files = glob.sync(input, { nodir: true });
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            const extensions = Commands.inputExtensions(from);
+            files = glob.sync('**/*', { cwd: input, nodir: true })
+                .filter((file) => extensions.some((extension) => file.toLowerCase().endsWith(extension)))
+                .map((file) => path.join(input, file));
+            if (files.length === 0) {
+                throw new Error(`No ${from} file (${extensions.join(', ')}) in ${input}`);
+            }
+        } else {
+            files = [input];
+        }
+        if (files.length === 0) {
+            throw new Error(`No input file matches ${input}`);
+        }
+        return files.sort();
+    }
+
+    /**
+     * Transform all the files in a directory or matching a glob pattern, one
+     * file at a time. A failure does not stop the transformation of the other
+     * files, but is recorded in the summary.
+     *
+     * @param {string} input the input directory or glob pattern
+     * @param {string} from the source format
+     * @param {string[]} via intermediate formats, common to all target formats
+     * @param {string[]} to the target formats
+     * @param {string} outputDir to an output directory, where the directory structure of the input is kept
+     * @param {object} parameters the transform parameters
+     * @param {object} [options] configuration options
+     * @param {boolean} [options.verbose] verbose output
+     * @returns {object} Promise to the summary, with the list of files which were transformed and of failures
+     */
+    static async batch(input, from, via, to, outputDir, parameters, options) {
+        if (!outputDir) {
+            throw new Error('Transforming several files requires an output directory. Try the --outputDir flag.');
+        }
+        const base = Commands.batchBase(input);
+        const files = Commands.expandInputs(input, from);
+        const summary = { succeeded: [], failed: [] };
+        for (const file of files) {
+            const fileOutputDir = path.join(outputDir, path.dirname(path.relative(base, file)));
+            try {
+                await Commands.fanOut(file, from, via, to, fileOutputDir, Object.assign({}, parameters), options);
+                summary.succeeded.push(file);
+            } catch (err) {
+                logger.error(`Failed to transform ${file}: ${err.message}`);
+                summary.failed.push({ input: file, error: err });
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Describe the summary of a batch transformation
+     *
+     * @param {object} summary the summary of the batch transformation
+     * @returns {string} the description of the summary
+     */
+    static batchSummary(summary) {
+        const total = summary.succeeded.length + summary.failed.length;
+        let result = `Transformed ${summary.succeeded.length} of ${total} files`;
+        if (summary.failed.length > 0) {
+            result += `, ${summary.failed.length} failed:`;
+            summary.failed.forEach((failure) => {
+                result += `\n  ${failure.input}: ${failure.error.message}`;
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Load the input for a transformation, along with its template if any
+     *
+     * @param {string} inputPath to the input file
+     * @param {string} from the source format
+     * @param {object} parameters the transform parameters, updated with the input file name
+     * and the content of the template
+     * @returns {*} the content of the input file
+     */
+    static loadInput(inputPath, from, parameters) {
+        const input = Commands.loadFormatFromFile(inputPath, from);
+        parameters.inputFileName = inputPath;
+        if (parameters.template) {
+            parameters.templateFileName = parameters.template;
+            parameters.template = Commands.loadFormatFromFile(parameters.template,'template');
+        }
+        return input;
+    }
 }
 
 module.exports = Commands;
@@ -16,12 +16,14 @@
 
 const chai = require('chai');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 chai.should();
 chai.use(require('chai-things'));
 chai.use(require('chai-as-promised'));
 
+const ParseException = require('@accordproject/concerto-core').ParseException;
 const Commands = require('../lib/commands');
 
 /**
@@ -40,6 +42,7 @@ const acceptanceGrammarFile = path.resolve(__dirname, 'data/acceptance', 'gramma
 const acceptanceModelFile =  path.resolve(__dirname, 'data/acceptance', 'model.cto');
 const acceptanceMarkdownFile = path.resolve(__dirname, 'data/acceptance', 'sample.md');
 const acceptanceMarkdown = normalizeNLs(fs.readFileSync(acceptanceMarkdownFile, 'utf8'));
+const acceptanceDataFile = path.resolve(__dirname, 'data/acceptance', 'data.json');
 const acceptanceCommonMarkFile = path.resolve(__dirname, 'data/acceptance', 'commonmark.json');
 const acceptanceCommonMark = JSON.parse(fs.readFileSync(acceptanceCommonMarkFile, 'utf8'));
 const acceptanceCiceroMarkParsedFile = path.resolve(__dirname, 'data/acceptance', 'ciceromark_parsed.json');
@@ -97,6 +100,16 @@ describe('markdown-cli (acceptance)', () => {
             result.should.deep.equal(JSON.stringify(acceptanceCommonMark));
         });
 
+        it('should parse a markdown file to HTML (verbose)', async () => {
+            const result = await Commands.transform(acceptanceMarkdownFile, 'markdown', [], 'html', null, {}, {verbose:true});
+            result.should.match(/^<html>/);
+        });
+
+        it('should fail to parse a markdown file to data without a template', async () => {
+            return Commands.transform(acceptanceMarkdownFile, 'markdown', [], 'data', null, {}, {verbose:true})
+                .should.be.rejectedWith('Missing transform parameters: commonmark -> data requires template, ctoFiles, templateKind');
+        });
+
         it('should parse a markdown file to CiceroMark', async () => {
             const result = await Commands.transform(acceptanceMarkdownFile, 'markdown', ['data'], 'ciceromark', null, parameters, {});
             result.should.deep.equal(JSON.stringify(acceptanceCiceroMarkParsed));
@@ -125,6 +138,166 @@ describe('markdown-cli (acceptance)', () => {
         });
     });
 
+    describe('#strict', () => {
+        it('should refuse a lossy transformation in strict mode', async () => {
+            return Commands.transform(acceptanceCiceroMarkParsedFile, 'ciceromark', [], 'markdown', null, {}, {strict:true})
+                .should.be.rejectedWith('No transformation from ciceromark to markdown which keeps formatting, variables, types');
+        });
+
+        it('should accept a transformation which keeps the requested information in strict mode', async () => {
+            const result = await Commands.transform(acceptanceCiceroMarkParsedFile, 'ciceromark', [], 'markdown', null, {}, {strict:true, keep:['formatting']});
+            result.should.eql(acceptanceMarkdown);
+        });
+    });
+
+    describe('#fanOut', () => {
+        it('should transform a markdown file to several formats', async () => {
+            const result = await Commands.fanOut(acceptanceMarkdownFile, 'markdown', [], ['commonmark', 'markdown'], null, {}, {});
+            result.commonmark.should.equal(JSON.stringify(acceptanceCommonMark));
+            result.markdown.should.equal(acceptanceMarkdown);
+        });
+
+        it('should transform a CiceroMark file to several formats in an output directory (verbose)', async () => {
+            const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markus-'));
+            const result = await Commands.fanOut(acceptanceCiceroMarkParsedFile, 'ciceromark', [], ['slate', 'html', 'pdf'], outputDir, {}, {verbose:true});
+            result.slate.should.equal(JSON.stringify(acceptanceSlate));
+            JSON.parse(fs.readFileSync(path.join(outputDir, 'ciceromark_parsed.slate.json'), 'utf8')).should.deep.equal(acceptanceSlate);
+            fs.readFileSync(path.join(outputDir, 'ciceromark_parsed.html'), 'utf8').should.match(/^<html>/);
+            fs.readFileSync(path.join(outputDir, 'ciceromark_parsed.pdf')).length.should.be.above(0);
+        });
+
+        it('should transform through intermediate formats before fanning out', async () => {
+            const result = await Commands.fanOut(acceptanceCiceroMarkParsedFile, 'ciceromark', ['ciceromark_unquoted'], ['html', 'slate'], null, {}, {});
+            result.html.should.not.contain('"Party A"');
+            JSON.parse(result.slate).document.object.should.equal('document');
+        });
+    });
+
+    describe('#outputFileName', () => {
+        it('should derive the output file name for a JSON format', () => {
+            Commands.outputFileName('contracts/sample.md', 'ciceromark').should.equal('sample.ciceromark.json');
+        });
+
+        it('should derive the output file name for a text format', () => {
+            Commands.outputFileName('contracts/sample.md', 'html').should.equal('sample.html');
+        });
+
+        it('should derive the output file name for a binary format', () => {
+            Commands.outputFileName('contracts/sample.md', 'pdf').should.equal('sample.pdf');
+        });
+    });
+
+    describe('#validateOutputArgs', () => {
+        it('should accept an output file for a single target format', () => {
+            Commands.validateOutputArgs({ to: ['html'], output: 'out.html' }).output.should.equal('out.html');
+        });
+
+        it('should reject an output file for several target formats', () => {
+            (() => Commands.validateOutputArgs({ to: ['html', 'slate'], output: 'out.html' })).should.throw('The --output flag only applies to a single target format');
+        });
+    });
+
+    describe('#batch', () => {
+        let inputDir;
+        before(() => {
+            inputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markus-input-'));
+            fs.mkdirSync(path.join(inputDir, 'clauses'));
+            fs.copyFileSync(acceptanceMarkdownFile, path.join(inputDir, 'first.md'));
+            fs.copyFileSync(acceptanceMarkdownFile, path.join(inputDir, 'clauses', 'second.md'));
+            fs.copyFileSync(acceptanceCommonMarkFile, path.join(inputDir, 'clauses', 'good.json'));
+            fs.writeFileSync(path.join(inputDir, 'clauses', 'bad.json'), '{');
+        });
+
+        it('should detect inputs with several files', () => {
+            Commands.isBatch(inputDir).should.equal(true);
+            Commands.isBatch(path.join(inputDir, '**/*.md')).should.equal(true);
+            Commands.isBatch(acceptanceMarkdownFile).should.equal(false);
+        });
+
+        it('should list the files in a directory with an extension for the input format', () => {
+            Commands.expandInputs(path.join(inputDir, 'clauses'), 'markdown').map((file) => path.basename(file)).should.deep.equal(['second.md']);
+            Commands.expandInputs(path.join(inputDir, 'clauses'), 'commonmark').map((file) => path.basename(file)).should.deep.equal(['bad.json', 'good.json']);
+        });
+
+        it('should fail when no file in a directory has an extension for the input format', () => {
+            (() => Commands.expandInputs(path.join(inputDir, 'clauses'), 'pdf')).should.throw('No pdf file (.pdf) in');
+        });
+
+        it('should list the files matching a glob pattern', () => {
+            Commands.expandInputs(path.join(inputDir, '**/*.md')).map((file) => path.relative(inputDir, file)).should.deep.equal([path.join('clauses', 'second.md'), 'first.md']);
+        });
+
+        it('should fail when no file matches a glob pattern', () => {
+            (() => Commands.expandInputs(path.join(inputDir, '**/*.docx'))).should.throw('No input file matches');
+        });
+
+        it('should transform the files matching a glob pattern, keeping the directory structure', async () => {
+            const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markus-'));
+            const summary = await Commands.batch(path.join(inputDir, '**/*.md'), 'markdown', [], ['commonmark', 'html'], outputDir, {}, {});
+            summary.succeeded.length.should.equal(2);
+            summary.failed.length.should.equal(0);
+            JSON.parse(fs.readFileSync(path.join(outputDir, 'first.commonmark.json'), 'utf8')).should.deep.equal(acceptanceCommonMark);
+            JSON.parse(fs.readFileSync(path.join(outputDir, 'clauses', 'second.commonmark.json'), 'utf8')).should.deep.equal(acceptanceCommonMark);
+            fs.readFileSync(path.join(outputDir, 'clauses', 'second.html'), 'utf8').should.match(/^<html>/);
+            Commands.batchSummary(summary).should.equal('Transformed 2 of 2 files');
+        });
+
+        it('should transform the files matching a glob pattern, collecting failures', async () => {
+            const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markus-'));
+            const summary = await Commands.batch(path.join(inputDir, 'clauses/*.json'), 'commonmark', [], ['markdown'], outputDir, {}, {});
+            summary.succeeded.should.deep.equal([path.join(inputDir, 'clauses', 'good.json')]);
+            summary.failed.length.should.equal(1);
+            summary.failed[0].input.should.equal(path.join(inputDir, 'clauses', 'bad.json'));
+            fs.readFileSync(path.join(outputDir, 'good.markdown'), 'utf8').should.equal(acceptanceMarkdown);
+            fs.existsSync(path.join(outputDir, 'bad.markdown')).should.equal(false);
+            Commands.batchSummary(summary).should.match(/^Transformed 1 of 2 files, 1 failed:\n {2}.*bad\.json: /);
+        });
+
+        it('should only transform the files for the input format in a directory', async () => {
+            const mixedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markus-input-'));
+            fs.mkdirSync(path.join(mixedDir, 'sub'));
+            fs.copyFileSync(acceptanceMarkdownFile, path.join(mixedDir, 'a.md'));
+            fs.copyFileSync(acceptanceMarkdownFile, path.join(mixedDir, 'sub', 'b.md'));
+            fs.copyFileSync(acceptanceCommonMarkFile, path.join(mixedDir, 'notes.json'));
+            fs.writeFileSync(path.join(mixedDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+            const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markus-'));
+            const summary = await Commands.batch(mixedDir, 'markdown', [], ['html'], outputDir, {}, {});
+            Commands.batchSummary(summary).should.equal('Transformed 2 of 2 files');
+            fs.existsSync(path.join(outputDir, 'a.html')).should.equal(true);
+            fs.existsSync(path.join(outputDir, 'sub', 'b.html')).should.equal(true);
+            fs.existsSync(path.join(outputDir, 'notes.html')).should.equal(false);
+            fs.existsSync(path.join(outputDir, 'logo.html')).should.equal(false);
+        });
+
+        it('should fail without an output directory', async () => {
+            return Commands.batch(inputDir, 'markdown', [], ['html'], null, {}, {})
+                .should.be.rejectedWith('Transforming several files requires an output directory');
+        });
+    });
+
+    describe('#explain', () => {
+        it('should explain a transformation through a template', () => {
+            const result = Commands.explain('markdown', ['data'], 'ciceromark', {});
+            result.should.equal(`Transformation from markdown to ciceromark: markdown -> markdown_tokens -> commonmark -> data -> ciceromark
+1. markdown -> markdown_tokens using TemplateMarkTransformer.toTokens
+2. markdown_tokens -> commonmark using CommonMarkTransformer.fromTokens
+3. commonmark -> data using TemplateMarkTransformer.fromCommonMark, requires template, ctoFiles, templateKind
+4. data -> ciceromark using TemplateMarkTransformer.draftCiceroMark, requires template, ctoFiles, templateKind
+Required parameters: template, ctoFiles, templateKind
+Information lost: none`);
+        });
+
+        it('should explain a transformation which loses information', () => {
+            const result = Commands.explain('ciceromark', [], 'plaintext', {});
+            result.should.contain('1. ciceromark -> commonmark using CiceroMarkTransformer.toCommonMark, loses variables');
+            result.should.contain('Information lost: formatting, variables');
+        });
+
+        it('should fail to explain a transformation refused in strict mode', () => {
+            (() => Commands.explain('ciceromark', [], 'plaintext', {strict:true})).should.throw('No transformation from ciceromark to plaintext which keeps formatting, variables, types');
+        });
+    });
+
     describe('#normalize', () => {
         it('should CommonMark <-> Markdown roundtrip', async () => {
             const result = await Commands.transform(acceptanceMarkdownFile, 'markdown', [], 'commonmark', null, {}, {roundtrip:true});
@@ -133,6 +306,146 @@ describe('markdown-cli (acceptance)', () => {
     });
 });
 
+describe('#validateTemplateArgs', () => {
+    it('no args specified', () => {
+        process.chdir(path.resolve(__dirname, 'data/'));
+        (() => Commands.validateTemplateArgs({
+            _: ['parse'],
+        }, 'sample', 'sample.md')).should.throw('A sample.md file is required. Try the --sample flag or create a sample.md.');
+    });
+    it('all args specified (verbose)', () => {
+        process.chdir(path.resolve(__dirname, 'data/acceptance'));
+        const args  = Commands.validateTemplateArgs({
+            _: ['parse'],
+            sample: 'sample.md',
+            template: 'grammar.tem.md',
+            ctoFiles: ['model.cto'],
+            verbose: true
+        }, 'sample', 'sample.md');
+        args.sample.should.equal('sample.md');
+        args.ctoFiles.should.deep.equal(['model.cto']);
+    });
+    it('bad data.json', () => {
+        process.chdir(path.resolve(__dirname, 'data/acceptance'));
+        (() => Commands.validateTemplateArgs({
+            _: ['draft'],
+            data: 'data_en.json',
+        }, 'data', 'data.json')).should.throw('A data.json file is required. Try the --data flag or create a data.json.');
+    });
+    it('no input for lint-template', () => {
+        process.chdir(path.resolve(__dirname, 'data/acceptance'));
+        const args = Commands.validateTemplateArgs({
+            _: ['lint-template'],
+            verbose: true
+        });
+        args.template.should.equal('grammar.tem.md');
+        args.ctoFiles.should.deep.equal(['model.cto']);
+    });
+    it('no model', () => {
+        process.chdir(path.resolve(__dirname, 'data/'));
+        (() => Commands.validateTemplateArgs({
+            _: ['parse'],
+            sample: 'input.md',
+            template: 'input.md',
+        }, 'sample', 'sample.md')).should.throw('A model.cto file is required. Try the --ctoFiles flag or create a model.cto.');
+    });
+});
+
+describe('#formatError', () => {
+    it('should describe a parse error with its file name', () => {
+        const location = { start: { line: 1, column: 6, offset: 5 }, end: { line: 1, column: 7, offset: 6 } };
+        const err = new ParseException('Parse error at line 1 column 6', location, 'sample.md', 'Parse error at line 1 column 6\nSome text\n     ^^^^\nExpected: An Integer literal', 'markdown-template');
+        Commands.formatError(err).should.equal('sample.md: Parse error at line 1 column 6\nSome text\n     ^^^^\nExpected: An Integer literal');
+    });
+
+    it('should describe a parse error which happened in a transformation step', () => {
+        const err = new Error('Failed to transform from commonmark to data (step 3 of 3): Parse error at line 1 column 6');
+        err.cause = new ParseException('Parse error at line 1 column 6', null, null, 'Parse error at line 1 column 6\nSome text', 'markdown-template');
+        Commands.formatError(err).should.equal('Parse error at line 1 column 6\nSome text');
+    });
+
+    it('should describe other errors with their message', () => {
+        Commands.formatError(new Error('Unknown format foobar')).should.equal('Unknown format foobar');
+    });
+});
+
+describe('#formatProblems', () => {
+    it('should describe each problem with its file name and position', () => {
+        const problems = [
+            { message: 'Unknown property buyer', fileName: 'grammar.tem.md', startPos: { line: 1, column: 43, offset: 42 }, endPos: { line: 1, column: 52, offset: 51 } },
+            { message: 'Failed to find an asset that extends org.accordproject.cicero.contract.AccordContract.', fileName: 'grammar.tem.md' },
+        ];
+        Commands.formatProblems(problems).should.equal('grammar.tem.md:1:43: Unknown property buyer\ngrammar.tem.md: Failed to find an asset that extends org.accordproject.cicero.contract.AccordContract.');
+    });
+});
+
+describe('markdown-cli (template)', () => {
+    let parameters;
+    beforeEach(async () => {
+        parameters = { template: acceptanceGrammarFile, ctoFiles: [acceptanceModelFile], templateKind: 'contract' };
+    });
+
+    describe('#parse', () => {
+        it('should parse a sample to data', async () => {
+            const result = JSON.parse(await Commands.parse(acceptanceMarkdownFile, null, parameters, {}));
+            result.deliveryClause.should.deep.include({ deliverable: 'Widgets', businessDays: 10, attachment: 'Attachment X' });
+        });
+
+        it('should parse a sample to a data file (verbose)', async () => {
+            const outputFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'markus-')), 'data.json');
+            await Commands.parse(acceptanceMarkdownFile, outputFile, parameters, {verbose:true});
+            JSON.parse(fs.readFileSync(outputFile, 'utf8')).deliveryClause.deliverable.should.equal('Widgets');
+        });
+
+        it('should fail to parse an invalid sample with a parse error', async () => {
+            const sampleFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'markus-')), 'sample.md');
+            fs.writeFileSync(sampleFile, acceptanceMarkdown.replace('10 Business Days', 'ten Business Days'));
+            try {
+                await Commands.parse(sampleFile, null, parameters, {});
+                throw new Error('should have failed');
+            } catch (err) {
+                Commands.formatError(err).should.equal(`${sampleFile}: Parse error at line 18 column 21
+"Party B" will have ten Business Days to inspect and
+                    ^^^^^^^^^^^^^^^
+Expected: An Long literal`);
+            }
+        });
+    });
+
+    describe('#draft', () => {
+        it('should draft markdown from data', async () => {
+            const result = await Commands.draft(acceptanceDataFile, 'markdown', null, parameters, {});
+            result.should.contain('"Party B" will have 10 Business Days to inspect');
+        });
+
+        it('should draft html from data', async () => {
+            const result = await Commands.draft(acceptanceDataFile, 'html', null, parameters, {});
+            result.should.match(/^<html>/);
+            result.should.contain('Widgets');
+        });
+
+        it('should draft CiceroMark from data', async () => {
+            const result = JSON.parse(await Commands.draft(acceptanceDataFile, 'ciceromark', null, parameters, {}));
+            result.$class.should.equal('org.accordproject.commonmark.Document');
+        });
+    });
+
+    describe('#lintTemplate', () => {
+        it('should find no problem in a valid template', async () => {
+            (await Commands.lintTemplate(parameters)).should.deep.equal([]);
+        });
+
+        it('should report all the problems in a template', async () => {
+            const grammarFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'markus-')), 'grammar.tem.md');
+            fs.writeFileSync(grammarFile, fs.readFileSync(acceptanceGrammarFile, 'utf8').replace('{{deliverable}}', '{{deliverables}}').replace('{{businessDays}}', '{{businessDays as "0.00"}}'));
+            parameters.template = grammarFile;
+            const problems = await Commands.lintTemplate(parameters);
+            problems.map(problem => problem.message).should.deep.equal(['Unknown property deliverables', 'The format "0.00" has decimals, for an integer']);
+            Commands.formatProblems(problems).split('\n')[0].should.equal(`${grammarFile}:9:35: Unknown property deliverables`);
+        });
+    });
+});
+
 describe('markdown-cli (docx)', () => {
     // Acceptance test
     const inputDocx = path.resolve(__dirname, 'data', 'sample-service-level-agreement.docx');
@@ -145,3 +458,69 @@ describe('markdown-cli (docx)', () => {
         });
     });
 });
+
+describe('markdown-cli (graph)', () => {
+    describe('#formats', () => {
+        it('should list the formats as a table', () => {
+            const lines = Commands.formats().split('\n');
+            lines[0].should.match(/^Format +File format +Description +Converts to$/);
+            lines.should.include.something.that.matches(/^commonmark +json +CommonMark DOM \(JSON\) +markdown, ciceromark, plaintext, data$/);
+            lines.should.include.something.that.matches(/^templatemark +json +TemplateMark DOM \(JSON\) +-$/);
+        });
+    });
+
+    describe('#graph', () => {
+        it('should generate a PlantUML diagram', () => {
+            Commands.graph('plantuml').should.match(/^@startuml/);
+        });
+
+        it('should generate a DOT diagram to a file', () => {
+            const outputFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'markus-')), 'graph.dot');
+            const result = Commands.graph('dot', outputFile);
+            result.should.match(/^digraph transformations {/);
+            fs.readFileSync(outputFile, 'utf8').should.equal(result);
+        });
+
+        it('should generate a JSON description of the graph', () => {
+            const result = JSON.parse(Commands.graph('json'));
+            result.formats.should.include.something.that.deep.equals({ name: 'html', docs: 'HTML (string)', fileFormat: 'utf8' });
+        });
+
+        it('should fail to generate a diagram in an unknown format', () => {
+            (() => Commands.graph('svg')).should.throw('Unknown diagram format svg');
+        });
+    });
+});
+
+describe('markdown-cli (extension)', () => {
+    const extensionFile = path.resolve(__dirname, 'data/extension', 'contractjson.js');
+    const inputFile = path.resolve(__dirname, 'data/extension', 'contract.json');
+
+    before(() => {
+        Commands.loadExtensions([extensionFile]);
+    });
+
+    describe('#loadExtensions', () => {
+        it('should transform from a registered format', async () => {
+            const result = await Commands.transform(inputFile, 'contractjson', [], 'html', null, {}, {});
+            result.should.contain('<h1>Heading</h1>');
+            result.should.contain('<strong>strong</strong>');
+        });
+
+        it('should transform to a registered format', async () => {
+            const result = await Commands.transform(acceptanceCommonMarkFile, 'commonmark', [], 'contractjson', null, {}, {});
+            JSON.parse(result).sections.length.should.be.above(1);
+        });
+
+        it('should fail to transform from a registered format (verbose)', async () => {
+            const brokenFile = path.resolve(__dirname, 'data/extension', 'broken.json');
+            return Commands.transform(brokenFile, 'contractjson', [], 'html', null, {}, {verbose:true})
+                .should.be.rejectedWith(/^Failed to transform from contractjson to markdown \(step 1 of 5\)/);
+        });
+
+        it('should fail to load an extension which is not a function', () => {
+            const badExtensionFile = path.resolve(__dirname, 'data/extension', 'notafunction.js');
+            (() => Commands.loadExtensions([badExtensionFile])).should.throw(`Extension ${badExtensionFile} must export a function`);
+        });
+    });
+});
@@ -29,3 +29,6 @@ module.exports.fromcommonmarkrules = require('./lib/fromcommonmarkrules');
 module.exports.CommonMarkTransformer = require('./lib/CommonMarkTransformer');
 module.exports.ToMarkdownStringVisitor = require('./lib/ToMarkdownStringVisitor');
 module.exports.FromMarkdownIt =  require('./lib/FromMarkdownIt');
+module.exports.sourcePositions = require('./lib/sourcepos');
+module.exports.diff = require('./lib/diff');
+module.exports.merge = require('./lib/merge');
@@ -15,7 +15,15 @@
 'use strict';
 
 const MarkdownIt = require('markdown-it');
+const footnote = require('markdown-it-footnote');
 const FromMarkdownIt = require('./FromMarkdownIt');
+const frontMatter = require('./frontmatter');
+const gfm = require('./gfm');
+const references = require('./references');
+const sourcePositions = require('./sourcepos');
+const lossless = require('./lossless');
+const domDiff = require('./diff');
+const domMerge = require('./merge');
 
 const { ModelManager, Factory, Serializer } = require('@accordproject/concerto-core');
 
@@ -33,11 +41,22 @@ class CommonMarkTransformer {
      * Construct the parser.
      * @param {object} [options] configuration options
      * @param {boolean} [options.tagInfo] Construct tags for HTML elements
+     * @param {boolean} [options.gfm] Parse GitHub Flavored Markdown strikethrough, task lists and autolinks
+     * @param {boolean} [options.references] Keep link reference definitions and the reference style of links
+     * @param {boolean} [options.frontMatter] Parse a YAML or TOML front matter block at the start of the document
+     * @param {boolean} [options.sourcePos] Record the source position of each node
+     * @param {boolean} [options.lossless] Record the markdown source and a digest of each node, so that
+     * toMarkdown copies the source text of the nodes which have not changed. Implies sourcePos
+     * @param {object[]} [options.extensions] Extensions to the markdown syntax, only for this transformer. Each extension
+     * may have markdown-it plugins (a function, or an array with a function and its options) in plugins, rules for
+     * markdown-it tokens in toCommonMarkRules, rules for DOM nodes in fromCommonMarkRules and the model for its nodes in model
      */
     constructor(options) {
         this.options = options;
+        this.extensions = options && options.extensions ? options.extensions : [];
         const modelManager = new ModelManager();
         modelManager.addModelFile(CommonMarkModel, 'commonmark.cto');
+        this.extensions.filter(extension => extension.model).forEach(extension => modelManager.addModelFile(extension.model));
         const factory = new Factory(modelManager);
         this.serializer = new Serializer(factory, modelManager);
     }
@@ -45,14 +64,28 @@ class CommonMarkTransformer {
     /**
      * Converts a CommonMark DOM to a markdown string
      * @param {*} input - CommonMark DOM (in JSON or as a Concerto object)
+     * @param {object} [options] configuration options
+     * @param {object} [options.style] the markdown style
+     * @param {string} [options.style.headingStyle] 'setext' (default) or 'atx' for level 1 and 2 headings
+     * @param {string} [options.style.bullet] the bullet list marker, '-' (default), '*' or '+'
+     * @param {string} [options.style.emphasis] the emphasis delimiter, '*' (default) or '_'
+     * @param {string} [options.style.strong] the strong emphasis delimiter, '**' (default) or '__'
+     * @param {string} [options.style.orderedNumbering] 'increment' (default) to number ordered list items in sequence, or 'one' to repeat the first number
+     * @param {string} [options.style.fence] the code block fence character, '`' (default) or '~'
+     * @param {number} [options.style.wrap] the maximum width of paragraph lines, or 0 (default) to not wrap
      * @returns {string} the markdown string
      */
-    toMarkdown(input) {
-        if(!input.getType) {
+    toMarkdown(input, options) {
+        if(input.source) {
+            // Lossless mode, only keep the digests of unchanged nodes
+            const json = JSON.parse(JSON.stringify(input.getType ? this.serializer.toJSON(input) : input));
+            input = this.serializer.fromJSON(lossless.checkDigests(json));
+        } else if(!input.getType) {
             input = this.serializer.fromJSON(input);
         }
-        const visitor = new ToMarkdownStringVisitor(this.options);
-        return visitor.toMarkdown(input);
+        const rules = Object.assign({}, ...this.extensions.map(extension => extension.fromCommonMarkRules));
+        const visitor = new ToMarkdownStringVisitor(this.options, rules);
+        return visitor.toMarkdown(input, options ? options.style : null);
     }
 
     /**
@@ -72,6 +105,31 @@ class CommonMarkTransformer {
      */
     toTokens(markdown) {
         const parser = new MarkdownIt({html:true}); // XXX HTML inlines and code blocks true
+        if (this.options && this.options.frontMatter) {
+            parser.use(frontMatter);
+        }
+        // Footnote definitions are kept in place, and inline footnotes are not supported
+        parser.use(footnote);
+        parser.disable(['footnote_tail','footnote_inline']);
+        if (this.options && this.options.gfm) {
+            parser.use(gfm);
+        } else {
+            parser.disable('strikethrough');
+        }
+        if (this.options && this.options.references) {
+            parser.use(references);
+        }
+        this.extensions.forEach(extension => (extension.plugins ? extension.plugins : []).forEach(plugin => {
+            if (Array.isArray(plugin)) {
+                parser.use(...plugin);
+            } else {
+                parser.use(plugin);
+            }
+        }));
+        // Source positions should be last, to record the positions for all rules
+        if (this.options && (this.options.sourcePos || this.options.lossless)) {
+            parser.use(sourcePositions);
+        }
         const tokenStream = parser.parse(markdown,{});
         return tokenStream;
     }
@@ -82,11 +140,19 @@ class CommonMarkTransformer {
      * @param {object} tokenStream the token stream
      * @param {string} [format] the format of the object to return. Defaults to 'concerto.
      * Pass 'json' to return the JSON object, skipping Concerto validation
+     * @param {string} [markdown] the markdown source for the token stream, recorded in lossless mode
      * @returns {*} a Concerto object (DOM) for the markdown content
      */
-    fromTokens(tokenStream, format='concerto') {
-        const fromMarkdownIt = new FromMarkdownIt();
+    fromTokens(tokenStream, format='concerto', markdown) {
+        const rules = this.extensions.map(extension => extension.toCommonMarkRules).filter(rules => rules);
+        const fromMarkdownIt = new FromMarkdownIt({
+            inlines: Object.assign({}, ...rules.map(rules => rules.inlines)),
+            blocks: Object.assign({}, ...rules.map(rules => rules.blocks)),
+        });
         const json = fromMarkdownIt.toCommonMark(tokenStream);
+        if (this.options && this.options.lossless && typeof markdown === 'string') {
+            lossless.addDigests(json, markdown);
+        }
 
         // validate the object using the model
         const validJson = this.serializer.fromJSON(json);
@@ -108,7 +174,54 @@ class CommonMarkTransformer {
      */
     fromMarkdown(markdown, format='concerto') {
         const tokenStream = this.toTokens(markdown);
-        return this.fromTokens(tokenStream, format);
+        return this.fromTokens(tokenStream, format, markdown);
+    }
+
+    /**
+     * Returns the front matter of a CommonMark DOM
+     * @param {*} input - CommonMark DOM (in JSON or as a Concerto object)
+     * @returns {object} the front matter data, or null if the document has no front matter
+     */
+    getFrontMatter(input) {
+        if (!input.frontMatter) {
+            return null;
+        }
+        return frontMatter.parseFrontMatter(input.frontMatter.format, input.frontMatter.text);
+    }
+
+    /**
+     * Compares two CommonMark DOMs
+     * @param {*} before - CommonMark DOM (in JSON or as a Concerto object)
+     * @param {*} after - CommonMark DOM (in JSON or as a Concerto object)
+     * @returns {object} the diff, as a tree of insert, delete, update, move and equal operations
+     */
+    diff(before, after) {
+        const toJSON = (input) => input.getType ? this.serializer.toJSON(input) : input;
+        return domDiff.diff(toJSON(before), toJSON(after));
+    }
+
+    /**
+     * Converts the diff of two CommonMark DOMs to a markdown string, with the changes in CriticMarkup
+     * @param {object} diff - the diff, as returned by diff
+     * @param {object} [options] configuration options, as for toMarkdown
+     * @returns {string} the markdown string
+     */
+    diffToMarkdown(diff, options) {
+        const markdown = this.toMarkdown(domDiff.redline(diff), options);
+        return domDiff.replaceMarkers(markdown, domDiff.CRITIC_MARKUP);
+    }
+
+    /**
+     * Merges the changes to a CommonMark DOM from two other DOMs. Changes which
+     * overlap are kept as Conflict nodes, which toMarkdown writes with conflict markers.
+     * @param {*} base - the common CommonMark DOM (in JSON or as a Concerto object)
+     * @param {*} ours - the first changed CommonMark DOM (in JSON or as a Concerto object)
+     * @param {*} theirs - the second changed CommonMark DOM (in JSON or as a Concerto object)
+     * @returns {object} the merged CommonMark DOM (in JSON)
+     */
+    merge(base, ours, theirs) {
+        const toJSON = (input) => input.getType ? this.serializer.toJSON(input) : input;
+        return domMerge.merge(toJSON(base), toJSON(ours), toJSON(theirs));
     }
 
     /**
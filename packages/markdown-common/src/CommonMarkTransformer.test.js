@@ -146,6 +146,478 @@ describe('to plain text', () => {
     });
 });
 
+/**
+ * Describes the tests for the markdown files in a test data sub-directory,
+ * parsed with the given options
+ * @param {string} dir the sub-directory
+ * @param {object} options the options for the CommonMark transformer
+ */
+function describeOptions(dir, options) {
+    const transformer = new CommonMarkTransformer(options);
+    const files = fs.readdirSync(__dirname + '/../test/data/' + dir);
+    files.forEach((file) => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/' + dir + '/' + file, 'utf8');
+
+        it(`converts ${file} to concerto JSON`, () => {
+            const json = transformer.fromMarkdown(markdownText, 'json');
+            expect(json).toMatchSnapshot();
+        });
+
+        it(`roundtrips ${file}`, () => {
+            const json1 = transformer.fromMarkdown(markdownText, 'json');
+            const newMarkdown = transformer.toMarkdown(json1);
+            const json2 = transformer.fromMarkdown(newMarkdown, 'json');
+            expect(json2).toEqual(json1);
+        });
+
+        it(`converts ${file} to plain text`, () => {
+            const json = transformer.fromMarkdown(markdownText, 'json');
+            const unformat = transformer.removeFormatting(json);
+            const md = transformer.toMarkdown(unformat);
+            expect(md).toMatchSnapshot();
+        });
+    });
+}
+
+describe('gfm', () => {
+    describeOptions('gfm', { tagInfo : true, gfm : true });
+
+    it('ignores strikethrough, task lists and autolinks without the gfm option', () => {
+        const json = commonMark.fromMarkdown('~~deleted~~ www.accordproject.org\n\n- [x] done', 'json');
+        expect(json.nodes[0].nodes).toEqual([{ $class: 'org.accordproject.commonmark.Text', text: '~~deleted~~ www.accordproject.org' }]);
+        expect(json.nodes[1].nodes[0].checked).toBeUndefined();
+        expect(commonMark.toMarkdown(json)).toEqual('\\~\\~deleted\\~\\~ www.accordproject.org\n-  [x] done');
+    });
+});
+
+describe('references', () => {
+    describeOptions('references', { tagInfo : true, references : true });
+
+    it('resolves reference links without the references option', () => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/references/references.md', 'utf8');
+        const json = commonMark.fromMarkdown(markdownText, 'json');
+        const link = json.nodes[0].nodes[1];
+        expect(link.destination).toEqual('http://example.com/buyer');
+        expect(link.referenceType).toBeUndefined();
+        expect(json.nodes.filter(node => node.$class === 'org.accordproject.commonmark.LinkDefinition')).toHaveLength(0);
+    });
+});
+
+describe('front matter', () => {
+    const frontMatterTransformer = new CommonMarkTransformer({ tagInfo : true, frontMatter : true });
+    describeOptions('frontmatter', { tagInfo : true, frontMatter : true });
+
+    it('records the front matter on the document', () => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/frontmatter/yaml.md', 'utf8');
+        const json = frontMatterTransformer.fromMarkdown(markdownText, 'json');
+        expect(json.frontMatter.format).toEqual('yaml');
+        expect(json.frontMatter.metadata.map(entry => [entry.name, entry.value])).toEqual([
+            ['title', 'Supply Agreement'],
+            ['jurisdiction', 'New York'],
+            ['version', '1.2'],
+            ['parties', '["Acme Corp.","Widgets Inc."]'],
+        ]);
+        expect(json.nodes[0].$class).toEqual('org.accordproject.commonmark.Heading');
+    });
+
+    it('returns the front matter data', () => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/frontmatter/toml.md', 'utf8');
+        const json = frontMatterTransformer.fromMarkdown(markdownText, 'json');
+        expect(frontMatterTransformer.getFrontMatter(json)).toEqual({ title: 'Supply Agreement', jurisdiction: 'New York', version: '1.2' });
+        expect(frontMatterTransformer.getFrontMatter(frontMatterTransformer.fromMarkdown('No front matter'))).toBeNull();
+    });
+
+    it('ignores front matter which is not a map of names to values', () => {
+        const json = frontMatterTransformer.fromMarkdown('---\nNot front matter\n---\n\nText', 'json');
+        expect(json.frontMatter).toBeUndefined();
+        expect(json.nodes.map(node => node.$class)).toEqual([
+            'org.accordproject.commonmark.ThematicBreak',
+            'org.accordproject.commonmark.Heading',
+            'org.accordproject.commonmark.Paragraph',
+        ]);
+    });
+
+    it('ignores front matter with no entries', () => {
+        const json = frontMatterTransformer.fromMarkdown('---\n\n## Heading\n\n---', 'json');
+        expect(json.frontMatter).toBeUndefined();
+        expect(json.nodes).toHaveLength(3);
+    });
+
+    it('ignores front matter which does not start the document', () => {
+        const json = frontMatterTransformer.fromMarkdown('Text\n\n---\ntitle: Not front matter\n---', 'json');
+        expect(json.frontMatter).toBeUndefined();
+    });
+
+    it('parses front matter as CommonMark without the frontMatter option', () => {
+        const json = commonMark.fromMarkdown('---\nNote: read this\n---\n\nBody', 'json');
+        expect(json.frontMatter).toBeUndefined();
+        expect(json.nodes.map(node => node.$class)).toEqual([
+            'org.accordproject.commonmark.ThematicBreak',
+            'org.accordproject.commonmark.Heading',
+            'org.accordproject.commonmark.Paragraph',
+        ]);
+        expect(json.nodes[1].nodes[0].text).toEqual('Note: read this');
+        expect(frontMatterTransformer.fromMarkdown('---\nNote: read this\n---\n\nBody', 'json').frontMatter.metadata).toEqual([
+            { $class: 'org.accordproject.commonmark.Metadata', name: 'Note', value: 'read this' },
+        ]);
+    });
+});
+
+describe('source positions', () => {
+    const markdownText = fs.readFileSync(__dirname + '/../test/data/sourcepos.md', 'utf8');
+    const transformer = new CommonMarkTransformer({ sourcePos : true });
+
+    /**
+     * Returns all the nodes in a DOM
+     * @param {*} node the root node
+     * @returns {*} the nodes
+     */
+    function allNodes(node) {
+        return [node].concat(...(node.nodes ? node.nodes.map(allNodes) : []));
+    }
+
+    it('converts sourcepos.md to concerto JSON', () => {
+        const json = transformer.fromMarkdown(markdownText, 'json');
+        expect(json).toMatchSnapshot();
+    });
+
+    it('records the position of each node', () => {
+        const json = transformer.fromMarkdown(markdownText, 'json');
+        const heading = json.nodes[0];
+        expect(heading.startPos).toEqual({ $class: 'org.accordproject.commonmark.SourcePos', line: 1, column: 1, offset: 0 });
+        expect(heading.endPos).toEqual({ $class: 'org.accordproject.commonmark.SourcePos', line: 1, column: 19, offset: 18 });
+        allNodes(json).filter(node => node.$class === 'org.accordproject.commonmark.Text').forEach(node => {
+            expect(markdownText.slice(node.startPos.offset, node.endPos.offset)).toEqual(node.text);
+        });
+        const emph = allNodes(json).find(node => node.$class === 'org.accordproject.commonmark.Emph');
+        expect(markdownText.slice(emph.startPos.offset, emph.endPos.offset)).toEqual('*Acme Corp.*');
+        const item = allNodes(json).filter(node => node.$class === 'org.accordproject.commonmark.Item')[1];
+        expect([item.startPos.line, item.startPos.column, item.endPos.line]).toEqual([8, 3, 10]);
+    });
+
+    it('does not record positions without the sourcePos option', () => {
+        const json = commonMark.fromMarkdown(markdownText, 'json');
+        expect(allNodes(json).filter(node => node.startPos || node.endPos)).toHaveLength(0);
+    });
+});
+
+describe('markdown style', () => {
+    const markdownText = fs.readFileSync(__dirname + '/../test/data/style.md', 'utf8');
+    const style = {
+        headingStyle: 'atx',
+        bullet: '*',
+        emphasis: '_',
+        strong: '__',
+        orderedNumbering: 'one',
+        fence: '~',
+    };
+
+    /**
+     * Replaces soft line breaks with spaces, which render the same
+     * @param {*} node the CommonMark DOM
+     * @returns {*} the CommonMark DOM without soft line breaks
+     */
+    function withoutSoftbreaks(node) {
+        if (!node.nodes) {
+            return node;
+        }
+        const softbreak = { $class: 'org.accordproject.commonmark.Text', text: ' ' };
+        const nodes = node.nodes.map(withoutSoftbreaks)
+            .map(child => child.$class === 'org.accordproject.commonmark.Softbreak' ? Object.assign({}, softbreak) : child);
+        return Object.assign({}, node, { nodes: CommonMarkUtils.mergeAdjacentTextNodes(nodes) });
+    }
+
+    it('converts style.md to markdown with a style', () => {
+        const json = commonMark.fromMarkdown(markdownText, 'json');
+        expect(commonMark.toMarkdown(json, { style })).toMatchSnapshot();
+    });
+
+    it('converts style.md to markdown with wrapped lines', () => {
+        const json = commonMark.fromMarkdown(markdownText, 'json');
+        const newMarkdown = commonMark.toMarkdown(json, { style: { wrap: 40 } });
+        expect(newMarkdown).toMatchSnapshot();
+        newMarkdown.split('\n').filter(line => !line.startsWith('`')).forEach(line => {
+            expect(line.length).toBeLessThanOrEqual(40);
+        });
+    });
+
+    it('uses the default style', () => {
+        const json = commonMark.fromMarkdown(markdownText, 'json');
+        expect(commonMark.toMarkdown(json, { style: {} })).toEqual(commonMark.toMarkdown(json));
+    });
+
+    it('rejects an unknown style', () => {
+        const json = commonMark.fromMarkdown(markdownText, 'json');
+        expect(() => commonMark.toMarkdown(json, { style: { bullet: '>' } })).toThrow('Invalid markdown style bullet: >');
+        expect(() => commonMark.toMarkdown(json, { style: { indent: 4 } })).toThrow('Unknown markdown style option: indent');
+    });
+
+    getMarkdownFiles().forEach(([file, markdownText]) => {
+        it(`roundtrips ${file} with a style`, () => {
+            const json1 = commonMark.fromMarkdown(markdownText, 'json');
+            const newMarkdown = commonMark.toMarkdown(json1, { style: Object.assign({ wrap: 30 }, style) });
+            const json2 = commonMark.fromMarkdown(newMarkdown, 'json');
+            expect(withoutSoftbreaks(json2)).toEqual(withoutSoftbreaks(json1));
+        });
+    });
+});
+
+describe('lossless', () => {
+    const transformer = new CommonMarkTransformer({ lossless : true });
+
+    /**
+     * Returns the first Text node in a DOM
+     * @param {*} node the root node
+     * @returns {*} the Text node, or undefined if there is none
+     */
+    function firstText(node) {
+        if (node.$class === 'org.accordproject.commonmark.Text' && node.text) {
+            return node;
+        }
+        return (node.nodes ? node.nodes : []).map(firstText).find(text => text);
+    }
+
+    it('converts a paragraph with the source and digests', () => {
+        const json = transformer.fromMarkdown('Some  *text*.\n', 'json');
+        expect(json.source).toEqual('Some  *text*.\n');
+        expect(json.digest).toMatch(/^[0-9a-f]{16}$/);
+        expect(json.nodes[0].digest).toMatch(/^[0-9a-f]{16}$/);
+        expect(json.nodes[0].startPos).toBeTruthy();
+    });
+
+    it('does not record digests without the lossless option', () => {
+        const json = commonMark.fromMarkdown('Some  *text*.\n', 'json');
+        expect(json.source).toBeUndefined();
+        expect(json.digest).toBeUndefined();
+    });
+
+    it('only converts the nodes which have changed', () => {
+        const json = transformer.fromMarkdown('Title\n=====\n\nSome  *text*.\n\n+ one\n+ two\n', 'json');
+        json.nodes[1].nodes[0].text = 'Other  ';
+        expect(transformer.toMarkdown(json)).toEqual('Title\n=====\n\nOther  *text*.\n\n+ one\n+ two\n');
+    });
+
+    it('keeps the style of the source for the nodes which have changed', () => {
+        const json = transformer.fromMarkdown('Title\n=====\n\n1) __one__\n2) two\n', 'json');
+        json.nodes[0].nodes[0].text = 'Other title';
+        json.nodes[1].nodes[1].nodes[0].nodes[0].text = 'three';
+        expect(transformer.toMarkdown(json, { style: { headingStyle: 'atx', strong: '**' } })).toEqual('Other title\n====\n\n1) __one__\n2) three\n');
+    });
+
+    getMarkdownFiles().forEach(([file, markdownText]) => {
+        it(`converts ${file} back to the same markdown`, () => {
+            const json = transformer.fromMarkdown(markdownText);
+            expect(transformer.toMarkdown(json)).toEqual(markdownText.replace(/\r\n/g, '\n'));
+        });
+
+        it(`converts ${file} with a change`, () => {
+            const json = transformer.fromMarkdown(markdownText, 'json');
+            const text = firstText(json);
+            if (text) {
+                text.text += ' changed';
+                const expected = commonMark.fromMarkdown(commonMark.toMarkdown(json), 'json');
+                expect(commonMark.fromMarkdown(transformer.toMarkdown(json), 'json')).toEqual(expected);
+            }
+        });
+    });
+});
+
+describe('diff', () => {
+    const transformer = new CommonMarkTransformer();
+    const before = transformer.fromMarkdown(fs.readFileSync(__dirname + '/../test/data/diff/before.md', 'utf8'), 'json');
+    const after = transformer.fromMarkdown(fs.readFileSync(__dirname + '/../test/data/diff/after.md', 'utf8'), 'json');
+
+    /**
+     * Returns the operations which change a node, without the nodes
+     * @param {*} operation the diff
+     * @returns {*} the changes
+     */
+    function changes(operation) {
+        const result = { op: operation.op, type: operation.type };
+        if (operation.text) {
+            result.text = operation.text;
+        }
+        if (operation.nodes) {
+            result.nodes = operation.nodes.filter(child => child.op !== 'equal').map(changes);
+        }
+        return result;
+    }
+
+    it('compares two documents', () => {
+        const diff = transformer.diff(before, after);
+        expect(changes(diff)).toMatchSnapshot();
+        expect(diff.nodes.find(operation => operation.op === 'move')).toMatchObject({ type: 'Paragraph', from: 5, to: 1 });
+    });
+
+    it('compares a document with itself', () => {
+        expect(transformer.diff(before, before)).toMatchObject({ op: 'equal', type: 'Document' });
+    });
+
+    it('compares two documents as Concerto objects', () => {
+        const diff = transformer.diff(transformer.getSerializer().fromJSON(before), transformer.getSerializer().fromJSON(after));
+        expect(changes(diff)).toEqual(changes(transformer.diff(before, after)));
+    });
+
+    it('compares the words of a text', () => {
+        const diff = transformer.diff(transformer.fromMarkdown('Pay within 10 days.', 'json'), transformer.fromMarkdown('Pay within 15 business days.', 'json'));
+        expect(diff.nodes[0].nodes[0].text).toEqual([
+            { op: 'equal', text: 'Pay within ' },
+            { op: 'delete', text: '10' },
+            { op: 'insert', text: '15 business' },
+            { op: 'equal', text: ' days.' },
+        ]);
+    });
+
+    it('converts a diff to markdown with CriticMarkup', () => {
+        const diff = transformer.diff(before, after);
+        expect(transformer.diffToMarkdown(diff)).toMatchSnapshot();
+    });
+
+    it('converts a diff to wrapped markdown with CriticMarkup', () => {
+        const diff = transformer.diff(transformer.fromMarkdown('Pay within ten days of the invoice.', 'json'), transformer.fromMarkdown('Pay within fifteen business days of the invoice.', 'json'));
+        expect(transformer.diffToMarkdown(diff, { style: { wrap: 10 } })).toEqual('Pay\nwithin {--ten--}{++fifteen\nbusiness++}\ndays of\nthe\ninvoice.');
+    });
+
+    it('converts a diff of code blocks to markdown with CriticMarkup', () => {
+        const diff = transformer.diff(transformer.fromMarkdown('```\nold\n```', 'json'), transformer.fromMarkdown('```\nnew\n```', 'json'));
+        expect(transformer.diffToMarkdown(diff)).toEqual('{--\n\n```\nold\n```\n\n--}\n\n{++\n\n```\nnew\n```\n\n++}');
+    });
+});
+
+describe('extensions', () => {
+    /**
+     * A markdown-it plugin for admonitions, i.e., blocks between '::: kind' and ':::' lines
+     * @param {*} md the markdown-it parser
+     */
+    function admonitions(md) {
+        const lineText = (state, line) => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+        md.block.ruler.before('fence', 'admonition', (state, startLine, endLine, silent) => {
+            const match = lineText(state, startLine).match(/^::: *(\w+)$/);
+            if (!match) {
+                return false;
+            } else if (silent) {
+                return true;
+            }
+            let next = startLine + 1;
+            while (next < endLine && lineText(state, next) !== ':::') {
+                next++;
+            }
+            const open = state.push('admonition_open', 'div', 1);
+            open.info = match[1];
+            open.map = [startLine, next];
+            const lineMax = state.lineMax;
+            state.lineMax = next;
+            state.md.block.tokenize(state, startLine + 1, next);
+            state.lineMax = lineMax;
+            state.push('admonition_close', 'div', -1);
+            state.line = Math.min(next + 1, endLine);
+            return true;
+        });
+    }
+    const admonition = {
+        plugins: [admonitions],
+        model: 'namespace org.example.admonition\nimport org.accordproject.commonmark.Child\nconcept Admonition extends Child {\n    o String kind\n}',
+        toCommonMarkRules: {
+            inlines: {},
+            blocks: {
+                admonition_open: { tag: 'org.example.admonition.Admonition', leaf: false, open: true, close: false, enter: (node, token) => {
+                    node.kind = token.info;
+                } },
+                admonition_close: { tag: 'org.example.admonition.Admonition', leaf: false, open: false, close: true },
+            },
+        },
+        fromCommonMarkRules: {
+            Admonition: (visitor, thing, children, parameters, resultString, resultSeq) => {
+                const newLine = CommonMarkUtils.blocksNewLines({ first: false, blocks: parameters.stack.blocks }, 1);
+                const content = visitor.visitChildren(visitor, thing, Object.assign({}, parameters, { stack: { first: true, blocks: parameters.stack.blocks } }));
+                const result = [resultString(CommonMarkUtils.mkPrefix(parameters, 2)), resultString(`::: ${thing.kind}`), resultString(newLine), content, resultString(newLine), resultString(':::')];
+                resultSeq(parameters, result);
+            },
+        },
+    };
+    const markdownText = '::: warning\nPay *within* 10 days.\n:::\n\nThe end.';
+
+    it('parses the syntax of an extension', () => {
+        const transformer = new CommonMarkTransformer({ extensions: [admonition] });
+        const json = transformer.fromMarkdown(markdownText, 'json');
+        expect(json.nodes[0]).toMatchObject({ $class: 'org.example.admonition.Admonition', kind: 'warning' });
+        expect(json.nodes[0].nodes[0].$class).toEqual('org.accordproject.commonmark.Paragraph');
+        expect(transformer.toMarkdown(json)).toEqual(markdownText);
+    });
+
+    it('does not change the other transformers', () => {
+        new CommonMarkTransformer({ extensions: [admonition] }).fromMarkdown(markdownText);
+        expect(require('./tocommonmarkrules').blocks.admonition_open).toBeUndefined();
+        const json = new CommonMarkTransformer().fromMarkdown(markdownText, 'json');
+        expect(json.nodes[0].$class).toEqual('org.accordproject.commonmark.Paragraph');
+        expect(() => new CommonMarkTransformer().toMarkdown({
+            $class: 'org.accordproject.commonmark.Document',
+            xmlns: 'http://commonmark.org/xml/1.0',
+            nodes: [{ $class: 'org.example.admonition.Admonition', kind: 'warning' }],
+        })).toThrow();
+    });
+
+    it('uses markdown-it plugins with options', () => {
+        const plugin = jest.fn();
+        new CommonMarkTransformer({ extensions: [{ plugins: [[plugin, { strict: true }]] }] }).toTokens('Text');
+        expect(plugin).toHaveBeenCalledWith(expect.anything(), { strict: true });
+    });
+});
+
+describe('merge', () => {
+    const transformer = new CommonMarkTransformer();
+    const base = transformer.fromMarkdown('# Title\n\nThe seller pays the buyer.\n\nDeliver the goods.\n\nPay within 10 days.', 'json');
+
+    it('merges a document with itself', () => {
+        expect(transformer.merge(base, base, base)).toEqual(base);
+    });
+
+    it('merges changes which do not overlap', () => {
+        const ours = transformer.fromMarkdown('# Title\n\nThe seller quickly pays the buyer.\n\nPay within 10 days.', 'json');
+        const theirs = transformer.fromMarkdown('# New Title\n\nThe seller pays the buyer in full.\n\nDeliver the goods.\n\nPay within 10 days.\n\nSign here.', 'json');
+        const merged = transformer.merge(base, ours, theirs);
+        expect(transformer.toMarkdown(merged, { style: { headingStyle: 'atx' } })).toEqual('# New Title\n\nThe seller quickly pays the buyer in full.\n\nPay within 10 days.\n\nSign here.');
+    });
+
+    it('merges documents as Concerto objects', () => {
+        const ours = transformer.fromMarkdown('# Title\n\nThe seller quickly pays the buyer.', 'json');
+        const theirs = transformer.fromMarkdown('# New Title\n\nThe seller pays the buyer.', 'json');
+        const serializer = transformer.getSerializer();
+        expect(transformer.merge(serializer.fromJSON(base), serializer.fromJSON(ours), serializer.fromJSON(theirs))).toEqual(transformer.merge(base, ours, theirs));
+    });
+
+    it('keeps changes which overlap as conflicts', () => {
+        const ours = transformer.fromMarkdown('# Title\n\nThe seller pays the buyer.\n\nDeliver the goods.\n\nPay within 15 days.', 'json');
+        const theirs = transformer.fromMarkdown('# Title\n\nThe seller pays the buyer.\n\nDeliver all the goods.\n\nPay within 20 days.', 'json');
+        const merged = transformer.merge(base, ours, theirs);
+        expect(merged.nodes[3]).toEqual({
+            $class: 'org.accordproject.commonmark.Conflict',
+            base: [base.nodes[3]],
+            ours: [ours.nodes[3]],
+            theirs: [theirs.nodes[3]],
+        });
+        expect(transformer.toMarkdown(merged, { style: { headingStyle: 'atx' } })).toEqual('# Title\n\nThe seller pays the buyer.\n\nDeliver all the goods.\n\n<<<<<<< ours\n\nPay within 15 days.\n\n=======\n\nPay within 20 days.\n\n>>>>>>> theirs');
+    });
+
+    it('keeps a change which overlaps a deletion as a conflict', () => {
+        const ours = transformer.fromMarkdown('# Title\n\nThe seller pays the buyer.\n\nPay within 10 days.', 'json');
+        const theirs = transformer.fromMarkdown('# Title\n\nThe seller pays the buyer.\n\nDeliver all the goods.\n\nPay within 10 days.', 'json');
+        const merged = transformer.merge(base, ours, theirs);
+        expect(merged.nodes[2]).toMatchObject({ $class: 'org.accordproject.commonmark.Conflict', ours: [], theirs: [theirs.nodes[2]] });
+    });
+
+    it('keeps conflicts in the closest container block', () => {
+        const merged = transformer.merge(
+            transformer.fromMarkdown('> - Pay within 10 days.', 'json'),
+            transformer.fromMarkdown('> - Pay within 15 days.', 'json'),
+            transformer.fromMarkdown('> - Pay within 20 days.', 'json')
+        );
+        const item = merged.nodes[0].nodes[0].nodes[0];
+        expect(item.nodes[0].$class).toEqual('org.accordproject.commonmark.Conflict');
+        expect(transformer.toMarkdown(merged)).toMatchSnapshot();
+    });
+});
+
 describe('readme', () => {
     it('converts example1 to CommonMark DOM', () => {
         const json = commonMark.fromMarkdown('# Heading\n\nThis is some `code`.\n\nFin.', 'json');
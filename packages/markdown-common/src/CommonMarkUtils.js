@@ -16,6 +16,7 @@
 
 const DOMParser = require('xmldom').DOMParser;
 const NS_PREFIX_CommonMarkModel = require('./externalModels/CommonMarkModel').NS_PREFIX_CommonMarkModel;
+const lossless = require('./lossless');
 
 /**
  * CommonMark Utilities
@@ -55,6 +56,7 @@ function blocksEnterBlock(stack,blockType) {
         break;
     case 'ClauseDefinition':
     case 'ListBlockDefinition':
+    case 'FootnoteDefinition':
     case 'Item': {
         newStack.first = true;
     }
@@ -87,6 +89,12 @@ function blocksNewLines(stack,nb) {
                 } else {
                     prefix = '   ' + prefix;
                 }
+            } else if (blocks[i] === 'FootnoteDefinition') {
+                if (stack.first) {
+                    break;
+                } else {
+                    prefix = '    ' + prefix;
+                }
             } else if (blocks[i] === 'BlockQuote') {
                 prefix = '> ' + prefix;
             }
@@ -128,6 +136,7 @@ function mkParameters(ast, parametersOut, init) {
         parameters.index = parameters.indexInit; // Current index
         parameters.tight = ast.tight; // Tight or loose list
         parameters.type = ast.type; // ordered or bulleted list
+        parameters.marker = parametersOut.source ? lossless.listMarker(ast, parametersOut.source) : null; // Marker in the source, in lossless mode
     }
     return parameters;
 }
@@ -164,6 +173,224 @@ function mkATXHeading(level) {
     return Array(level).fill('#').join('');
 }
 
+/**
+ * Create the link text suffix for a reference link
+ * @param {string} referenceType - the reference type (full, collapsed or shortcut)
+ * @param {string} label - the reference label
+ * @return {string} the markup after the link text
+ */
+function mkReference(referenceType, label) {
+    switch(referenceType) {
+    case 'full': return `][${label}]`;
+    case 'collapsed': return '][]';
+    default: return ']';
+    }
+}
+
+/**
+ * Create the markup for a link title
+ * @param {string} title - the title
+ * @return {string} the markup for the title
+ */
+function mkTitle(title) {
+    return title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+}
+
+/**
+ * Create the marker for a task list item
+ * @param {boolean} checked - whether the task is done
+ * @return {string} the markup for the task marker
+ */
+function mkTaskMarker(checked) {
+    return checked ? '[x] ' : '[ ] ';
+}
+
+/**
+ * The default markdown style
+ */
+const DEFAULT_STYLE = {
+    headingStyle: 'setext',
+    bullet: '-',
+    emphasis: '*',
+    strong: '**',
+    orderedNumbering: 'increment',
+    fence: '`',
+    wrap: 0,
+};
+
+/**
+ * The allowed values for each markdown style option
+ */
+const STYLE_VALUES = {
+    headingStyle: ['setext', 'atx'],
+    bullet: ['-', '*', '+'],
+    emphasis: ['*', '_'],
+    strong: ['**', '__'],
+    orderedNumbering: ['increment', 'one'],
+    fence: ['`', '~'],
+};
+
+/**
+ * Create a markdown style from style options, using the default style for
+ * any missing option
+ * @param {object} [options] - the style options
+ * @return {*} the markdown style
+ */
+function mkStyle(options) {
+    const style = Object.assign({}, DEFAULT_STYLE, options);
+    Object.keys(style).forEach((name) => {
+        if (name === 'wrap') {
+            if (!Number.isInteger(style.wrap) || style.wrap < 0) {
+                throw new Error(`Invalid markdown style wrap: ${style.wrap}`);
+            }
+        } else if (!STYLE_VALUES[name]) {
+            throw new Error(`Unknown markdown style option: ${name}`);
+        } else if (!STYLE_VALUES[name].includes(style[name])) {
+            throw new Error(`Invalid markdown style ${name}: ${style[name]}`);
+        }
+    });
+    return style;
+}
+
+/**
+ * Get the markdown style for the current parameters
+ * @param {*} parameters - the parameters
+ * @return {*} the markdown style
+ */
+function getStyle(parameters) {
+    return parameters.style ? parameters.style : DEFAULT_STYLE;
+}
+
+/**
+ * Whether a character is a letter or a digit
+ * @param {string} char - the character
+ * @return {boolean} whether the character is a letter or a digit
+ */
+function isWordChar(char) {
+    return /[0-9]/.test(char) || char.toLowerCase() !== char.toUpperCase();
+}
+
+/**
+ * Whether a sibling node may touch an underscore delimiter on the given side.
+ * Underscore emphasis cannot start or end inside a word, or next to another
+ * delimiter.
+ * @param {*} parameters - the parameters, with the previous and next nodes
+ * @param {*} node - the sibling node, if any
+ * @param {boolean} atEnd - whether to check the end (or else the start) of the sibling
+ * @return {boolean} whether the sibling touches a word character or a delimiter
+ */
+function touchesWord(parameters, node, atEnd) {
+    if (!node) {
+        // At the start or end of an inline, next to its own delimiter
+        const blocks = parameters.stack.blocks;
+        return ['Emph', 'Strong', 'Strikethrough', 'Link', 'Image'].includes(blocks[blocks.length - 1]);
+    }
+    if (node.getType() !== 'Text') {
+        return node.getType() !== 'Softbreak' && node.getType() !== 'Linebreak';
+    }
+    const char = node.text ? (atEnd ? node.text.charAt(node.text.length - 1) : node.text.charAt(0)) : '';
+    return char === '_' || isWordChar(char);
+}
+
+/**
+ * Create the delimiter for emphasis or strong emphasis. Underscores are
+ * replaced by asterisks inside a word, or when the emphasized text has
+ * underscores.
+ * @param {*} parameters - the parameters, with the previous and next nodes
+ * @param {string} delimiter - the delimiter from the style
+ * @param {string} children - the emphasized markdown
+ * @return {string} the delimiter
+ */
+function mkEmphasisDelimiter(parameters, delimiter, children) {
+    if (delimiter.startsWith('_') &&
+        (touchesWord(parameters, parameters.previous, true) ||
+         touchesWord(parameters, parameters.next, false) ||
+         (typeof children === 'string' && children.includes('_')))) {
+        return delimiter.replace(/_/g, '*');
+    }
+    return delimiter;
+}
+
+/**
+ * Create the fence for a code block, longer than any fence in its text
+ * @param {string} char - the fence character
+ * @param {string} text - the code block text
+ * @return {string} the fence
+ */
+function mkFence(char, text) {
+    const escaped = char === '`' ? '`' : '\\' + char;
+    const runs = text.match(new RegExp(`^ {0,3}${escaped}{3,}`, 'gm'));
+    const length = runs ? Math.max(...runs.map((run) => run.trim().length)) + 1 : 3;
+    return char.repeat(length);
+}
+
+/**
+ * Marks the places where a line can be wrapped
+ */
+const WRAP_POINT = '\uE000';
+
+/**
+ * Mark the changes in the text of a redline. Like the wrap points, these are
+ * private use characters which are replaced once the markdown is written, so
+ * they must all differ from each other.
+ */
+const DIFF_MARKERS = {
+    insertStart: '\uE001',
+    insertEnd: '\uE002',
+    deleteStart: '\uE003',
+    deleteEnd: '\uE004',
+    substituteStart: '\uE005',
+    substituteSeparator: '\uE006',
+    substituteEnd: '\uE007',
+};
+
+/**
+ * Mark the spaces in a text where a line can be wrapped. Lines are only
+ * wrapped before a letter, so that the next line cannot start a new block.
+ * @param {string} input - the escaped text
+ * @return {string} the text with wrap points
+ */
+function mkWrapPoints(input) {
+    // Text which could start a link reference definition is kept on one line
+    if (input.startsWith('[')) {
+        return input;
+    }
+    return input.replace(/(\S) (?=\S)/g, (match, before, offset) => {
+        const next = input.charAt(offset + 2);
+        return isWordChar(next) && !/[0-9]/.test(next) ? before + WRAP_POINT : match;
+    });
+}
+
+/**
+ * Wrap the lines of a paragraph at the wrap points, so that lines are no
+ * longer than the given width when possible
+ * @param {string} input - the paragraph markdown, with wrap points
+ * @param {number} width - the maximum line width, or 0 to not wrap
+ * @param {string} prefix - the prefix for new lines, e.g., '\n> '
+ * @return {string} the wrapped paragraph
+ */
+function wrapText(input, width, prefix) {
+    if (!width) {
+        return input.replace(new RegExp(WRAP_POINT, 'g'), ' ');
+    }
+    const indent = prefix.length - 1;
+    return input.split('\n').map((line, index) => {
+        const words = line.split(WRAP_POINT);
+        let column = (index === 0 ? indent : 0) + words[0].length;
+        let result = words[0];
+        words.slice(1).forEach((word) => {
+            if (column + 1 + word.length > width) {
+                result += prefix + word;
+                column = indent + word.length;
+            } else {
+                result += ' ' + word;
+                column += 1 + word.length;
+            }
+        });
+        return result;
+    }).join('\n');
+}
+
 /**
  * Adding escapes for text nodes
  * @param {string} input - unescaped
@@ -171,12 +398,39 @@ function mkATXHeading(level) {
  */
 function escapeText(input) {
     return input.replace(/[*`&>]/g, '\\$&') // Replaces special characters
+        .replace(/~~/g, '\\~\\~') // Replaces strikethrough markers
         .replace(/^(#+) /g, '\\$1 ') // Replaces heading markers
         .replace(/^(\d+)\. /g, '$1\\. ') // Replaces ordered list markers
         .replace(/^- /g, '\\- ') // Replaces unordered list markers
         .replace(/^_/g, '\\_'); // Replaces thematic break markers
 }
 
+/**
+ * Adding escapes for text nodes inside a table cell
+ * @param {string} input - unescaped
+ * @return {string} escaped
+ */
+function escapeTableCell(input) {
+    return input.replace(/\|/g, '\\|'); // Replaces column separators
+}
+
+/**
+ * Create the delimiter row for a table
+ * @param {string[]} aligns - the alignment for each column
+ * @return {string} the markup for the delimiter row
+ */
+function mkTableDelimiter(aligns) {
+    const columns = aligns.map((align) => {
+        switch(align) {
+        case 'left': return ':---';
+        case 'center': return ':---:';
+        case 'right': return '---:';
+        default: return '---';
+        }
+    });
+    return `| ${columns.join(' | ')} |`;
+}
+
 /**
  * Adding escapes for code blocks
  * @param {string} input - unescaped
@@ -255,6 +509,9 @@ function mergeAdjacentTextNodes(nodes) {
                cur.$class === (NS_PREFIX_CommonMarkModel + 'Text') &&
                next.$class === (NS_PREFIX_CommonMarkModel + 'Text')) {
                 next.text = cur.text + next.text;  // Fold text in next node, skip current node
+                if (cur.startPos) {
+                    next.startPos = cur.startPos;
+                }
             } else {
                 result.push(cur);
             }
@@ -286,6 +543,9 @@ function mergeAdjacentHtmlNodes(nodes, tagInfo) {
                next.text === `</${cur.tag.tagName}>`) {
                 next.text = cur.text + next.text;  // Fold text in next node, skip current node
                 next.tag = tagInfo ? parseHtmlBlock(next.text) : null;
+                if (cur.startPos) {
+                    next.startPos = cur.startPos;
+                }
             }
             else {
                 result.push(cur);
@@ -338,6 +598,45 @@ function getAttr(attrs,name,def) {
     }
 }
 
+/**
+ * Get the alignment of a table cell
+ *
+ * @param {*} attrs table cell attributes
+ * @returns {string} the alignment (left, center or right), or null
+ */
+function getAlign(attrs) {
+    const style = getAttr(attrs,'style','');
+    const match = style.match(/text-align:\s*(left|center|right)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Create front matter
+ * @param {*} frontMatter - the front matter node
+ * @return {string} the markup for the front matter
+ */
+function mkFrontMatter(frontMatter) {
+    const fence = frontMatter.format === 'toml' ? '+++' : '---';
+    return `${fence}\n${frontMatter.text}\n${fence}\n\n`;
+}
+
+/**
+ * Number the footnotes of a document, in the order of their first reference
+ *
+ * @param {*} node the document (as a Concerto object)
+ * @param {Map} [numbers] the numbers found so far
+ * @returns {Map} the number for each footnote label
+ */
+function footnoteNumbers(node, numbers = new Map()) {
+    if (node.getType() === 'FootnoteReference' && !numbers.has(node.label)) {
+        numbers.set(node.label, numbers.size + 1);
+    }
+    if (node.nodes) {
+        node.nodes.forEach(child => footnoteNumbers(child, numbers));
+    }
+    return numbers;
+}
+
 /**
  * Trim single ending newline
  *
@@ -362,8 +661,21 @@ module.exports.mkParameters = mkParameters;
 module.exports.mkPrefix = mkPrefix;
 module.exports.mkSetextHeading = mkSetextHeading;
 module.exports.mkATXHeading = mkATXHeading;
+module.exports.mkTableDelimiter = mkTableDelimiter;
+module.exports.mkTaskMarker = mkTaskMarker;
+module.exports.mkReference = mkReference;
+module.exports.mkTitle = mkTitle;
+module.exports.mkStyle = mkStyle;
+module.exports.getStyle = getStyle;
+module.exports.touchesWord = touchesWord;
+module.exports.mkEmphasisDelimiter = mkEmphasisDelimiter;
+module.exports.mkFence = mkFence;
+module.exports.mkWrapPoints = mkWrapPoints;
+module.exports.wrapText = wrapText;
+module.exports.DIFF_MARKERS = DIFF_MARKERS;
 
 module.exports.escapeText = escapeText;
+module.exports.escapeTableCell = escapeTableCell;
 module.exports.escapeCodeBlock = escapeCodeBlock;
 module.exports.unescapeCodeBlock = unescapeCodeBlock;
 
@@ -373,4 +685,7 @@ module.exports.mergeAdjacentHtmlNodes = mergeAdjacentHtmlNodes;
 
 module.exports.headingLevel = headingLevel;
 module.exports.getAttr = getAttr;
+module.exports.getAlign = getAlign;
+module.exports.footnoteNumbers = footnoteNumbers;
+module.exports.mkFrontMatter = mkFrontMatter;
 module.exports.trimEndline = trimEndline;
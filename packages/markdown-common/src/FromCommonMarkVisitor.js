@@ -45,7 +45,10 @@ class FromCommonMarkVisitor {
     visitChildren(visitor, thing, parameters, field = 'nodes') {
         const parametersIn = CommonMarkUtils.mkParameters(thing, parameters,this.resultString(''));
         if(thing[field]) {
-            thing[field].forEach(node => {
+            thing[field].forEach((node, index) => {
+                // Siblings, e.g., to check whether emphasis is inside a word
+                parametersIn.previous = index > 0 ? thing[field][index-1] : null;
+                parametersIn.next = index < thing[field].length-1 ? thing[field][index+1] : null;
                 node.accept(visitor, parametersIn);
                 CommonMarkUtils.nextNode(parametersIn);
             });
@@ -24,13 +24,58 @@ const tocommonmarkrules = require('./tocommonmarkrules');
 class FromMarkdownIt {
     /**
      * Construct the transformer
-     * @param {*[]} rules - the rules for each kind of markdown-it tokens
+     * @param {*[]} rules - additional rules for each kind of markdown-it tokens, only for this transformer
      */
     constructor(rules) {
-        this.rules = tocommonmarkrules;
-        if (rules) {
-            this.rules.inlines = Object.assign(this.rules.inlines,rules.inlines);
-            this.rules.blocks = Object.assign(this.rules.blocks,rules.blocks);
+        this.rules = {
+            inlines: Object.assign({},tocommonmarkrules.inlines,rules ? rules.inlines : {}),
+            blocks: Object.assign({},tocommonmarkrules.blocks,rules ? rules.blocks : {}),
+        };
+    }
+
+    /**
+     * Create a source position
+     *
+     * @param {*} point - the line, column and offset
+     * @returns {*} the source position
+     */
+    static sourcePos(point) {
+        return {
+            '$class': 'org.accordproject.commonmark.SourcePos',
+            'line': point.line,
+            'column': point.column,
+            'offset': point.offset,
+        };
+    }
+
+    /**
+     * Records the source position of a token on a node, if any
+     *
+     * @param {*} node - the CommonMark node
+     * @param {*} token - the markdown-it token
+     */
+    static enterPosition(node,token) {
+        if (token.position) {
+            node.startPos = FromMarkdownIt.sourcePos(token.position.start);
+            node.endPos = FromMarkdownIt.sourcePos(token.position.end);
+        }
+    }
+
+    /**
+     * Records the end position of a node when it is closed. Nodes with no
+     * position of their own, e.g., table cells, span their children.
+     *
+     * @param {*} node - the CommonMark node
+     * @param {*} token - the markdown-it closing token
+     */
+    static exitPosition(node,token) {
+        if (token.position && node.startPos) {
+            node.endPos = FromMarkdownIt.sourcePos(token.position.end);
+        }
+        const children = node.nodes ? node.nodes.filter(child => child.startPos) : [];
+        if (!node.startPos && children.length > 0) {
+            node.startPos = children[0].startPos;
+            node.endPos = children[children.length - 1].endPos;
         }
     }
 
@@ -67,21 +112,25 @@ class FromMarkdownIt {
             if (rule.leaf) {
                 const node = { $class: rule.tag };
                 if (rule.enter) { rule.enter(node,token,FromMarkdownIt.inlineCallback(rules)); }
+                FromMarkdownIt.enterPosition(node,token);
                 if (!(rule.skipEmpty && node.text === '')) {
                     stack.append(node);
                 }
             } else if (rule.open && rule.close) {
                 const node = { $class: rule.tag };
                 if (rule.enter) { rule.enter(node,token,FromMarkdownIt.inlineCallback(rules)); }
+                FromMarkdownIt.enterPosition(node,token);
                 stack.append(node);
             } else if (rule.open) {
                 const node = { $class: rule.tag };
                 if (rule.enter) { rule.enter(node,token,FromMarkdownIt.inlineCallback(rules)); }
+                FromMarkdownIt.enterPosition(node,token);
                 node.nodes = [];
                 stack.push(node, true);
             } else if (rule.close) {
                 const node = stack.pop();
                 if (rule.exit) { rule.exit(node,token,FromMarkdownIt.inlineCallback(rules)); }
+                FromMarkdownIt.exitPosition(node,token);
             } else {
                 const node = stack.peek();
                 if (rule.enter) { rule.enter(node,token,FromMarkdownIt.inlineCallback(rules)); }
@@ -142,23 +191,30 @@ class FromMarkdownIt {
             if (rule.leaf) {
                 const node = { $class: rule.tag };
                 if (rule.enter) { rule.enter(node,token,FromMarkdownIt.inlineCallback(rules)); }
+                FromMarkdownIt.enterPosition(node,token);
                 stack.append(node);
             } else if (rule.open) {
                 const node = { $class: rule.tag };
                 if (rule.enter) { rule.enter(node,token,FromMarkdownIt.inlineCallback(rules)); }
+                FromMarkdownIt.enterPosition(node,token);
                 node.nodes = [];
                 stack.push(node, true);
             } else if (rule.close) {
                 const node = stack.pop();
                 if (rule.exit) { rule.exit(node,token,FromMarkdownIt.inlineCallback(rules)); }
+                FromMarkdownIt.exitPosition(node,token);
                 if (token.type !== 'paragraph_close') {
                     if (node.nodes.length === 0) {
                         delete node.nodes;
                     }
                 }
+            } else {
+                const node = stack.peek();
+                if (rule.enter) { rule.enter(node,token,FromMarkdownIt.inlineCallback(rules)); }
             }
         }
 
+        FromMarkdownIt.exitPosition(rootNode,{});
         if (!rootNode.nodes || rootNode.nodes.length === 0) {
             rootNode.nodes.push({
                 '$class': 'org.accordproject.commonmark.Paragraph',
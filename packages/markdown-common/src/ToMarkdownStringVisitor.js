@@ -17,6 +17,16 @@
 const CommonMarkUtils = require('./CommonMarkUtils');
 const FromCommonMarkVisitor = require('./FromCommonMarkVisitor');
 const fromcommonmarkrules = require('./fromcommonmarkrules');
+const lossless = require('./lossless');
+
+// Blocks whose children are inlines
+const INLINE_CONTAINERS = ['Paragraph', 'Heading', 'TableCell'];
+// Blocks containing other blocks
+const CONTAINERS = ['BlockQuote', 'List', 'Item', 'FootnoteDefinition'];
+// Nodes whose markup is not in their source text: table cells, and the
+// delimiter row of a table head
+const NOT_COPIED = ['TableHead', 'TableCell'];
+const BREAKS = ['Softbreak', 'Linebreak'];
 
 /**
  * Converts a CommonMark DOM to a markdown string.
@@ -27,15 +37,17 @@ const fromcommonmarkrules = require('./fromcommonmarkrules');
  * notation.
  *
  * The resulting AST *should* be equivalent however.
+ *
+ * If the CommonMark DOM was parsed in lossless mode, the source text of the
+ * nodes which have not changed is used instead.
  */
 class ToMarkdownStringVisitor extends FromCommonMarkVisitor {
     /**
      * Construct the visitor.
      * @param {object} [options] configuration options
-     * @param {*} resultSeq how to sequentially combine results
-     * @param {object} rules how to process each node type
+     * @param {object} [rules] how to process additional node types, only for this visitor
      */
-    constructor(options) {
+    constructor(options, rules) {
         const resultString = (result) => {
             return result;
         };
@@ -44,20 +56,159 @@ class ToMarkdownStringVisitor extends FromCommonMarkVisitor {
                 parameters.result += next;
             });
         };
-        const rules = fromcommonmarkrules;
-        super(options,resultString,resultSeq,rules);
+        super(options,resultString,resultSeq,Object.assign({},fromcommonmarkrules,rules));
+    }
+
+    /**
+     * Visit a node, copying its source text if it has not changed
+     * @param {*} thing the object being visited
+     * @param {*} parameters the parameters
+     */
+    visit(thing, parameters) {
+        const source = parameters.source;
+        if (!source || !thing.startPos || !thing.endPos) {
+            super.visit(thing, parameters);
+            return;
+        }
+        const type = thing.getType();
+        const blocks = parameters.stack.blocks;
+        const prefix = CommonMarkUtils.blocksNewLines({ first: false, blocks }, 1).slice(1);
+        // The separators which may start the markdown for the node
+        const separators = [2, 1].map(nb => [
+            CommonMarkUtils.mkPrefix(parameters, nb),
+            // Block quote markers are added by the first child of the block quote
+            CommonMarkUtils.blocksNewLines({ first: parameters.stack.first, blocks: blocks.concat(type) }, nb),
+        ]);
+
+        // Nodes which have changed keep the style of their source
+        const result = parameters.result;
+        const style = parameters.style;
+        const sourceStyle = lossless.sourceStyle(thing, source);
+        if (sourceStyle) {
+            parameters.style = Object.assign({}, style, sourceStyle);
+        }
+        // The source column of blocks, for the line breaks of their inlines
+        const column = parameters.sourceColumn;
+        const inline = INLINE_CONTAINERS.some(container => blocks.includes(container));
+        if (!inline) {
+            parameters.sourceColumn = this.sourceStart(thing, parameters) - thing.startPos.offset + thing.startPos.column - 1;
+        }
+        parameters.result = this.resultString('');
+        super.visit(thing, parameters);
+        const markdown = parameters.result;
+        parameters.result = result;
+        parameters.style = style;
+        parameters.sourceColumn = column;
+
+        const copy = this.copySource(thing, parameters, prefix);
+        // Inlines, and line breaks, are not separated from their previous sibling
+        if (inline || (copy && copy.inline)) {
+            parameters.result += copy ? copy.text : markdown;
+            return;
+        }
+        let separator = '';
+        const found = separators.find(candidates => candidates.some(candidate => candidate.includes('\n') && markdown.startsWith(candidate)));
+        if (found) {
+            separator = found[0];
+        } else if (markdown.startsWith(separators[1][0])) {
+            separator = separators[1][0];
+        }
+        const parent = blocks[blocks.length - 1];
+        if (copy === null) {
+            // Blocks which have changed keep the blank lines before them
+            const sourceSeparator = lossless.sourceSeparator(parameters.previous, thing, source, thing.startPos.offset, separator, parent);
+            const more = sourceSeparator !== null && sourceSeparator.split('\n').length > separator.split('\n').length;
+            parameters.result += more ? sourceSeparator + markdown.slice(separator.length) : markdown;
+            return;
+        }
+        const sourceSeparator = lossless.sourceSeparator(parameters.previous, thing, source, copy.start, separator, parent);
+        parameters.result += (sourceSeparator !== null ? sourceSeparator : separator) + copy.text;
+    }
+
+    /**
+     * Returns the start of the source text of a block. The indentation of blocks
+     * is kept, unless they are in a container, or after a list which may have
+     * a different indentation.
+     * @param {*} thing the block
+     * @param {*} parameters the parameters
+     * @returns {number} the offset of the start of the source text
+     */
+    sourceStart(thing, parameters) {
+        const blocks = parameters.stack.blocks;
+        const previous = parameters.previous;
+        const nested = CONTAINERS.some(container => blocks.includes(container)) || (previous && previous.getType() === 'List');
+        return lossless.sourceStart(thing, parameters.source, nested);
+    }
+
+    /**
+     * Returns the source text of a node, if it has not changed and its source
+     * text can be copied
+     * @param {*} thing the node
+     * @param {*} parameters the parameters
+     * @param {string} prefix the prefix for new lines in the node
+     * @returns {object} the source text, with its start offset for blocks, or null if it cannot be copied
+     */
+    copySource(thing, parameters, prefix) {
+        const source = parameters.source;
+        const type = thing.getType();
+        const blocks = parameters.stack.blocks;
+        if (!thing.digest || NOT_COPIED.includes(type)) {
+            return null;
+        }
+        const previous = parameters.previous;
+        const column = parameters.sourceColumn ? parameters.sourceColumn : 0;
+        if (BREAKS.includes(type)) {
+            const text = lossless.breakText(thing, source, column, prefix);
+            return text !== null ? { inline: true, text } : null;
+        }
+        const inline = INLINE_CONTAINERS.some(container => blocks.includes(container));
+        if (inline) {
+            const text = source.slice(thing.startPos.offset, thing.endPos.offset);
+            // Markup at the start of a line, or delimiters next to a word, may no longer apply
+            const afterBreak = previous && BREAKS.includes(previous.getType());
+            if (afterBreak && (!previous.digest || !previous.startPos || lossless.breakText(previous, source, column, prefix) === null)) {
+                return null;
+            }
+            const flanking = /^_/.test(text) || (type === 'Link' && !/^[[<]/.test(text));
+            if (flanking && (CommonMarkUtils.touchesWord(parameters, previous, true) || CommonMarkUtils.touchesWord(parameters, parameters.next, false))) {
+                return null;
+            }
+            const copy = lossless.sourceText(thing, source, thing.startPos.offset, prefix, true);
+            return copy !== null ? { inline: true, text: copy } : null;
+        }
+        const start = this.sourceStart(thing, parameters);
+        // Indented code blocks start with their indentation
+        if (type === 'CodeBlock' && start === thing.startPos.offset && !lossless.isFenced(thing, source)) {
+            return null;
+        }
+        const copy = lossless.sourceText(thing, source, start, prefix, false);
+        return copy !== null ? { start, text: copy } : null;
     }
 
     /**
      * Converts a CommonMark DOM to a markdown string
      * @param {*} input - CommonMark DOM (as a Concerto object)
+     * @param {object} [style] - the markdown style options
      * @returns {string} the markdown string
      */
-    toMarkdown(input) {
+    toMarkdown(input, style) {
         const parameters = {};
         parameters.result = this.resultString('');
         parameters.stack = CommonMarkUtils.blocksInit();
+        parameters.style = CommonMarkUtils.mkStyle(style);
+        const source = typeof input.source === 'string' ? input.source : null;
+        if (source !== null) {
+            // In lossless mode, an unchanged document is its source
+            if (input.digest) {
+                return source;
+            }
+            parameters.source = source;
+        }
         input.accept(this, parameters);
+        if (source !== null) {
+            const frontMatter = input.frontMatter ? CommonMarkUtils.mkFrontMatter(input.frontMatter) : null;
+            return lossless.addSourceEdges(input, source, parameters.result, frontMatter);
+        }
         return parameters.result.trim();
     }
 }
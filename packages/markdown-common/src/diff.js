@@ -0,0 +1,508 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const CommonMarkUtils = require('./CommonMarkUtils');
+const lossless = require('./lossless');
+
+/**
+ * Structural diff of CommonMark and CiceroMark DOMs.
+ *
+ * The diff of two nodes is a tree of operations, which follows the structure
+ * of the documents. Each operation has:
+ * - op: 'equal', 'insert', 'delete', 'update' or 'move'
+ * - type: the type of the node, e.g. 'Paragraph'
+ * - before and from: the node, and its index in its parent, in the first DOM
+ * - after and to: the node, and its index in its parent, in the second DOM
+ * - nodes: for updates, the operations for the children of the node
+ * - attributes: for updates, the properties which have changed, with their value before and after
+ * - text: for updates of text nodes, the changes to the words of the text
+ */
+
+// Nodes which are identified by their name, rather than by their content
+const IDENTIFIED = ['Clause', 'Variable', 'FormattedVariable', 'EnumVariable', 'Formula', 'Conditional', 'Optional', 'ListBlock'];
+// Blocks which contain inlines
+const INLINE_CONTAINERS = ['Paragraph', 'Heading', 'TableCell'];
+// Blocks whose children may move
+const BLOCK_CONTAINERS = ['Document', 'BlockQuote', 'List', 'Item', 'FootnoteDefinition', 'Table', 'TableHead', 'TableBody', 'Clause', 'ListBlock'];
+// Properties which are not attributes of a node
+const NOT_ATTRIBUTES = ['$class', 'nodes', 'startPos', 'endPos', 'digest', 'source'];
+// Largest number of pairs of items compared for a longest common subsequence
+const MAX_PAIRS = 1000000;
+// Smallest share of common words for two blocks to be an update of each other
+const MIN_SIMILARITY = 0.5;
+// Weight of equal children, compared to similar children, when matching children
+const EQUAL_WEIGHT = 3;
+
+// Characters marking the changes in the text of a redline
+const MARKERS = CommonMarkUtils.DIFF_MARKERS;
+
+// CriticMarkup for the markers
+const CRITIC_MARKUP = {
+    insertStart: '{++',
+    insertEnd: '++}',
+    deleteStart: '{--',
+    deleteEnd: '--}',
+    substituteStart: '{~~',
+    substituteSeparator: '~>',
+    substituteEnd: '~~}',
+};
+
+const NS_PREFIX_CommonMarkModel = 'org.accordproject.commonmark.';
+
+/**
+ * Returns the type of a node
+ * @param {object} node the node
+ * @returns {string} the type, without its namespace
+ */
+function nodeType(node) {
+    return node.$class.substring(node.$class.lastIndexOf('.') + 1);
+}
+
+/**
+ * Returns the key of a node: its name for identified nodes, its content otherwise
+ * @param {object} node the node
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {string} the key
+ */
+function nodeKey(node, contents) {
+    const type = nodeType(node);
+    return IDENTIFIED.includes(type) ? `${type} ${node.name}` : contents.get(node);
+}
+
+/**
+ * Returns the text of a node and its children
+ * @param {object} node the node
+ * @returns {string} the text
+ */
+function nodeText(node) {
+    if (node.nodes) {
+        return node.nodes.map(nodeText).join(' ');
+    }
+    return typeof node.text === 'string' ? node.text : (typeof node.value === 'string' ? node.value : '');
+}
+
+/**
+ * Splits a text into words, spaces and punctuation
+ * @param {string} text the text
+ * @returns {string[]} the words
+ */
+function words(text) {
+    return text.match(/[^\s.,;:!?()[\]{}"']+|\s+|[^]/g) || [];
+}
+
+/**
+ * Returns the pairs of indices of a longest common subsequence of two arrays,
+ * where equal items weigh more than similar items. Arrays which are too long
+ * to compare only share their common prefix and suffix.
+ * @param {Array} a the first array
+ * @param {Array} b the second array
+ * @param {*} equal whether an item of the first array is equal to an item of the second one
+ * @param {*} [similar] whether an item of the first array is similar to an item of the second one
+ * @returns {Array} the pairs of indices of the common items, in order
+ */
+function commonSubsequence(a, b, equal, similar) {
+    let start = 0;
+    while (start < a.length && start < b.length && equal(a[start], b[start])) {
+        start++;
+    }
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && equal(a[a.length - 1 - end], b[b.length - 1 - end])) {
+        end++;
+    }
+    const pairs = [];
+    for (let i = 0; i < start; i++) {
+        pairs.push([i, i]);
+    }
+    const n = a.length - start - end;
+    const m = b.length - start - end;
+    if (n > 0 && m > 0 && n * m <= MAX_PAIRS) {
+        // weights[i][j] is the weight of a pair of items, lengths[i][j] the weight of
+        // a longest common subsequence of the rest of the arrays
+        const weights = [];
+        const lengths = [];
+        for (let i = n; i >= 0; i--) {
+            weights[i] = new Uint8Array(m);
+            lengths[i] = new Uint32Array(m + 1);
+            for (let j = m - 1; i < n && j >= 0; j--) {
+                if (equal(a[start + i], b[start + j])) {
+                    weights[i][j] = EQUAL_WEIGHT;
+                } else if (similar && similar(a[start + i], b[start + j])) {
+                    weights[i][j] = 1;
+                }
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1], weights[i][j] > 0 ? weights[i][j] + lengths[i + 1][j + 1] : 0);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (weights[i][j] > 0 && lengths[i][j] === weights[i][j] + lengths[i + 1][j + 1]) {
+                pairs.push([start + i, start + j]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+    for (let k = end; k > 0; k--) {
+        pairs.push([a.length - k, b.length - k]);
+    }
+    return pairs;
+}
+
+/**
+ * Returns the share of words which two texts have in common, in any order and case
+ * @param {string} a the first text
+ * @param {string} b the second text
+ * @returns {number} the similarity, between 0 and 1
+ */
+function similarity(a, b) {
+    const wordsA = words(a.toLowerCase()).filter(word => word.trim());
+    const wordsB = words(b.toLowerCase()).filter(word => word.trim());
+    if (wordsA.length + wordsB.length === 0) {
+        return 1;
+    }
+    const counts = new Map();
+    wordsA.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    let common = 0;
+    wordsB.forEach(word => {
+        if (counts.get(word) > 0) {
+            counts.set(word, counts.get(word) - 1);
+            common++;
+        }
+    });
+    return 2 * common / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Returns the changes between two texts, word by word
+ * @param {string} before the first text
+ * @param {string} after the second text
+ * @returns {object[]} the insert, delete and equal operations, with their text
+ */
+function diffText(before, after) {
+    const a = words(before);
+    const b = words(after);
+    const changes = [];
+    const add = (op, text) => {
+        const last = changes[changes.length - 1];
+        if (last && last.op === op) {
+            last.text += text;
+        } else if (text) {
+            changes.push({ op, text });
+        }
+    };
+    let i = 0;
+    let j = 0;
+    commonSubsequence(a, b, (x, y) => x === y).concat([[a.length, b.length]]).forEach(([k, l]) => {
+        add('delete', a.slice(i, k).join(''));
+        add('insert', b.slice(j, l).join(''));
+        if (k < a.length) {
+            add('equal', a[k]);
+        }
+        i = k + 1;
+        j = l + 1;
+    });
+    return changes;
+}
+
+/**
+ * Returns the attributes which have changed between two nodes
+ * @param {object} before the first node
+ * @param {object} after the second node
+ * @returns {object} the attributes which have changed, or null if none have changed
+ */
+function diffAttributes(before, after) {
+    const attributes = {};
+    const value = (node, name) => node[name] && typeof node[name] === 'object' ? lossless.canonicalJSON(node[name], () => {}) : node[name];
+    Object.keys(Object.assign({}, before, after))
+        .filter(name => !NOT_ATTRIBUTES.includes(name) && value(before, name) !== value(after, name))
+        .forEach(name => {
+            attributes[name] = { before: before[name], after: after[name] };
+        });
+    return Object.keys(attributes).length > 0 ? attributes : null;
+}
+
+/**
+ * Returns the diff of two nodes
+ * @param {object} before the node in the first DOM
+ * @param {object} after the node in the second DOM
+ * @param {number} from the index of the first node in its parent
+ * @param {number} to the index of the second node in its parent
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {object} the operation
+ */
+function diffNode(before, after, from, to, contents) {
+    const type = nodeType(after);
+    if (contents.get(before) === contents.get(after)) {
+        return { op: 'equal', type, before, after, from, to };
+    }
+    const result = { op: 'update', type, before, after, from, to };
+    const attributes = diffAttributes(before, after);
+    if (type === 'Text' && attributes) {
+        result.text = diffText(before.text, after.text);
+        delete attributes.text;
+    }
+    if (attributes && Object.keys(attributes).length > 0) {
+        result.attributes = attributes;
+    }
+    if (before.nodes || after.nodes) {
+        result.nodes = diffChildren(before.nodes ? before.nodes : [], after.nodes ? after.nodes : [], type, contents);
+    }
+    return result;
+}
+
+/**
+ * Returns the pairs of indices of the children of two nodes which match, in
+ * order: children with the same key, or else similar nodes of the same type
+ * @param {object[]} before the children in the first DOM
+ * @param {object[]} after the children in the second DOM
+ * @param {string} parentType the type of the parent in the second DOM
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {Array} the pairs of indices of the matching children
+ */
+function matchChildren(before, after, parentType, contents) {
+    const inline = !BLOCK_CONTAINERS.includes(parentType);
+    const key = (node) => nodeKey(node, contents);
+    const similar = (a, b) => {
+        const type = nodeType(a);
+        return type === nodeType(b) && !IDENTIFIED.includes(type) &&
+            (inline || similarity(nodeText(a), nodeText(b)) >= MIN_SIMILARITY);
+    };
+    return commonSubsequence(before, after, (a, b) => key(a) === key(b), similar);
+}
+
+/**
+ * Returns the diff of the children of two nodes. Children are matched in
+ * order if they have the same key, or else if they are similar nodes of the
+ * same type. The other children are moved if they have the same key as another
+ * child, and deleted or inserted otherwise.
+ * @param {object[]} before the children in the first DOM
+ * @param {object[]} after the children in the second DOM
+ * @param {string} parentType the type of the parent in the second DOM
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {object[]} the operations
+ */
+function diffChildren(before, after, parentType, contents) {
+    const inline = !BLOCK_CONTAINERS.includes(parentType);
+    const key = (node) => nodeKey(node, contents);
+    const matches = matchChildren(before, after, parentType, contents);
+    const matchedBefore = new Set(matches.map(([i]) => i));
+    const matchedAfter = new Set(matches.map(([, j]) => j));
+
+    // Blocks, and identified nodes, may move
+    const moves = new Map();
+    after.forEach((node, j) => {
+        if (matchedAfter.has(j) || (inline && !IDENTIFIED.includes(nodeType(node)))) {
+            return;
+        }
+        const i = before.findIndex((other, index) => !matchedBefore.has(index) && key(other) === key(node));
+        if (i >= 0) {
+            matchedBefore.add(i);
+            moves.set(j, i);
+        }
+    });
+
+    // Between matched children, the other children are deleted, then inserted
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    matches.concat([[before.length, after.length]]).forEach(([k, l]) => {
+        for (; i < k; i++) {
+            if (!matchedBefore.has(i)) {
+                operations.push({ op: 'delete', type: nodeType(before[i]), before: before[i], from: i });
+            }
+        }
+        for (; j < l; j++) {
+            if (moves.has(j)) {
+                const move = diffNode(before[moves.get(j)], after[j], moves.get(j), j, contents);
+                operations.push(Object.assign(move, { op: 'move' }));
+            } else {
+                operations.push({ op: 'insert', type: nodeType(after[j]), after: after[j], to: j });
+            }
+        }
+        if (k < before.length) {
+            operations.push(diffNode(before[k], after[l], k, l, contents));
+        }
+        i = k + 1;
+        j = l + 1;
+    });
+    return operations;
+}
+
+/**
+ * Returns the structural diff of two CommonMark or CiceroMark DOMs
+ * @param {object} before the first DOM, as JSON
+ * @param {object} after the second DOM, as JSON
+ * @returns {object} the diff, as a tree of operations
+ */
+function diff(before, after) {
+    const contents = new Map();
+    const record = (node, json) => contents.set(node, json);
+    lossless.canonicalJSON(before, record);
+    lossless.canonicalJSON(after, record);
+    return diffNode(before, after, 0, 0, contents);
+}
+
+/**
+ * Returns a copy of a node, without its source position or digest
+ * @param {object} node the node
+ * @returns {object} the copy
+ */
+function clean(node) {
+    return JSON.parse(JSON.stringify(node, (name, value) => NOT_ATTRIBUTES.slice(2).includes(name) ? undefined : value));
+}
+
+/**
+ * Returns a text node
+ * @param {string} text the text
+ * @returns {object} the text node
+ */
+function textNode(text) {
+    return { $class: NS_PREFIX_CommonMarkModel + 'Text', text };
+}
+
+/**
+ * Returns a node with its content marked as inserted or deleted
+ * @param {object} node the node
+ * @param {string} start the start marker
+ * @param {string} end the end marker
+ * @param {boolean} inline whether the node is an inline
+ * @returns {object[]} the marked nodes
+ */
+function mark(node, start, end, inline) {
+    const type = nodeType(node);
+    const result = clean(node);
+    if (inline) {
+        return [textNode(start), result, textNode(end)];
+    } else if (INLINE_CONTAINERS.includes(type)) {
+        result.nodes = [textNode(start)].concat(result.nodes ? result.nodes : [], [textNode(end)]);
+        return [result];
+    } else if (node.nodes && node.nodes.length > 0) {
+        result.nodes = node.nodes.reduce((nodes, child) => nodes.concat(mark(child, start, end, false)), []);
+        return [result];
+    }
+    // Blocks without content are marked with paragraphs before and after them
+    const paragraph = (text) => ({ $class: NS_PREFIX_CommonMarkModel + 'Paragraph', nodes: [textNode(text)] });
+    return [paragraph(start), result, paragraph(end)];
+}
+
+/**
+ * Returns the redline nodes for an operation
+ * @param {object} operation the operation
+ * @param {boolean} inline whether the nodes are inlines
+ * @returns {object[]} the redline nodes
+ */
+function redlineOperation(operation, inline) {
+    switch (operation.op) {
+    case 'equal':
+        return [clean(operation.after)];
+    case 'insert':
+    case 'move':
+        return mark(operation.after, MARKERS.insertStart, MARKERS.insertEnd, inline);
+    case 'delete':
+        return mark(operation.before, MARKERS.deleteStart, MARKERS.deleteEnd, inline);
+    default:
+        break;
+    }
+    if (operation.text) {
+        const text = operation.text.map(change => {
+            switch (change.op) {
+            case 'insert':
+                return MARKERS.insertStart + change.text + MARKERS.insertEnd;
+            case 'delete':
+                return MARKERS.deleteStart + change.text + MARKERS.deleteEnd;
+            default:
+                return change.text;
+            }
+        }).join('');
+        return [Object.assign(clean(operation.after), { text })];
+    } else if (operation.nodes) {
+        const result = clean(operation.after);
+        result.nodes = redlineOperations(operation.nodes, inline || INLINE_CONTAINERS.includes(operation.type));
+        return [result];
+    } else if (inline) {
+        return [textNode(MARKERS.substituteStart), clean(operation.before), textNode(MARKERS.substituteSeparator), clean(operation.after), textNode(MARKERS.substituteEnd)];
+    }
+    return mark(operation.before, MARKERS.deleteStart, MARKERS.deleteEnd, false)
+        .concat(mark(operation.after, MARKERS.insertStart, MARKERS.insertEnd, false));
+}
+
+/**
+ * Returns the redline nodes for a list of operations. Moved nodes are deleted
+ * where they were, and inserted where they are.
+ * @param {object[]} operations the operations
+ * @param {boolean} inline whether the nodes are inlines
+ * @returns {object[]} the redline nodes
+ */
+function redlineOperations(operations, inline) {
+    const moves = operations.filter(operation => operation.op === 'move').sort((a, b) => a.from - b.from);
+    const moved = (from) => {
+        const result = [];
+        while (moves.length > 0 && moves[0].from < from) {
+            result.push(...mark(moves.shift().before, MARKERS.deleteStart, MARKERS.deleteEnd, inline));
+        }
+        return result;
+    };
+    const result = [];
+    operations.forEach(operation => {
+        if (operation.op !== 'move' && typeof operation.from === 'number') {
+            result.push(...moved(operation.from));
+        }
+        result.push(...redlineOperation(operation, inline));
+    });
+    result.push(...moved(Infinity));
+    return result;
+}
+
+/**
+ * Returns the redline for a diff: a DOM which has the content of both documents,
+ * with the changes enclosed in markers
+ * @param {object} operation the diff of two documents
+ * @returns {object} the redline DOM, as JSON
+ */
+function redline(operation) {
+    return redlineOperation(operation, false)[0];
+}
+
+/**
+ * Replaces the markers in a text
+ * @param {string} text the text
+ * @param {object} replacements the text for each marker, as for CRITIC_MARKUP
+ * @returns {string} the text with the markers replaced
+ */
+function replaceMarkers(text, replacements) {
+    return Object.keys(MARKERS).reduce((result, name) => result.split(MARKERS[name]).join(replacements[name]), text);
+}
+
+module.exports.diff = diff;
+module.exports.redline = redline;
+module.exports.replaceMarkers = replaceMarkers;
+module.exports.MARKERS = MARKERS;
+module.exports.CRITIC_MARKUP = CRITIC_MARKUP;
+
+// For the three-way merge
+module.exports.IDENTIFIED = IDENTIFIED;
+module.exports.INLINE_CONTAINERS = INLINE_CONTAINERS;
+module.exports.NOT_ATTRIBUTES = NOT_ATTRIBUTES;
+module.exports.nodeType = nodeType;
+module.exports.nodeKey = nodeKey;
+module.exports.words = words;
+module.exports.commonSubsequence = commonSubsequence;
+module.exports.matchChildren = matchChildren;
+module.exports.clean = clean;
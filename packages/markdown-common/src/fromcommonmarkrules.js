@@ -24,25 +24,36 @@ rules.Code = (visitor,thing,children,parameters,resultString,resultSeq) => {
     resultSeq(parameters,result);
 };
 rules.Emph = (visitor,thing,children,parameters,resultString,resultSeq) => {
-    const result = [resultString('*'),children,resultString('*')];
+    const delimiter = CommonMarkUtils.mkEmphasisDelimiter(parameters,CommonMarkUtils.getStyle(parameters).emphasis,children);
+    const result = [resultString(delimiter),children,resultString(delimiter)];
     resultSeq(parameters,result);
 };
 rules.Strong = (visitor,thing,children,parameters,resultString,resultSeq) => {
-    const result = [resultString('**'),children,resultString('**')];
+    const delimiter = CommonMarkUtils.mkEmphasisDelimiter(parameters,CommonMarkUtils.getStyle(parameters).strong,children);
+    const result = [resultString(delimiter),children,resultString(delimiter)];
+    resultSeq(parameters,result);
+};
+rules.Strikethrough = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const result = [resultString('~~'),children,resultString('~~')];
     resultSeq(parameters,result);
 };
 rules.Link = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const next1 = '[';
-    const next2 = `](${thing.destination} "${thing.title ? thing.title : ''}")`;
+    const next2 = thing.referenceType ? CommonMarkUtils.mkReference(thing.referenceType,thing.label) : `](${thing.destination} "${thing.title ? thing.title : ''}")`;
     const result = [resultString(next1),children,resultString(next2)];
     resultSeq(parameters,result);
 };
 rules.Image = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const next1 = '![';
-    const next2 = `](${thing.destination} "${thing.title ? thing.title : ''}")`;
+    const next2 = thing.referenceType ? CommonMarkUtils.mkReference(thing.referenceType,thing.label) : `](${thing.destination} "${thing.title ? thing.title : ''}")`;
     const result = [resultString(next1),children,resultString(next2)];
     resultSeq(parameters,result);
 };
+rules.FootnoteReference = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const next = `[^${thing.label}]`;
+    const result = [resultString(next)];
+    resultSeq(parameters,result);
+};
 rules.HtmlInline = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const next = thing.text ? thing.text : '';
     const result = [resultString(next)];
@@ -59,7 +70,15 @@ rules.Softbreak = (visitor,thing,children,parameters,resultString,resultSeq) =>
     resultSeq(parameters,result);
 };
 rules.Text = (visitor,thing,children,parameters,resultString,resultSeq) => {
-    const next = CommonMarkUtils.escapeText(thing.text ? thing.text : '');
+    let next = CommonMarkUtils.escapeText(thing.text ? thing.text : '');
+    if (parameters.stack.blocks.includes('TableCell')) {
+        next = CommonMarkUtils.escapeTableCell(next);
+    }
+    const blocks = parameters.stack.blocks;
+    // The text of links is kept on one line, as it may be a reference label
+    if (CommonMarkUtils.getStyle(parameters).wrap && blocks.includes('Paragraph') && !blocks.includes('Link') && !blocks.includes('Image')) {
+        next = CommonMarkUtils.mkWrapPoints(next);
+    }
     const result = [resultString(next)];
     resultSeq(parameters,result);
 };
@@ -73,7 +92,9 @@ rules.ThematicBreak = (visitor,thing,children,parameters,resultString,resultSeq)
 rules.Heading = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const level = parseInt(thing.level);
     const next1 = CommonMarkUtils.mkPrefix(parameters,2);
-    if (level < 3 && children !== '') { // XXX empty children -- how to generalize that?
+    // Only setext headings can span several lines
+    const setext = CommonMarkUtils.getStyle(parameters).headingStyle === 'setext' || (typeof children === 'string' && children.includes('\n'));
+    if (setext && level < 3 && children !== '') { // XXX empty children -- how to generalize that?
         CommonMarkUtils.nextNode(parameters);
         const next3 = CommonMarkUtils.mkPrefix(parameters,1);
         const next4 = CommonMarkUtils.mkSetextHeading(level);
@@ -88,7 +109,9 @@ rules.Heading = (visitor,thing,children,parameters,resultString,resultSeq) => {
 };
 rules.CodeBlock = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const next1 = CommonMarkUtils.mkPrefix(parameters,2);
-    const next2 = `\`\`\`${thing.info ? ' ' + thing.info : ''}\n${thing.text ? CommonMarkUtils.escapeCodeBlock(thing.text) : ''}\`\`\``;
+    const text = thing.text ? CommonMarkUtils.escapeCodeBlock(thing.text) : '';
+    const fence = CommonMarkUtils.mkFence(CommonMarkUtils.getStyle(parameters).fence,text);
+    const next2 = `${fence}${thing.info ? ' ' + thing.info : ''}\n${text}${fence}`;
     const result = [resultString(next1),resultString(next2)];
     resultSeq(parameters,result);
 };
@@ -99,9 +122,18 @@ rules.HtmlBlock = (visitor,thing,children,parameters,resultString,resultSeq) =>
     const result = [resultString(next1),resultString(next2)];
     resultSeq(parameters,result);
 };
+rules.LinkDefinition = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const next1 = CommonMarkUtils.mkPrefix(parameters,2);
+    const next2 = `[${thing.label}]: ${thing.destination}${CommonMarkUtils.mkTitle(thing.title)}`;
+    const result = [resultString(next1),resultString(next2)];
+    resultSeq(parameters,result);
+};
 rules.Paragraph = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const next1 = CommonMarkUtils.mkPrefix(parameters,parameters.first ? 1 : 2);
-    const result = [resultString(next1),children];
+    const wrap = CommonMarkUtils.getStyle(parameters).wrap;
+    // Wrapped lines continue the paragraph, with the prefix of its next line
+    const next2 = wrap ? CommonMarkUtils.wrapText(children,wrap,CommonMarkUtils.blocksNewLines({ first: false, blocks: parameters.stack.blocks },1)) : children;
+    const result = [resultString(next1),next2];
     resultSeq(parameters,result);
 };
 // Container blocks
@@ -109,14 +141,35 @@ rules.BlockQuote = (visitor,thing,children,parameters,resultString,resultSeq) =>
     const result = [children];
     resultSeq(parameters,result);
 };
+rules.FootnoteDefinition = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const next1 = `${CommonMarkUtils.mkPrefix(parameters,2)}[^${thing.label}]: `;
+    const result = [resultString(next1),children];
+    resultSeq(parameters,result);
+};
+rules.Conflict = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    // Blank lines around the markers, so that they are not part of the blocks in the conflict
+    const next1 = CommonMarkUtils.mkPrefix(parameters,2);
+    const inside = Object.assign({}, parameters, { stack: { first: false, blocks: parameters.stack.blocks } });
+    const ours = visitor.visitChildren(visitor, thing, inside, 'ours');
+    const theirs = visitor.visitChildren(visitor, thing, inside, 'theirs');
+    const next2 = CommonMarkUtils.mkPrefix(inside,2);
+    const result = [resultString(next1),resultString('<<<<<<< ours'),ours,resultString(next2),resultString('======='),theirs,resultString(next2),resultString('>>>>>>> theirs')];
+    resultSeq(parameters,result);
+};
 rules.Item = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const level = parameters.tight && parameters.tight === 'false' && parameters.index !== parameters.indexInit ? 2 : 1;
+    const task = typeof thing.checked === 'boolean' ? CommonMarkUtils.mkTaskMarker(thing.checked) : '';
+    const style = CommonMarkUtils.getStyle(parameters);
+    // In lossless mode, items use the same marker as the other items of the list
     if(parameters.type === 'ordered') {
-        const next1 = `${CommonMarkUtils.mkPrefix(parameters,level)}${parameters.index}. `;
+        const index = style.orderedNumbering === 'one' ? parameters.indexInit : parameters.index;
+        const delimiter = parameters.marker ? parameters.marker : '.';
+        const next1 = `${CommonMarkUtils.mkPrefix(parameters,level)}${index}${delimiter} ${task}`;
         const result = [resultString(next1),children];
         resultSeq(parameters,result);
     } else {
-        const next1 = `${CommonMarkUtils.mkPrefix(parameters,level)}-  `;
+        const bullet = parameters.marker ? parameters.marker : style.bullet;
+        const next1 = `${CommonMarkUtils.mkPrefix(parameters,level)}${bullet}  ${task}`;
         const result = [resultString(next1),children];
         resultSeq(parameters,result);
     }
@@ -125,9 +178,38 @@ rules.List = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const result = [children];
     resultSeq(parameters,result);
 };
-rules.Document = (visitor,thing,children,parameters,resultString,resultSeq) => {
+rules.Table = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const next1 = CommonMarkUtils.mkPrefix(parameters,2);
+    const result = [resultString(next1),children];
+    resultSeq(parameters,result);
+};
+rules.TableHead = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const headRow = thing.nodes && thing.nodes[0];
+    const aligns = headRow && headRow.nodes ? headRow.nodes.map((cell) => cell.align) : [];
+    CommonMarkUtils.nextNode(parameters);
+    const next2 = CommonMarkUtils.mkPrefix(parameters,1);
+    const next3 = CommonMarkUtils.mkTableDelimiter(aligns);
+    const result = [children,resultString(next2),resultString(next3)];
+    resultSeq(parameters,result);
+};
+rules.TableBody = (visitor,thing,children,parameters,resultString,resultSeq) => {
     const result = [children];
     resultSeq(parameters,result);
 };
+rules.TableRow = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    // The header row starts on the same line as the table, body rows on a new line
+    const next1 = parameters.stack.blocks[parameters.stack.blocks.length-1] === 'TableBody' ? CommonMarkUtils.mkPrefix(parameters,1) : '';
+    const result = [resultString(next1),children,resultString('|')];
+    resultSeq(parameters,result);
+};
+rules.TableCell = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const result = [resultString('| '),children,resultString(' ')];
+    resultSeq(parameters,result);
+};
+rules.Document = (visitor,thing,children,parameters,resultString,resultSeq) => {
+    const frontMatter = thing.frontMatter ? CommonMarkUtils.mkFrontMatter(thing.frontMatter) : '';
+    const result = [resultString(frontMatter),children];
+    resultSeq(parameters,result);
+};
 
 module.exports = rules;
\ No newline at end of file
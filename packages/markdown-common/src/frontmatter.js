@@ -0,0 +1,139 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const yaml = require('js-yaml');
+const toml = require('@iarna/toml');
+
+const FENCES = {
+    '---': 'yaml',
+    '+++': 'toml',
+};
+
+/**
+ * Parses the text of a front matter block
+ * @param {string} format the front matter format, either 'yaml' or 'toml'
+ * @param {string} text the front matter text, without the fences
+ * @returns {object} the front matter data
+ */
+function parseFrontMatter(format, text) {
+    let data;
+    switch(format) {
+    case 'yaml':
+        // The core schema keeps dates as strings
+        data = yaml.safeLoad(text, { schema: yaml.CORE_SCHEMA });
+        break;
+    case 'toml':
+        data = toml.parse(text);
+        break;
+    default:
+        throw new Error(`Unknown front matter format ${format}`);
+    }
+    if (data === undefined || data === null) {
+        return {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Front matter should be a map of names to values');
+    }
+    return data;
+}
+
+/**
+ * Returns the front matter data as a list of names and values. Values which
+ * are not strings are converted to their JSON representation.
+ * @param {object} data the front matter data
+ * @returns {*} the metadata, as a list of name/value pairs
+ */
+function toMetadata(data) {
+    return Object.keys(data).map(name => {
+        const value = data[name];
+        let text;
+        if (typeof value === 'string') {
+            text = value;
+        } else if (value instanceof Date) {
+            text = value.toISOString();
+        } else {
+            text = JSON.stringify(value);
+        }
+        return { name, value: text };
+    });
+}
+
+/**
+ * Block rule recognizing a YAML (between '---' lines) or TOML (between '+++'
+ * lines) front matter block at the very start of the document. A block which
+ * has no entries or does not parse as a map of names to values is left to the
+ * other rules, e.g., '---' lines are thematic breaks.
+ * @param {*} state the markdown-it block state
+ * @param {number} startLine the first line
+ * @param {number} endLine the last line
+ * @param {boolean} silent whether to only validate
+ * @returns {boolean} whether the block is front matter
+ */
+function frontMatterRule(state, startLine, endLine, silent) {
+    if (startLine !== 0 || state.bMarks[0] !== 0 || state.tShift[0] !== 0) {
+        return false;
+    }
+    const fence = state.src.slice(state.bMarks[0], state.eMarks[0]).trim();
+    const format = FENCES[fence];
+    if (!format) {
+        return false;
+    }
+
+    let closeLine = 1;
+    for (; closeLine < endLine; closeLine++) {
+        const line = state.src.slice(state.bMarks[closeLine] + state.tShift[closeLine], state.eMarks[closeLine]);
+        if (state.tShift[closeLine] === 0 && line.trim() === fence) {
+            break;
+        }
+    }
+    if (closeLine >= endLine) {
+        return false;
+    }
+
+    const text = state.getLines(1, closeLine, 0, false).replace(/\n$/, '');
+    let metadata;
+    try {
+        metadata = toMetadata(parseFrontMatter(format, text));
+    } catch (err) {
+        return false;
+    }
+    if (metadata.length === 0) {
+        return false;
+    }
+    if (silent) {
+        return true;
+    }
+
+    const token = state.push('front_matter', '', 0);
+    token.block = true;
+    token.map = [ startLine, closeLine + 1 ];
+    token.markup = fence;
+    token.meta = { format, text, metadata };
+    state.line = closeLine + 1;
+    return true;
+}
+
+/**
+ * Front matter for markdown-it
+ * @param {*} md the markdown-it instance
+ */
+function frontMatter(md) {
+    md.block.ruler.before('table', 'front_matter', frontMatterRule);
+}
+
+module.exports = frontMatter;
+module.exports.parseFrontMatter = parseFrontMatter;
+module.exports.toMetadata = toMetadata;
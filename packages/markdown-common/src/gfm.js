@@ -0,0 +1,56 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const TASK_MARKER = /^\[([ xX])\](?: |$)/;
+
+/**
+ * Core rule recognizing task list items, e.g., '- [x] done'. The marker
+ * is removed from the first paragraph of the item and its state recorded
+ * as a 'checked' attribute on the list item token.
+ * @param {*} state the markdown-it core state
+ */
+function taskLists(state) {
+    const tokens = state.tokens;
+    for (let i = 2; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === 'inline' &&
+            tokens[i-1].type === 'paragraph_open' &&
+            tokens[i-2].type === 'list_item_open') {
+            const match = token.content.match(TASK_MARKER);
+            if (match) {
+                tokens[i-2].attrSet('checked', match[1] === ' ' ? 'false' : 'true');
+                token.content = token.content.substring(match[0].length);
+                // With source positions, the paragraph starts after the marker
+                if (tokens[i-1].range) {
+                    tokens[i-1].range[0] += match[0].length;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * GitHub Flavored Markdown extensions for markdown-it: strikethrough,
+ * task lists and autolinks for bare URLs
+ * @param {*} md the markdown-it instance
+ */
+function gfm(md) {
+    md.set({ linkify: true });
+    md.enable('strikethrough');
+    md.core.ruler.after('block', 'task_lists', taskLists);
+}
+
+module.exports = gfm;
@@ -0,0 +1,393 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Lossless round-tripping of markdown.
+ *
+ * In lossless mode the markdown source is kept on the Document, and each node
+ * with a source position is given a digest of its content and of its source
+ * text. When converting back to markdown, a node whose digest still matches
+ * has not changed, and its source text can be copied.
+ */
+
+// Properties which are not part of the content of a node
+const IGNORED = ['startPos', 'endPos', 'digest', 'source'];
+
+/**
+ * Hashes a string, using two lanes of 32-bit FNV-1a
+ * @param {string} text the string
+ * @returns {string} the hash, as 16 hexadecimal digits
+ */
+function hash(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x050c5d1f;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 0x01000193);
+        h2 = Math.imul(h2 ^ c, 0x5bd1e995);
+    }
+    const hex = (h) => ('0000000' + (h >>> 0).toString(16)).slice(-8);
+    return hex(h1) + hex(h2);
+}
+
+/**
+ * Normalizes line endings and null characters in markdown, as done by the
+ * markdown-it parser, so that source positions are offsets in the result
+ * @param {string} markdown the markdown
+ * @returns {string} the normalized markdown
+ */
+function normalize(markdown) {
+    return markdown.replace(/\r\n?/g, '\n').replace(/\0/g, '\uFFFD');
+}
+
+/**
+ * Returns the canonical JSON for a value, with object properties sorted and
+ * without positions, digests or empty properties. The callback is called for
+ * each object in the value, with its canonical JSON.
+ * @param {*} value the value
+ * @param {*} callback the callback
+ * @returns {string} the canonical JSON
+ */
+function canonicalJSON(value, callback) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(item => canonicalJSON(item, callback)).join(',') + ']';
+    } else if (value && typeof value === 'object') {
+        const properties = Object.keys(value)
+            .filter(key => !IGNORED.includes(key) && value[key] !== null && value[key] !== undefined)
+            .sort()
+            .map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key], callback));
+        const result = '{' + properties.join(',') + '}';
+        callback(value, result);
+        return result;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Returns the type of a node
+ * @param {object} node the node, in JSON or as a Concerto object
+ * @returns {string} the type of the node
+ */
+function nodeType(node) {
+    return node.getType ? node.getType() : node.$class.split('.').pop();
+}
+
+/**
+ * Calls a function for the document and for each node with a source position
+ * which can be copied, with its canonical JSON and its source text. Links
+ * which refer to a link reference definition which is not in the document
+ * cannot be copied, nor can the nodes which contain them.
+ * @param {object} document the CommonMark DOM (in JSON)
+ * @param {string} source the markdown source
+ * @param {*} fn the function
+ */
+function forEachNode(document, source, fn) {
+    const references = new Set();
+    canonicalJSON(document, (node, canonical) => {
+        if (node === document) {
+            fn(node, canonical, source);
+        } else if (node.$class && node.startPos && node.endPos) {
+            const text = source.slice(node.startPos.offset, node.endPos.offset);
+            const type = nodeType(node);
+            if (((type === 'Link' || type === 'Image') && !node.referenceType && /^!?\[/.test(text) && !text.endsWith(')')) ||
+                (node.nodes && node.nodes.some(child => references.has(child)))) {
+                references.add(node);
+            } else {
+                fn(node, canonical, text);
+            }
+        }
+    });
+}
+
+/**
+ * Records the markdown source on a CommonMark DOM, and the digest of each
+ * node with a source position
+ * @param {object} document the CommonMark DOM (in JSON), modified in place
+ * @param {string} markdown the markdown source
+ * @returns {object} the CommonMark DOM
+ */
+function addDigests(document, markdown) {
+    const source = normalize(markdown);
+    document.source = source;
+    forEachNode(document, source, (node, canonical, text) => {
+        node.digest = hash(canonical + '\u0000' + text);
+    });
+    return document;
+}
+
+/**
+ * Removes the digests which no longer match their node, i.e. the digests of
+ * nodes which have changed since the markdown source was parsed
+ * @param {object} document the CommonMark DOM (in JSON), modified in place
+ * @returns {object} the CommonMark DOM
+ */
+function checkDigests(document) {
+    const source = typeof document.source === 'string' ? document.source : '';
+    const unchanged = new Set();
+    forEachNode(document, source, (node, canonical, text) => {
+        if (node.digest === hash(canonical + '\u0000' + text)) {
+            unchanged.add(node);
+        }
+    });
+    const clean = (node) => {
+        if (!unchanged.has(node)) {
+            delete node.digest;
+        }
+        if (node.nodes) {
+            node.nodes.forEach(clean);
+        }
+    };
+    clean(document);
+    return document;
+}
+
+/**
+ * Returns the start of the source text of a block. Blocks which are not in a
+ * container start at the start of their line, to keep their indentation.
+ * @param {object} node the node
+ * @param {string} source the markdown source
+ * @param {boolean} nested whether the node is in a container
+ * @returns {number} the offset of the start of the source text
+ */
+function sourceStart(node, source, nested) {
+    const lineStart = node.startPos.offset - (node.startPos.column - 1);
+    if (!nested && /^ *$/.test(source.slice(lineStart, node.startPos.offset))) {
+        return lineStart;
+    }
+    return node.startPos.offset;
+}
+
+/**
+ * Returns the source text of a node, if it can be copied. Each line after the
+ * first is moved from the source column of the node to the given prefix. The
+ * text of inline nodes is only copied when on a single line.
+ * @param {object} node the node
+ * @param {string} source the markdown source
+ * @param {number} start the offset of the start of the source text
+ * @param {string} prefix the prefix for lines after the first
+ * @param {boolean} inline whether the node is an inline
+ * @returns {string} the source text, or null if it cannot be copied
+ */
+function sourceText(node, source, start, prefix, inline) {
+    const text = source.slice(start, node.endPos.offset);
+    const lines = text.split('\n');
+    if (lines.length === 1) {
+        return text;
+    } else if (inline) {
+        return null;
+    }
+    const column = node.startPos.column - 1 - (node.startPos.offset - start);
+    const result = [lines[0]];
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i];
+        const containers = line.slice(0, column);
+        // Only the markup of containers, e.g. block quote markers, can be moved
+        if (!/^[ >]*$/.test(containers)) {
+            return null;
+        }
+        result.push(line.length > column ? prefix + line.slice(column) : prefix.trimEnd());
+    }
+    return result.join('\n');
+}
+
+/**
+ * Returns the source text of a line break, if it can be copied. The next line
+ * is moved from the source column of its block to the given prefix, and
+ * should only have spaces after it.
+ * @param {object} node the line break
+ * @param {string} source the markdown source
+ * @param {number} column the source column of the block of the line break
+ * @param {string} prefix the prefix for the next line
+ * @returns {string} the source text, or null if it cannot be copied
+ */
+function breakText(node, source, column, prefix) {
+    const lines = source.slice(node.startPos.offset, node.endPos.offset).split('\n');
+    const next = lines.length === 2 ? lines[1] : '';
+    if (lines.length !== 2 || !/^[ \\]*$/.test(lines[0]) || next.length < column || !/^[ >]*$/.test(next.slice(0, column)) || next.slice(column).trim() !== '') {
+        return null;
+    }
+    return lines[0] + '\n' + prefix + next.slice(column);
+}
+
+/**
+ * Whether a node in the markdown source is a fenced code block
+ * @param {object} node the node
+ * @param {string} source the markdown source
+ * @returns {boolean} whether the node is a fenced code block
+ */
+function isFenced(node, source) {
+    return nodeType(node) === 'CodeBlock' && /^(`{3,}|~{3,})/.test(source.slice(node.startPos.offset));
+}
+
+/**
+ * Whether a node may follow another node on the next line, without a blank
+ * line between them: after unchanged nodes or blocks which cannot continue
+ * on the next line, or before blocks which interrupt the previous block
+ * @param {object} previous the previous node
+ * @param {object} node the node
+ * @param {string} source the markdown source
+ * @returns {boolean} whether the nodes may be on consecutive lines
+ */
+function mayFollow(previous, node, source) {
+    const previousType = nodeType(previous);
+    const type = nodeType(node);
+    const char = source.charAt(node.startPos.offset);
+    // Unchanged nodes were already consecutive in the source
+    if (previous.digest) {
+        return true;
+    } else if (previousType === 'Heading' || previousType === 'ThematicBreak' || previousType === 'CodeBlock') {
+        return true;
+    } else if (previousType === 'LinkDefinition') {
+        return type === 'LinkDefinition';
+    } else if (previousType === 'HtmlBlock') {
+        return false;
+    } else if (type === 'ThematicBreak') {
+        // Dashes after a paragraph would make it a heading
+        return previousType !== 'Paragraph' || char !== '-';
+    }
+    return (type === 'Heading' && char === '#') || type === 'BlockQuote' || isFenced(node, source);
+}
+
+/**
+ * Returns the source text between two sibling nodes, if it can replace the
+ * separator between them. It should have the same prefix on each line, and
+ * the same number of new lines, except that blank lines may be added between
+ * blocks which are not in a list, and removed after blocks which cannot
+ * continue on the next line.
+ * @param {object} previous the previous node
+ * @param {object} node the node
+ * @param {string} source the markdown source
+ * @param {number} start the offset of the start of the source text of the node
+ * @param {string} separator the separator
+ * @param {string} parent the type of the parent node
+ * @returns {string} the source text, or null if it cannot be used
+ */
+function sourceSeparator(previous, node, source, start, separator, parent) {
+    if (!previous || !previous.startPos || !previous.endPos || previous.endPos.offset > start) {
+        return null;
+    }
+    const text = source.slice(previous.endPos.offset, start);
+    const lines = text.split('\n');
+    const separatorLines = separator.split('\n');
+    const prefix = separatorLines[separatorLines.length - 1];
+    if (separatorLines.length === 1 ||
+        lines.length === 1 ||
+        lines[0].trim() !== '' ||
+        lines[lines.length - 1] !== prefix ||
+        !lines.slice(1, -1).every(line => line.trimEnd() === prefix.trimEnd())) {
+        return null;
+    }
+    if (lines.length > separatorLines.length && separatorLines.length === 2 && !['Document', 'BlockQuote', 'FootnoteDefinition'].includes(parent)) {
+        return null;
+    }
+    if (lines.length < separatorLines.length && !mayFollow(previous, node, source)) {
+        return null;
+    }
+    return text;
+}
+
+/**
+ * Returns the style of a node in the markdown source, for the options which
+ * apply to the node
+ * @param {object} node the node
+ * @param {string} source the markdown source
+ * @returns {object} the style options, or null if none apply
+ */
+function sourceStyle(node, source) {
+    const text = source.slice(node.startPos.offset, node.endPos.offset);
+    switch (nodeType(node)) {
+    case 'Heading':
+        return { headingStyle: text.startsWith('#') ? 'atx' : 'setext' };
+    case 'CodeBlock':
+        return isFenced(node, source) ? { fence: text.charAt(0) } : null;
+    case 'Emph':
+        return /^[*_]/.test(text) ? { emphasis: text.charAt(0) } : null;
+    case 'Strong':
+        return /^(\*\*|__)/.test(text) ? { strong: text.slice(0, 2) } : null;
+    default:
+        return null;
+    }
+}
+
+/**
+ * Returns the marker of a list in the markdown source: the bullet of a bullet
+ * list, or the delimiter of an ordered list
+ * @param {object} list the list node
+ * @param {string} source the markdown source
+ * @returns {string} the marker, or null if the list has no source position
+ */
+function listMarker(list, source) {
+    const item = list.nodes ? list.nodes.find(item => item.startPos) : null;
+    if (!item) {
+        return null;
+    }
+    const match = source.slice(item.startPos.offset).match(/^(?:[-+*]|\d{1,9}[.)])/);
+    return match ? match[0].slice(-1) : null;
+}
+
+/**
+ * Adds the source text before and after the nodes of a document to its
+ * markdown: unchanged front matter, blank lines at the start and white space
+ * at the end
+ * @param {object} document the document
+ * @param {string} source the markdown source
+ * @param {string} markdown the markdown for the document
+ * @param {string} frontMatter the markdown for the front matter of the document
+ * @returns {string} the markdown
+ */
+function addSourceEdges(document, source, markdown, frontMatter) {
+    const nodes = document.nodes ? document.nodes : [];
+    const first = nodes.length > 0 ? nodes[0] : null;
+    const last = nodes.length > 0 ? nodes[nodes.length - 1] : null;
+
+    // The end of the markdown is kept if it is the end of the source of the last node
+    let result = markdown.replace(/^\n+/, '');
+    const after = last && last.endPos ? source.slice(last.endPos.offset) : null;
+    const space = result.match(/\s*$/)[0];
+    if (after !== null && /^\s*$/.test(after) && source.slice(0, last.endPos.offset).endsWith(space)) {
+        result = result + after;
+    } else {
+        result = result.trimEnd();
+    }
+
+    let head = '';
+    if (frontMatter) {
+        const fences = frontMatter.trimEnd() + '\n';
+        if (!result.startsWith(frontMatter) || !source.startsWith(fences)) {
+            return result;
+        }
+        result = result.slice(frontMatter.length);
+        head = fences;
+    }
+    const before = first && first.startPos ? source.slice(head.length, first.startPos.offset - first.startPos.column + 1) : null;
+    if (before !== null && /^\n*$/.test(before) && (before !== '' || !frontMatter)) {
+        return head + before + result;
+    }
+    return (frontMatter ? frontMatter : '') + result;
+}
+
+module.exports.hash = hash;
+module.exports.canonicalJSON = canonicalJSON;
+module.exports.addDigests = addDigests;
+module.exports.checkDigests = checkDigests;
+module.exports.sourceStart = sourceStart;
+module.exports.sourceText = sourceText;
+module.exports.breakText = breakText;
+module.exports.sourceSeparator = sourceSeparator;
+module.exports.sourceStyle = sourceStyle;
+module.exports.isFenced = isFenced;
+module.exports.listMarker = listMarker;
+module.exports.addSourceEdges = addSourceEdges;
@@ -0,0 +1,258 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const lossless = require('./lossless');
+const domDiff = require('./diff');
+
+/**
+ * Three-way merge of CommonMark and CiceroMark DOMs.
+ *
+ * The changes from a common base to two DOMs, ours and theirs, are merged when
+ * they do not overlap. The children of nodes are matched as for the diff, so
+ * that clauses and variables are matched by name. Changes which overlap are
+ * kept as Conflict nodes, with the content of both DOMs, in the closest block
+ * which may contain other blocks.
+ */
+
+// Blocks whose children may include conflicts
+const CONFLICT_CONTAINERS = ['Document', 'BlockQuote', 'Item', 'FootnoteDefinition', 'Clause'];
+
+const NS_PREFIX_CommonMarkModel = 'org.accordproject.commonmark.';
+
+/**
+ * Returns the canonical JSON of a node, recording it with the one of its descendants
+ * @param {object} node the node
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {string} the canonical JSON
+ */
+function content(node, contents) {
+    if (!contents.has(node)) {
+        lossless.canonicalJSON(node, (value, json) => contents.set(value, json));
+    }
+    return contents.get(node);
+}
+
+/**
+ * Splits three lists into chunks: stable chunks, with an item of the base which
+ * matches an item of both other lists, and unstable chunks between them
+ * @param {Array} base the base list
+ * @param {Array} ours the first changed list
+ * @param {Array} theirs the second changed list
+ * @param {*} match returns the pairs of indices of the matching items of two lists
+ * @returns {object[]} the chunks, with their items in each list
+ */
+function chunks(base, ours, theirs, match) {
+    const oursMatches = new Map(match(base, ours));
+    const theirsMatches = new Map(match(base, theirs));
+    const result = [];
+    let i = 0;
+    let j = 0;
+    let k = 0;
+    const unstable = (b, o, t) => {
+        if (b > i || o > j || t > k) {
+            result.push({ stable: false, base: base.slice(i, b), ours: ours.slice(j, o), theirs: theirs.slice(k, t) });
+        }
+    };
+    base.forEach((item, b) => {
+        if (oursMatches.has(b) && theirsMatches.has(b)) {
+            const o = oursMatches.get(b);
+            const t = theirsMatches.get(b);
+            unstable(b, o, t);
+            result.push({ stable: true, base: [item], ours: [ours[o]], theirs: [theirs[t]] });
+            i = b + 1;
+            j = o + 1;
+            k = t + 1;
+        }
+    });
+    unstable(base.length, ours.length, theirs.length);
+    return result;
+}
+
+/**
+ * Resolves an unstable chunk, if only one side has changed it, or both sides
+ * have changed it in the same way
+ * @param {object} chunk the chunk
+ * @param {*} equal whether two lists of items are equal
+ * @returns {Array} the merged items, or null if the changes conflict
+ */
+function resolve(chunk, equal) {
+    if (equal(chunk.ours, chunk.base)) {
+        return chunk.theirs;
+    } else if (equal(chunk.theirs, chunk.base) || equal(chunk.ours, chunk.theirs)) {
+        return chunk.ours;
+    }
+    return null;
+}
+
+/**
+ * Merges the changes to a text, word by word
+ * @param {string} base the base text
+ * @param {string} ours the first changed text
+ * @param {string} theirs the second changed text
+ * @returns {string} the merged text, or null if the changes conflict
+ */
+function mergeText(base, ours, theirs) {
+    const match = (a, b) => domDiff.commonSubsequence(a, b, (x, y) => x === y);
+    const equal = (a, b) => a.join('') === b.join('');
+    const merged = chunks(domDiff.words(base), domDiff.words(ours), domDiff.words(theirs), match)
+        .map(chunk => chunk.stable ? chunk.ours : resolve(chunk, equal));
+    return merged.includes(null) ? null : [].concat(...merged).join('');
+}
+
+/**
+ * Merges the changes to the attributes of a node
+ * @param {object} base the base node
+ * @param {object} ours the first changed node
+ * @param {object} theirs the second changed node
+ * @returns {object} the merged attributes, or null if the changes conflict
+ */
+function mergeAttributes(base, ours, theirs) {
+    const value = (node, name) => node[name] && typeof node[name] === 'object' ? lossless.canonicalJSON(node[name], () => {}) : node[name];
+    const text = domDiff.nodeType(ours) === 'Text';
+    const result = {};
+    const names = Object.keys(Object.assign({}, base, ours, theirs)).filter(name => !domDiff.NOT_ATTRIBUTES.includes(name));
+    const merged = names.every(name => {
+        const [b, o, t] = [base, ours, theirs].map(node => value(node, name));
+        if (o === b) {
+            result[name] = theirs[name];
+        } else if (t === b || o === t) {
+            result[name] = ours[name];
+        } else if (text && name === 'text') {
+            result[name] = mergeText(b, o, t);
+            return result[name] !== null;
+        } else {
+            return false;
+        }
+        if (result[name] === undefined) {
+            delete result[name];
+        }
+        return true;
+    });
+    return merged ? result : null;
+}
+
+/**
+ * Returns a conflict node for the changes to a chunk of children
+ * @param {object} chunk the chunk
+ * @returns {object} the conflict node
+ */
+function conflict(chunk) {
+    return { $class: NS_PREFIX_CommonMarkModel + 'Conflict', ours: chunk.ours, theirs: chunk.theirs, base: chunk.base };
+}
+
+/**
+ * Merges the identified children which appear once in each list, so that they
+ * can be merged when they have been moved on one side and changed on the other
+ * @param {object[]} base the base children
+ * @param {object[]} ours the first changed children
+ * @param {object[]} theirs the second changed children
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {Array} the three lists of children, with the merged nodes in place of the identified children
+ */
+function mergeIdentified(base, ours, theirs, contents) {
+    const lists = [base, ours, theirs].map(list => list.slice());
+    const key = (node) => domDiff.nodeKey(node, contents);
+    const unique = (list, name) => list.filter(node => key(node) === name).length === 1;
+    base.filter(node => domDiff.IDENTIFIED.includes(domDiff.nodeType(node)) && lists.every(list => unique(list, key(node))))
+        .forEach(node => {
+            const name = key(node);
+            const indices = lists.map(list => list.findIndex(other => key(other) === name));
+            const [b, o, t] = lists.map((list, i) => list[indices[i]]);
+            const merged = mergeNode(b, o, t, contents);
+            if (merged) {
+                lists.forEach((list, i) => {
+                    list[indices[i]] = merged;
+                });
+            }
+        });
+    return lists;
+}
+
+/**
+ * Merges the changes to the children of a node
+ * @param {object[]} base the base children
+ * @param {object[]} ours the first changed children
+ * @param {object[]} theirs the second changed children
+ * @param {string} parentType the type of the parent
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {object[]} the merged children, or null if the changes conflict and the parent cannot contain conflicts
+ */
+function mergeChildren(base, ours, theirs, parentType, contents) {
+    const lists = mergeIdentified(base, ours, theirs, contents);
+    const match = (a, b) => domDiff.matchChildren(a, b, parentType, contents);
+    const equal = (a, b) => a.length === b.length && a.every((node, i) => content(node, contents) === content(b[i], contents));
+    const merged = chunks(lists[0], lists[1], lists[2], match).map(chunk => {
+        const nodes = chunk.stable ? [mergeNode(chunk.base[0], chunk.ours[0], chunk.theirs[0], contents)] : resolve(chunk, equal);
+        if (nodes && !nodes.includes(null)) {
+            return nodes;
+        }
+        return CONFLICT_CONTAINERS.includes(parentType) ? [conflict(chunk)] : null;
+    });
+    return merged.includes(null) ? null : [].concat(...merged);
+}
+
+/**
+ * Merges the changes to a node
+ * @param {object} base the base node
+ * @param {object} ours the first changed node
+ * @param {object} theirs the second changed node
+ * @param {Map} contents the canonical JSON of each node
+ * @returns {object} the merged node, or null if the changes conflict
+ */
+function mergeNode(base, ours, theirs, contents) {
+    const [b, o, t] = [base, ours, theirs].map(node => content(node, contents));
+    if (o === b) {
+        return theirs;
+    } else if (t === b || o === t) {
+        return ours;
+    }
+    const attributes = mergeAttributes(base, ours, theirs);
+    if (!attributes) {
+        return null;
+    }
+    const result = Object.assign({ $class: ours.$class }, attributes);
+    if (base.nodes || ours.nodes || theirs.nodes) {
+        const nodes = mergeChildren(base.nodes ? base.nodes : [], ours.nodes ? ours.nodes : [], theirs.nodes ? theirs.nodes : [], domDiff.nodeType(ours), contents);
+        if (!nodes) {
+            return null;
+        }
+        result.nodes = nodes;
+    }
+    content(result, contents);
+    return result;
+}
+
+/**
+ * Returns the three-way merge of CommonMark or CiceroMark DOMs. Changes which
+ * conflict are kept as Conflict nodes, with the nodes on each side.
+ * @param {object} base the base DOM, as JSON
+ * @param {object} ours the first changed DOM, as JSON
+ * @param {object} theirs the second changed DOM, as JSON
+ * @returns {object} the merged DOM, as JSON, without source positions
+ */
+function merge(base, ours, theirs) {
+    const contents = new Map();
+    const merged = mergeNode(base, ours, theirs, contents);
+    if (merged) {
+        return domDiff.clean(merged);
+    }
+    // The attributes of the document conflict
+    const nodes = (node) => node.nodes ? node.nodes : [];
+    const document = Object.assign({}, ours, { nodes: [conflict({ base: nodes(base), ours: nodes(ours), theirs: nodes(theirs) })] });
+    return domDiff.clean(document);
+}
+
+module.exports.merge = merge;
@@ -0,0 +1,117 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const reference = require('markdown-it/lib/rules_block/reference');
+const link = require('markdown-it/lib/rules_inline/link');
+const image = require('markdown-it/lib/rules_inline/image');
+
+const DEFINITION_LABEL = /^\s*\[((?:[^\\\]]|\\[\s\S])+)\]:/;
+
+/**
+ * Block rule keeping link reference definitions, e.g., '[label]: http://example.com', as
+ * 'reference' tokens. markdown-it only records them in the environment.
+ * @param {*} state the markdown-it block state
+ * @param {number} startLine the first line
+ * @param {number} endLine the last line
+ * @param {boolean} silent whether to only validate
+ * @returns {boolean} whether a reference definition was found
+ */
+function referenceDefinition(state, startLine, endLine, silent) {
+    const before = state.env.references ? Object.keys(state.env.references) : [];
+    if (!reference(state, startLine, endLine, silent)) {
+        return false;
+    }
+    if (!silent) {
+        // Duplicate definitions are ignored, as markdown-it does
+        const added = Object.keys(state.env.references).filter(key => !before.includes(key));
+        if (added.length > 0) {
+            const definition = state.env.references[added[0]];
+            const source = state.getLines(startLine, state.line, state.blkIndent, false);
+            const match = source.match(DEFINITION_LABEL);
+            const token = state.push('reference', '', 0);
+            token.map = [startLine, state.line];
+            token.meta = { label: match ? match[1] : added[0], href: definition.href, title: definition.title };
+        }
+    }
+    return true;
+}
+
+/**
+ * Finds the reference style of the link (or image) starting at a given position
+ * @param {*} state the markdown-it inline state
+ * @param {number} start the position of the opening bracket for the link text
+ * @param {boolean} disableNested whether links can be nested in the link text
+ * @returns {*} the reference type and label, or null for inline links
+ */
+function referenceStyle(state, start, disableNested) {
+    const textEnd = state.md.helpers.parseLinkLabel(state, start, disableNested);
+    if (textEnd < 0) {
+        return null;
+    }
+    const text = state.src.slice(start + 1, textEnd);
+    const pos = textEnd + 1;
+    if (state.src.charAt(pos) === '(') {
+        return null;
+    }
+    if (state.src.charAt(pos) === '[') {
+        const labelEnd = state.md.helpers.parseLinkLabel(state, pos);
+        if (labelEnd >= 0) {
+            const label = state.src.slice(pos + 1, labelEnd);
+            return label ? { referenceType: 'full', label } : { referenceType: 'collapsed', label: text };
+        }
+    }
+    return { referenceType: 'shortcut', label: text };
+}
+
+/**
+ * Wraps an inline rule for links (or images), recording on the resulting
+ * token whether the link was written in reference style
+ * @param {*} rule the markdown-it rule
+ * @param {string} type the type of the token created by the rule
+ * @param {number} offset the offset of the opening bracket for the link text
+ * @param {boolean} disableNested whether links can be nested in the link text
+ * @returns {*} the new rule
+ */
+function referenceLink(rule, type, offset, disableNested) {
+    return (state, silent) => {
+        const start = state.pos;
+        const length = state.tokens.length;
+        if (!rule(state, silent)) {
+            return false;
+        }
+        if (!silent) {
+            const token = state.tokens.slice(length).find(token => token.type === type);
+            const style = token ? referenceStyle(state, start + offset, disableNested) : null;
+            if (style) {
+                token.meta = Object.assign({}, token.meta, style);
+            }
+        }
+        return true;
+    };
+}
+
+/**
+ * Keeps link reference definitions in the token stream, and records the
+ * reference style of links and images
+ * @param {*} md the markdown-it instance
+ */
+function references(md) {
+    md.block.ruler.at('reference', referenceDefinition);
+    md.inline.ruler.at('link', referenceLink(link, 'link_open', 0, true));
+    md.inline.ruler.at('image', referenceLink(image, 'image', 1, false));
+}
+
+module.exports = references;
@@ -26,12 +26,37 @@ function mapObject(obj, stack) {
     // remove these, visit children
     case 'org.accordproject.commonmark.Emph':
     case 'org.accordproject.commonmark.Strong':
+    case 'org.accordproject.commonmark.Strikethrough':
     case 'org.accordproject.commonmark.Document':
     case 'org.accordproject.commonmark.BlockQuote':
-        obj.nodes.forEach(element => {
+    case 'org.accordproject.commonmark.Table':
+    case 'org.accordproject.commonmark.TableHead':
+    case 'org.accordproject.commonmark.TableBody':
+    case 'org.accordproject.commonmark.TableCell':
+        if (obj.nodes) {
+            obj.nodes.forEach(element => {
+                mapObject(element, stack);
+            });
+        }
+        break;
+    // wrap each table row in a para, separating the cells with a space
+    case 'org.accordproject.commonmark.TableRow': {
+        stack.push({
+            $class: 'org.accordproject.commonmark.Paragraph',
+            nodes: []
+        });
+        obj.nodes.forEach((element, index) => {
+            if (index > 0) {
+                stack.append( {
+                    $class: 'org.accordproject.commonmark.Text',
+                    text: ' '
+                });
+            }
             mapObject(element, stack);
         });
+        stack.pop();
         break;
+    }
     // wrap in a para and process child nodes
     case 'org.accordproject.commonmark.Paragraph':
     case 'org.accordproject.commonmark.Heading': {
@@ -47,6 +72,21 @@ function mapObject(obj, stack) {
         stack.pop();
         break;
     }
+    // keep the footnote and process child nodes
+    case 'org.accordproject.commonmark.FootnoteDefinition': {
+        stack.push({
+            $class: 'org.accordproject.commonmark.FootnoteDefinition',
+            label: obj.label,
+            nodes: []
+        });
+        if (obj.nodes) {
+            obj.nodes.forEach(element => {
+                mapObject(element, stack);
+            });
+        }
+        stack.pop();
+        break;
+    }
     // wrap in a para and grab text
     case 'org.accordproject.commonmark.CodeBlock':
     case 'org.accordproject.commonmark.HtmlBlock':
@@ -82,6 +122,9 @@ function mapObject(obj, stack) {
             text: obj.title
         });
         break;
+    // reference definitions have no text
+    case 'org.accordproject.commonmark.LinkDefinition':
+        break;
     // do not insert a \ for linebreaks
     case 'org.accordproject.commonmark.Linebreak':
         stack.append( {
@@ -107,6 +150,10 @@ function removeFormatting(obj) {
         xmlns : obj.xmlns,
         nodes: []
     };
+    // The front matter is metadata, not formatting
+    if (obj.frontMatter) {
+        root.frontMatter = obj.frontMatter;
+    }
     const stack = new Stack();
     stack.push(root, false);
     mapObject(obj, stack);
@@ -0,0 +1,397 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Source positions for markdown-it tokens.
+ *
+ * While parsing, the block and inline rules record the range of source
+ * offsets of the tokens they create, as a `range` property. Offsets for inline
+ * tokens are relative to the content of their inline block. Once parsing is
+ * complete, ranges are converted to a `position` property on each token, with
+ * the start and end line, column and offset in the source.
+ *
+ * Lines and columns start at 1, offsets at 0, and the end of a range is the
+ * position just after its last character. Table cells have no range of their
+ * own.
+ */
+
+/**
+ * Returns the offset of the end of a block, ignoring trailing blank lines
+ * @param {*} state the markdown-it block state
+ * @param {number} startLine the first line of the block
+ * @param {number} endLine the line after the block
+ * @returns {number} the offset of the end of the block
+ */
+function blockEnd(state, startLine, endLine) {
+    let line = Math.max(startLine, endLine - 1);
+    while (line > startLine && state.bMarks[line] + state.tShift[line] >= state.eMarks[line]) {
+        line--;
+    }
+    return state.eMarks[line];
+}
+
+/**
+ * Wraps a block rule to record the range of the tokens it creates. Tokens
+ * which have a line map start at the first character of their first line.
+ * Otherwise the first token created by the rule is given the range of the
+ * rule, and other tokens the line of the next token with a line map. Closing
+ * tokens have no range.
+ * @param {*} rule the block rule
+ * @returns {*} the wrapped rule
+ */
+function blockRule(rule) {
+    return (state, startLine, endLine, silent) => {
+        const first = state.tokens.length;
+        const start = state.bMarks[startLine] + state.tShift[startLine];
+        const result = rule(state, startLine, endLine, silent);
+        if (result && !silent) {
+            for (let i = first; i < state.tokens.length; i++) {
+                const token = state.tokens[i];
+                // Table cells span their content
+                if (token.range || token.nesting < 0 || token.type === 'th_open' || token.type === 'td_open') {
+                    continue;
+                }
+                if (token.map) {
+                    const line = token.map[0];
+                    token.range = [state.bMarks[line] + state.tShift[line], blockEnd(state, line, token.map[1])];
+                } else if (i === first) {
+                    token.range = [start, blockEnd(state, startLine, state.line)];
+                } else {
+                    // Rows of a table body take the line of their cells
+                    const next = state.tokens.slice(i + 1).find(token => token.map);
+                    if (next) {
+                        const line = next.map[0];
+                        token.range = [state.bMarks[line] + state.tShift[line], blockEnd(state, line, line + 1)];
+                    }
+                }
+            }
+        }
+        return result;
+    };
+}
+
+/**
+ * Wraps an inline rule to record the range of the tokens it creates. When a
+ * rule only creates text tokens covering the source it consumed, e.g., the
+ * delimiters for emphasis, each token is given its own range.
+ * @param {*} rule the inline rule
+ * @returns {*} the wrapped rule
+ */
+function inlineRule(rule) {
+    return (state, silent) => {
+        if (silent || !state.ruleStarts) {
+            return rule(state, silent);
+        }
+        const first = state.tokens.length;
+        const start = state.pos;
+        state.ruleStarts.push(start);
+        const result = rule(state, silent);
+        state.ruleStarts.pop();
+        if (result) {
+            const end = state.pos;
+            const tokens = state.tokens.slice(first).filter(token => !token.range);
+            const length = tokens.reduce((length, token) => token.type === 'text' ? length + token.content.length : NaN, 0);
+            let offset = start;
+            tokens.forEach(token => {
+                if (length === end - start) {
+                    token.range = [offset, offset + token.content.length];
+                    offset += token.content.length;
+                } else {
+                    token.range = [start, end];
+                }
+            });
+            state.lastEnd = end;
+        }
+        return result;
+    };
+}
+
+/**
+ * Returns an inline state class which records the range of text tokens
+ * @param {*} StateInline the markdown-it inline state class
+ * @returns {*} the new inline state class
+ */
+function positionStateInline(StateInline) {
+    /**
+     * Inline state recording where pending text starts and ends
+     */
+    class PositionStateInline extends StateInline {
+        /**
+         * Create the state
+         * @param {string} src the inline content
+         * @param {*} md the markdown-it instance
+         * @param {*} env the environment
+         * @param {*} outTokens the tokens
+         */
+        constructor(src, md, env, outTokens) {
+            super(src, md, env, outTokens);
+            this.ruleStarts = [];
+            this.lastEnd = 0;
+            this.pendingStart = 0;
+            this.pendingTrimmed = 0;
+            this.pushing = false;
+        }
+
+        /**
+         * The pending text
+         * @returns {string} the pending text
+         */
+        get pending() {
+            return this._pending;
+        }
+
+        /**
+         * Set the pending text, recording where it starts
+         * @param {string} value the new pending text
+         */
+        set pending(value) {
+            const old = this._pending ? this._pending : '';
+            if (old === '' && value !== '') {
+                this.pendingStart = this.lastEnd;
+                this.pendingTrimmed = 0;
+            } else if (value.length < old.length && value !== '') {
+                // Trailing spaces removed before a line break
+                this.pendingTrimmed += old.length - value.length;
+            }
+            this._pending = value;
+        }
+
+        /**
+         * Flush the pending text to a text token
+         * @returns {*} the text token
+         */
+        pushPending() {
+            const trimmed = this.pendingTrimmed;
+            const token = super.pushPending();
+            // Pending text is flushed either by the next rule, or at the end of the content
+            const end = this.pushing ? this.ruleStarts[this.ruleStarts.length - 1] : this.pos;
+            token.range = [this.pendingStart, end - trimmed];
+            return token;
+        }
+
+        /**
+         * Push a new token
+         * @param {string} type the token type
+         * @param {string} tag the html tag
+         * @param {number} nesting the token nesting
+         * @returns {*} the token
+         */
+        push(type, tag, nesting) {
+            this.pushing = true;
+            const token = super.push(type, tag, nesting);
+            this.pushing = false;
+            // Nested content, e.g., a link label, starts at the current position
+            this.lastEnd = this.pos;
+            return token;
+        }
+    }
+    return PositionStateInline;
+}
+
+/**
+ * Inline rule, run before text tokens are merged, which adjusts the range of
+ * the tokens for strong emphasis to cover both delimiters, the range of hard
+ * line breaks to cover their trailing spaces, and the range of adjacent text
+ * tokens so that merged text tokens cover all of their text.
+ * @param {*} state the markdown-it inline state
+ */
+function mergeRanges(state) {
+    const tokens = state.tokens;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        const next = tokens[i + 1];
+        if (!token.range) {
+            continue;
+        }
+        // The first delimiter of a strong opening tag, and the second of a
+        // closing tag, are left as empty text tokens
+        if (token.type === 'strong_open' && previous && previous.type === 'text' && previous.content === '' && previous.range) {
+            token.range = [previous.range[0], token.range[1]];
+            previous.range = [previous.range[0], previous.range[0]];
+        }
+        if (token.type === 'strong_close' && next && next.type === 'text' && next.content === '' && next.range) {
+            token.range = [token.range[0], next.range[1]];
+            next.range = [next.range[1], next.range[1]];
+        }
+        // The trailing spaces of a hard line break are removed from the text before it
+        if (token.type === 'hardbreak' && previous && previous.range && previous.range[1] < token.range[0]) {
+            token.range = [previous.range[1], token.range[1]];
+        }
+    }
+    for (let i = 1; i < tokens.length; i++) {
+        if (tokens[i].type === 'text' && tokens[i - 1].type === 'text' && tokens[i].range && tokens[i - 1].range) {
+            tokens[i].range = [tokens[i - 1].range[0], tokens[i].range[1]];
+        }
+    }
+}
+
+/**
+ * Returns the offset of the start of each line
+ * @param {string} src the source
+ * @returns {number[]} the offsets
+ */
+function lineStarts(src) {
+    const result = [0];
+    for (let i = 0; i < src.length; i++) {
+        if (src.charAt(i) === '\n') {
+            result.push(i + 1);
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns the line, column and offset for an offset in the source
+ * @param {number[]} starts the offset of the start of each line
+ * @param {number} offset the offset
+ * @returns {*} the line, column and offset
+ */
+function point(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (starts[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return { line: low + 1, column: offset - starts[low] + 1, offset };
+}
+
+/**
+ * Gives a range to the inline tokens which do not have one, e.g., tokens
+ * created after inline parsing, using the length of their content
+ * @param {*} tokens the inline tokens
+ */
+function fillRanges(tokens) {
+    const open = [];
+    let offset = 0;
+    tokens.forEach(token => {
+        if (token.range) {
+            offset = token.range[1];
+        } else if (token.nesting > 0) {
+            token.range = [offset, offset];
+            open.push(token);
+        } else if (token.nesting < 0) {
+            const opening = open.pop();
+            if (opening) {
+                opening.range[1] = offset;
+            }
+            token.range = [offset, offset];
+        } else {
+            token.range = [offset, offset + token.content.length];
+            offset = token.range[1];
+        }
+    });
+}
+
+/**
+ * Sets the position of the tokens inside an inline block
+ * @param {string} src the source
+ * @param {number[]} starts the offset of the start of each line
+ * @param {*} token the inline token
+ * @param {object} cursors the offset already used on each line, for blocks sharing a line
+ */
+function inlinePositions(src, starts, token, cursors) {
+    if (!token.map) {
+        return;
+    }
+    // Find each line of the inline content in the source
+    const contentStarts = [];
+    const sourceStarts = [];
+    let contentStart = 0;
+    token.content.split('\n').forEach((text, i) => {
+        const line = token.map[0] + i;
+        const lineStart = starts[line];
+        const lineEnd = line + 1 < starts.length ? starts[line + 1] - 1 : src.length;
+        const lineText = src.slice(lineStart, lineEnd);
+        let column = lineText.indexOf(text, cursors[line] ? cursors[line] : 0);
+        if (column < 0) {
+            column = lineText.length - lineText.trimStart().length;
+        }
+        cursors[line] = column + text.length;
+        contentStarts.push(contentStart);
+        sourceStarts.push(lineStart + column);
+        contentStart += text.length + 1;
+    });
+    const sourceOffset = (offset) => {
+        let i = contentStarts.length - 1;
+        while (i > 0 && contentStarts[i] > offset) {
+            i--;
+        }
+        return sourceStarts[i] + offset - contentStarts[i];
+    };
+
+    const setPositions = (children, shift) => {
+        fillRanges(children);
+        children.forEach(child => {
+            const range = child.range;
+            child.position = {
+                start: point(starts, sourceOffset(range[0] + shift)),
+                end: point(starts, sourceOffset(range[1] + shift)),
+            };
+            delete child.range;
+            // The text of an image is parsed separately, after '!['
+            if (child.type === 'image' && child.children) {
+                setPositions(child.children, range[0] + shift + 2);
+            }
+        });
+    };
+    setPositions(token.children, 0);
+}
+
+/**
+ * Core rule converting the ranges recorded while parsing to positions
+ * @param {*} state the markdown-it core state
+ */
+function positions(state) {
+    const starts = lineStarts(state.src);
+    const cursors = {};
+    state.tokens.forEach(token => {
+        if (token.type === 'inline' && token.children) {
+            inlinePositions(state.src, starts, token, cursors);
+        }
+        if (token.range) {
+            token.position = {
+                start: point(starts, token.range[0]),
+                end: point(starts, token.range[1]),
+            };
+            delete token.range;
+        }
+    });
+}
+
+/**
+ * Source positions for markdown-it. Should be used after any other plugin,
+ * so that the rules they add also record positions.
+ * @param {*} md the markdown-it instance
+ */
+function sourcePositions(md) {
+    md.block.ruler.__rules__.forEach(rule => {
+        md.block.ruler.at(rule.name, blockRule(rule.fn), { alt: rule.alt });
+    });
+    md.inline.ruler.__rules__.forEach(rule => {
+        md.inline.ruler.at(rule.name, inlineRule(rule.fn), { alt: rule.alt });
+    });
+    md.inline.State = positionStateInline(md.inline.State);
+    md.inline.ruler2.before('text_collapse', 'source_ranges', mergeRanges);
+    md.core.ruler.push('source_positions', positions);
+}
+
+module.exports = sourcePositions;
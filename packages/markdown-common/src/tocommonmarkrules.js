@@ -14,9 +14,21 @@
 
 'use strict';
 
-const { unescapeCodeBlock, parseHtmlBlock, headingLevel, getAttr, trimEndline } = require('./CommonMarkUtils');
+const { unescapeCodeBlock, parseHtmlBlock, headingLevel, getAttr, getAlign, trimEndline } = require('./CommonMarkUtils');
 const NS_PREFIX_CommonMarkModel = require('./externalModels/CommonMarkModel').NS_PREFIX_CommonMarkModel;
 
+/**
+ * Records the reference style of a link or image, if any
+ * @param {*} node the CommonMark node
+ * @param {*} token the markdown-it token
+ */
+function referenceStyle(node,token) {
+    if (token.meta && token.meta.referenceType) {
+        node.label = token.meta.label;
+        node.referenceType = token.meta.referenceType;
+    }
+}
+
 // Inline rules
 const textRule = {
     tag: NS_PREFIX_CommonMarkModel + 'Text',
@@ -87,6 +99,28 @@ const emphCloseRule = {
     close: true,
     skipEmpty: false,
 };
+const footnoteRefRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'FootnoteReference',
+    leaf: true,
+    open: false,
+    close: false,
+    enter: (node,token,callback) => { node.label = token.meta.label; },
+    skipEmpty: false,
+};
+const strikethroughOpenRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'Strikethrough',
+    leaf: false,
+    open: true,
+    close: false,
+    skipEmpty: false,
+};
+const strikethroughCloseRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'Strikethrough',
+    leaf: false,
+    open: false,
+    close: true,
+    skipEmpty: false,
+};
 const linkOpenRule = {
     tag: NS_PREFIX_CommonMarkModel + 'Link',
     leaf: false,
@@ -95,6 +129,7 @@ const linkOpenRule = {
     enter: (node,token,callback) => {
         node.destination = getAttr(token.attrs,'href','');
         node.title = getAttr(token.attrs,'title','');
+        referenceStyle(node,token);
     },
     skipEmpty: false,
 };
@@ -113,6 +148,7 @@ const imageRule = {
     enter: (node,token,callback) => {
         node.destination = getAttr(token.attrs,'src','');
         node.title = getAttr(token.attrs,'title','');
+        referenceStyle(node,token);
         node.nodes = callback(token.children);
     },
     skipEmpty: false,
@@ -234,6 +270,10 @@ const listItemOpenRule = {
     open: true,
     close: false,
     enter: (node,token,callback) => {
+        const checked = getAttr(token.attrs,'checked',null);
+        if (checked) {
+            node.checked = checked === 'true';
+        }
     },
 };
 const listItemCloseRule = {
@@ -242,6 +282,123 @@ const listItemCloseRule = {
     open: false,
     close: true,
 };
+const referenceRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'LinkDefinition',
+    leaf: true,
+    open: false,
+    close: false,
+    enter: (node,token,callback) => {
+        node.label = token.meta.label;
+        node.destination = token.meta.href;
+        node.title = token.meta.title ? token.meta.title : '';
+    },
+};
+const footnoteDefinitionOpenRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'FootnoteDefinition',
+    leaf: false,
+    open: true,
+    close: false,
+    enter: (node,token,callback) => {
+        node.label = token.meta.label;
+    },
+};
+const footnoteDefinitionCloseRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'FootnoteDefinition',
+    leaf: false,
+    open: false,
+    close: true,
+};
+const frontMatterRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'FrontMatter',
+    leaf: false,
+    open: false,
+    close: false,
+    // Front matter is recorded on the document node
+    enter: (node,token,callback) => {
+        node.frontMatter = {
+            $class: NS_PREFIX_CommonMarkModel + 'FrontMatter',
+            format: token.meta.format,
+            text: token.meta.text,
+            metadata: token.meta.metadata.map(entry => {
+                return { $class: NS_PREFIX_CommonMarkModel + 'Metadata', name: entry.name, value: entry.value };
+            }),
+        };
+    }
+};
+const tableOpenRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'Table',
+    leaf: false,
+    open: true,
+    close: false,
+    enter: (node,token,callback) => {
+    },
+};
+const tableCloseRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'Table',
+    leaf: false,
+    open: false,
+    close: true,
+};
+const tableHeadOpenRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableHead',
+    leaf: false,
+    open: true,
+    close: false,
+    enter: (node,token,callback) => {
+    },
+};
+const tableHeadCloseRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableHead',
+    leaf: false,
+    open: false,
+    close: true,
+};
+const tableBodyOpenRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableBody',
+    leaf: false,
+    open: true,
+    close: false,
+    enter: (node,token,callback) => {
+    },
+};
+const tableBodyCloseRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableBody',
+    leaf: false,
+    open: false,
+    close: true,
+};
+const tableRowOpenRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableRow',
+    leaf: false,
+    open: true,
+    close: false,
+    enter: (node,token,callback) => {
+    },
+};
+const tableRowCloseRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableRow',
+    leaf: false,
+    open: false,
+    close: true,
+};
+const tableCellOpenRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableCell',
+    leaf: false,
+    open: true,
+    close: false,
+    enter: (node,token,callback) => {
+        const align = getAlign(token.attrs);
+        if (align) {
+            node.align = align;
+        }
+    },
+};
+const tableCellCloseRule = {
+    tag: NS_PREFIX_CommonMarkModel + 'TableCell',
+    leaf: false,
+    open: false,
+    close: true,
+};
 
 const rules = { inlines: {}, blocks: {}};
 rules.inlines.text = textRule;
@@ -253,9 +410,12 @@ rules.inlines.strong_open = strongOpenRule;
 rules.inlines.strong_close = strongCloseRule;
 rules.inlines.em_open = emphOpenRule;
 rules.inlines.em_close = emphCloseRule;
+rules.inlines.s_open = strikethroughOpenRule;
+rules.inlines.s_close = strikethroughCloseRule;
 rules.inlines.link_open = linkOpenRule;
 rules.inlines.link_close = linkCloseRule;
 rules.inlines.image = imageRule;
+rules.inlines.footnote_ref = footnoteRefRule;
 
 rules.blocks.code_block = codeBlockRule;
 rules.blocks.fence = fenceRule;
@@ -273,5 +433,21 @@ rules.blocks.ordered_list_open = orderedListOpenRule;
 rules.blocks.ordered_list_close = orderedListCloseRule;
 rules.blocks.list_item_open = listItemOpenRule;
 rules.blocks.list_item_close = listItemCloseRule;
+rules.blocks.reference = referenceRule;
+rules.blocks.footnote_reference_open = footnoteDefinitionOpenRule;
+rules.blocks.footnote_reference_close = footnoteDefinitionCloseRule;
+rules.blocks.front_matter = frontMatterRule;
+rules.blocks.table_open = tableOpenRule;
+rules.blocks.table_close = tableCloseRule;
+rules.blocks.thead_open = tableHeadOpenRule;
+rules.blocks.thead_close = tableHeadCloseRule;
+rules.blocks.tbody_open = tableBodyOpenRule;
+rules.blocks.tbody_close = tableBodyCloseRule;
+rules.blocks.tr_open = tableRowOpenRule;
+rules.blocks.tr_close = tableRowCloseRule;
+rules.blocks.th_open = tableCellOpenRule;
+rules.blocks.th_close = tableCellCloseRule;
+rules.blocks.td_open = tableCellOpenRule;
+rules.blocks.td_close = tableCellCloseRule;
 
 module.exports = rules;
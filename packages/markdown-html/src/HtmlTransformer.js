@@ -17,6 +17,18 @@
 const ToHtmlStringVisitor = require('./ToHtmlStringVisitor');
 const ToCiceroMarkVisitor = require('./ToCiceroMarkVisitor');
 const CiceroMarkTransformer = require('@accordproject/markdown-cicero').CiceroMarkTransformer;
+const domDiff = require('@accordproject/markdown-common').diff;
+
+// Html for the changes in a redline
+const REDLINE = {
+    insertStart: '<ins>',
+    insertEnd: '</ins>',
+    deleteStart: '<del>',
+    deleteEnd: '</del>',
+    substituteStart: '<del>',
+    substituteSeparator: '</del><ins>',
+    substituteEnd: '</ins>',
+};
 
 /**
  * Converts a CiceroMark or CommonMark DOM to HTML
@@ -52,6 +64,20 @@ class HtmlTransformer {
         return parameters.result.trim();
     }
 
+    /**
+     * Converts the diff of two CiceroMark DOMs to a redline html string,
+     * with the changes in <ins> and <del> elements
+     * @param {object} diff - the diff, as returned by CiceroMarkTransformer.diff
+     * @returns {string} the html string
+     */
+    diffToHtml(diff) {
+        const html = this.toHtml(domDiff.redline(diff));
+        // Blocks without content are marked by paragraphs before and after them
+        const markers = Object.keys(domDiff.MARKERS).map(name => domDiff.MARKERS[name]).join('');
+        const blockMarkers = new RegExp(`<p>([${markers}])</p>`, 'g');
+        return domDiff.replaceMarkers(html.replace(blockMarkers, '$1'), REDLINE);
+    }
+
     /**
      * Converts an html string to a CiceroMark DOM
      * @param {string} input - html string
@@ -70,6 +70,13 @@ describe('markdown <-> html', () => {
         });
     });
 
+    it('converts a footnote with a nested list to html', () => {
+        const json = ciceroTransformer.fromMarkdown('Text[^1].\n\n[^1]: Note\n\n    - x\n    - y', 'json');
+        const html = htmlTransformer.toHtml(json);
+        const ciceroMarkDom = htmlTransformer.toCiceroMark(html, 'json');
+        expect(ciceroMarkDom).toEqual(json);
+    });
+
     it('converts unwrapped <li> to html', () => {
         const ciceroMarkDom = htmlTransformer.toCiceroMark('<p>Hello</p><li>list item</li><p>World.</p>', 'json');
         expect(ciceroMarkDom).toMatchSnapshot(); // (1)
@@ -78,6 +85,30 @@ describe('markdown <-> html', () => {
     });
 });
 
+describe('gfm markdown <-> html', () => {
+    const gfmCiceroTransformer = new CiceroMarkTransformer({ gfm: true });
+    const files = fs.readdirSync(__dirname + '/../test/data/gfm');
+    files.forEach((file) => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/gfm/' + file, 'utf8');
+        it(`converts ${file} to html`, () => {
+            const json = gfmCiceroTransformer.fromMarkdown(markdownText, 'json');
+            const html = htmlTransformer.toHtml(json);
+            expect(html).toMatchSnapshot();
+            const ciceroMarkDom = htmlTransformer.toCiceroMark(html, 'json');
+            expect(ciceroMarkDom).toEqual(json);
+        });
+    });
+
+    it('converts <del> and <strike> to strikethrough', () => {
+        const ciceroMarkDom = htmlTransformer.toCiceroMark('<p><del>one</del> <strike>two</strike></p>', 'json');
+        expect(ciceroMarkDom.nodes[0].nodes.map(node => node.$class)).toEqual([
+            'org.accordproject.commonmark.Strikethrough',
+            'org.accordproject.commonmark.Text',
+            'org.accordproject.commonmark.Strikethrough',
+        ]);
+    });
+});
+
 /**
  * Get the name and contents of all ciceromark test files
  * @returns {*} an array of name/contents tuples
@@ -121,3 +152,18 @@ describe('ciceromark <-> html', () => {
         });
     });
 });
+
+describe('diff to html', () => {
+    it('converts the diff of two CiceroMark documents to a redline', () => {
+        const before = JSON.parse(fs.readFileSync(__dirname + '/../test/data/ciceromark/acceptance.json', 'utf8'));
+        const after = JSON.parse(JSON.stringify(before));
+        const clause = after.nodes.find(node => node.$class === 'org.accordproject.ciceromark.Clause');
+        clause.nodes[1].nodes[0].value = '"Party C"';
+        after.nodes.push({ $class: 'org.accordproject.commonmark.ThematicBreak' });
+        const html = htmlTransformer.diffToHtml(ciceroTransformer.diff(before, after));
+        expect(html).toMatchSnapshot();
+        expect(html).toContain('<del><span class="variable" name="shipper"');
+        expect(html).toContain('"Party C"</span></ins>');
+        expect(html).toContain('<ins>\n\n<hr>\n</ins>');
+    });
+});
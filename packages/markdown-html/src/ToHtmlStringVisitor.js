@@ -15,6 +15,7 @@
 'use strict';
 
 // const CiceroMarkTransformer = require('@accordproject/markdown-cicero').CiceroMarkTransformer;
+const CommonMarkUtils = require('@accordproject/markdown-common').CommonMarkUtils;
 
 /**
  * Converts a commonmark model instance to an html string.
@@ -54,6 +55,35 @@ class ToHtmlStringVisitor {
         return parameters.result;
     }
 
+    /**
+     * Returns the opening tag for a list item, with a checkbox for task list items
+     * @param {*} item the list item
+     * @returns {string} the html for the opening tag
+     */
+    static listItemTag(item) {
+        if (typeof item.checked === 'boolean') {
+            return `<li class="task_list_item"><input type="checkbox" disabled${item.checked ? ' checked' : ''}/>`;
+        }
+        return '<li>';
+    }
+
+    /**
+     * Returns the html for the footnotes at the end of a document, in the order of their first reference
+     * @param {*} footnotes the footnote numbers and definitions
+     * @returns {string} the html for the footnotes
+     */
+    static footnotesSection(footnotes) {
+        if (footnotes.definitions.length === 0) {
+            return '';
+        }
+        const number = (definition) => footnotes.numbers.has(definition.label) ? footnotes.numbers.get(definition.label) : Infinity;
+        const items = footnotes.definitions
+            .map((definition, index) => Object.assign({ index }, definition))
+            .sort((a, b) => number(a) - number(b) || a.index - b.index)
+            .map(definition => `<li id="fn-${encodeURIComponent(definition.label)}">${definition.html}</li>\n`);
+        return `<section class="footnotes">\n<ol>\n${items.join('')}</ol>\n</section>\n`;
+    }
+
     /**
      * Visit a node
      * @param {*} thing the object being visited
@@ -145,6 +175,9 @@ class ToHtmlStringVisitor {
         case 'Strong':
             parameters.result += `<strong>${ToHtmlStringVisitor.visitChildren(this, thing)}</strong>`;
             break;
+        case 'Strikethrough':
+            parameters.result += `<s>${ToHtmlStringVisitor.visitChildren(this, thing)}</s>`;
+            break;
         case 'BlockQuote': {
             parameters.result += `<blockquote>${ToHtmlStringVisitor.visitChildren(this, thing)}</blockquote>\n`;
         }
@@ -191,7 +224,7 @@ class ToHtmlStringVisitor {
             }
 
             thing.nodes.forEach(item => {
-                parameters.result += `\n<li>${ToHtmlStringVisitor.visitChildren(this, item)}</li>`;
+                parameters.result += `\n${ToHtmlStringVisitor.listItemTag(item)}${ToHtmlStringVisitor.visitChildren(this, item)}</li>`;
             });
 
             if(thing.type === 'ordered') {
@@ -202,11 +235,49 @@ class ToHtmlStringVisitor {
             }
         }
             break;
+        case 'Table':
+            parameters.result += `<table>\n${ToHtmlStringVisitor.visitChildren(this, thing)}</table>\n`;
+            break;
+        case 'TableHead':
+        case 'TableBody': {
+            // Cells in the table head are header cells
+            const section = thing.getType() === 'TableHead' ? 'thead' : 'tbody';
+            const cell = thing.getType() === 'TableHead' ? 'th' : 'td';
+            parameters.result += `<${section}>\n`;
+            thing.nodes.forEach(row => {
+                parameters.result += '<tr>\n';
+                row.nodes.forEach(tableCell => {
+                    const style = tableCell.align ? ` style="text-align:${tableCell.align}"` : '';
+                    parameters.result += `<${cell}${style}>${ToHtmlStringVisitor.visitChildren(this, tableCell)}</${cell}>\n`;
+                });
+                parameters.result += '</tr>\n';
+            });
+            parameters.result += `</${section}>\n`;
+        }
+            break;
+        case 'FootnoteReference': {
+            const number = this.footnotes ? this.footnotes.numbers.get(thing.label) : thing.label;
+            parameters.result += `<sup class="footnote_ref"><a href="#fn-${encodeURIComponent(thing.label)}">${number}</a></sup>`;
+        }
+            break;
+        case 'FootnoteDefinition': {
+            // Footnotes are rendered at the end of the document
+            const html = ToHtmlStringVisitor.visitChildren(this, thing);
+            if (this.footnotes) {
+                this.footnotes.definitions.push({ label: thing.label, html });
+            }
+        }
+            break;
+        case 'LinkDefinition':
+            break;
         case 'Item':
-            parameters.result += `<li>${ToHtmlStringVisitor.visitChildren(this, thing)}</li>\n`;
+            parameters.result += `${ToHtmlStringVisitor.listItemTag(thing)}${ToHtmlStringVisitor.visitChildren(this, thing)}</li>\n`;
             break;
-        case 'Document':
-            parameters.result += `<html>\n<body>\n<div class="document">\n${ToHtmlStringVisitor.visitChildren(this, thing)}</div>\n</body>\n</html>`;
+        case 'Document': {
+            this.footnotes = { numbers: CommonMarkUtils.footnoteNumbers(thing), definitions: [] };
+            const children = ToHtmlStringVisitor.visitChildren(this, thing);
+            parameters.result += `<html>\n<body>\n<div class="document">\n${children}${ToHtmlStringVisitor.footnotesSection(this.footnotes)}</div>\n</body>\n</html>`;
+        }
             break;
         default:
             throw new Error(`Unhandled type ${thing.getType()}`);
@@ -74,10 +74,16 @@ const LIST_RULE = {
         }
 
         if (el.tagName && el.tagName.toLowerCase() === 'li') {
-            return {
+            const item = {
                 '$class': `${NS_PREFIX_CommonMarkModel}Item`,
                 nodes: next(el.childNodes)
             };
+            // task list items start with a checkbox
+            const checkbox = Array.from(el.childNodes).find(child => child.tagName && child.tagName.toLowerCase() === 'input' && child.getAttribute('type') === 'checkbox');
+            if (checkbox) {
+                item.checked = checkbox.hasAttribute('checked');
+            }
+            return item;
         }
     }
 };
@@ -127,6 +133,21 @@ const EMPH_RULE = {
     }
 };
 
+/**
+ * A rule to deserialize strikethrough nodes.
+ * @type {Object}
+ */
+const STRIKETHROUGH_RULE = {
+    deserialize(el, next, ignoreSpace) {
+        if (el.tagName && ['s', 'del', 'strike'].includes(el.tagName.toLowerCase())) {
+            return {
+                '$class': `${NS_PREFIX_CommonMarkModel}Strikethrough`,
+                nodes: next(el.childNodes, ignoreSpace)
+            };
+        }
+    }
+};
+
 /**
  * A rule to deserialize link nodes.
  * @type {Object}
@@ -491,11 +512,93 @@ const HTML_BLOCK_RULE = {
     }
 };
 
+/**
+ * A rule to deserialize table nodes.
+ * @type {Object}
+ */
+const TABLE_RULE = {
+    deserialize(el, next, ignoreSpace) {
+        if (el.tagName) {
+            switch (el.tagName.toLowerCase()) {
+            case 'table':
+                return {
+                    '$class': `${NS_PREFIX_CommonMarkModel}Table`,
+                    nodes: next(el.childNodes, ignoreSpace)
+                };
+            case 'thead':
+                return {
+                    '$class': `${NS_PREFIX_CommonMarkModel}TableHead`,
+                    nodes: next(el.childNodes, ignoreSpace)
+                };
+            case 'tbody':
+                return {
+                    '$class': `${NS_PREFIX_CommonMarkModel}TableBody`,
+                    nodes: next(el.childNodes, ignoreSpace)
+                };
+            case 'tr':
+                return {
+                    '$class': `${NS_PREFIX_CommonMarkModel}TableRow`,
+                    nodes: next(el.childNodes, ignoreSpace)
+                };
+            case 'th':
+            case 'td': {
+                const cell = {
+                    '$class': `${NS_PREFIX_CommonMarkModel}TableCell`,
+                };
+                const align = CommonMarkUtils.getAlign([['style', el.getAttribute('style') || '']]);
+                if (align) {
+                    cell.align = align;
+                }
+                const nodes = next(el.childNodes, false);
+                // Empty cells have no children in CommonMark
+                if (nodes.length > 0) {
+                    cell.nodes = nodes;
+                }
+                return cell;
+            }
+            default:
+                return;
+            }
+        }
+    }
+};
+
+/**
+ * A rule to deserialize footnotes.
+ * @type {Object}
+ */
+const FOOTNOTE_RULE = {
+    deserialize(el, next, ignoreSpace) {
+        const { tagName } = el;
+        if (tagName && tagName.toLowerCase() === 'sup' && el.getAttribute('class') === 'footnote_ref') {
+            const link = el.querySelector('a');
+            const href = link && link.getAttribute('href') ? link.getAttribute('href') : '';
+            return {
+                '$class': `${NS_PREFIX_CommonMarkModel}FootnoteReference`,
+                label: decodeURIComponent(href.replace(/^#fn-/, '')),
+            };
+        }
+        if (tagName && tagName.toLowerCase() === 'section' && el.getAttribute('class') === 'footnotes') {
+            // Only the items of the footnotes list itself, not those of lists nested in a footnote
+            const list = Array.from(el.children).find(child => child.tagName.toLowerCase() === 'ol');
+            const items = list ? Array.from(list.children) : [];
+            return items.filter(item => /^fn-/.test(item.getAttribute('id') || '')).map(item => {
+                return {
+                    '$class': `${NS_PREFIX_CommonMarkModel}FootnoteDefinition`,
+                    label: decodeURIComponent(item.getAttribute('id').replace(/^fn-/, '')),
+                    nodes: next(item.childNodes, ignoreSpace),
+                };
+            });
+        }
+    }
+};
+
 const rules = [
     LIST_RULE,
     PARAGRAPH_RULE,
     STRONG_RULE,
     EMPH_RULE,
+    STRIKETHROUGH_RULE,
     LINK_RULE,
     HEADING_RULE,
     THEMATIC_BREAK_RULE,
@@ -510,7 +613,9 @@ const rules = [
     TEXT_RULE,
     HTML_INLINE_RULE,
     HTML_BLOCK_RULE,
-    IMAGE_RULE
+    IMAGE_RULE,
+    TABLE_RULE,
+    FOOTNOTE_RULE
 ];
 
 
@@ -64,6 +64,21 @@ const fonts = {
     },
 };
 
+/**
+ * Replaces the {{name}} placeholders in a header or footer text with the
+ * values from the front matter of the document
+ * @param {string} text the header or footer text
+ * @param {*} frontMatter the front matter node, if any
+ * @returns {string} the text with placeholders replaced
+ */
+function substituteMetadata(text, frontMatter) {
+    const metadata = frontMatter ? frontMatter.metadata : [];
+    return text.replace(/{{\s*([^}\s]+)\s*}}/g, (match, name) => {
+        const entry = metadata.find(entry => entry.name === name);
+        return entry ? entry.value : '';
+    });
+}
+
 /**
  * Converts a PDF to CiceroMark DOM
  */
@@ -125,8 +140,12 @@ class PdfTransformer {
         dd.pageOrientation = 'portrait',
         dd.pageMargins = [ 80, 80, 80, 80 ];
 
-        // allow overrding top-level options
+        // allow overrding top-level options, and document properties from the front matter
+        const info = Object.assign({}, dd.info, options.info);
         Object.assign(dd, options);
+        if (Object.keys(info).length > 0) {
+            dd.info = info;
+        }
 
         if(options.tocHeading) {
             dd.content = [{
@@ -137,14 +156,14 @@ class PdfTransformer {
         }
         if(options.headerText) {
             dd.header = {
-                text : options.headerText,
+                text : substituteMetadata(options.headerText, input.frontMatter),
                 style : 'Header'
             };
         }
         if(options.footerText || options.footerPageNumber) {
             dd.footer = function(currentPage, pageCount) {
                 const footer = [{
-                    text : options.footerText ? options.footerText : '',
+                    text : options.footerText ? substituteMetadata(options.footerText, input.frontMatter) : '',
                     style : 'Footer',
                 }];
                 if(options.footerPageNumber) {
@@ -221,6 +240,18 @@ class PdfTransformer {
             BlockQuote: {
                 margin: [20, 0]
             },
+            TableHeader: {
+                bold: true
+            },
+            TaskMarker: {
+                font: 'LiberationMono'
+            },
+            FootnoteReference: {
+                fontSize: 8
+            },
+            FootnoteDefinition: {
+                fontSize: 10
+            },
         };
 
         // allow the caller to override default styles
@@ -18,6 +18,7 @@
 
 const fs = require('fs');
 const PdfTransformer = require('./PdfTransformer');
+const ToPdfMakeVisitor = require('./ToPdfMakeVisitor');
 const CiceroMarkTransformer = require('@accordproject/markdown-cicero').CiceroMarkTransformer;
 
 let pdfTransformer = null;
@@ -172,4 +173,39 @@ describe('pdf generation', () => {
             return promise;
         });
     });
-});
\ No newline at end of file
+});
+
+describe('gfm', () => {
+    it('renders strikethrough and task lists', () => {
+        const ciceroMarkTransformer = new CiceroMarkTransformer({ gfm: true });
+        const ciceroMarkDom = ciceroMarkTransformer.fromMarkdown('~~gone~~\n\n- [x] done\n- [ ] to do');
+        const parameters = {};
+        ciceroMarkDom.accept(new ToPdfMakeVisitor(), parameters);
+        const content = parameters.result.content;
+        expect(content[0].text[0].text[0]).toEqual({ text: 'gone', decoration: 'lineThrough' });
+        expect(content[1].ul.map(item => item.text[0].text)).toEqual(['[x] ', '[ ] ']);
+    });
+});
+
+describe('footnotes', () => {
+    it('renders footnotes at the end of the document', () => {
+        const ciceroMarkTransformer = new CiceroMarkTransformer();
+        const ciceroMarkDom = ciceroMarkTransformer.fromMarkdown('[^b]: Second.\n\nOne[^a] and two[^b].\n\n[^a]: First.');
+        const parameters = {};
+        ciceroMarkDom.accept(new ToPdfMakeVisitor(), parameters);
+        const content = parameters.result.content;
+        expect(content[0].text.map(node => node.text)).toEqual(['One', '[1]', ' and two', '[2]', '.']);
+        expect(content[content.length - 1].ol.map(item => item.stack[0].text[0].text)).toEqual(['First.', 'Second.']);
+    });
+});
+
+describe('front matter', () => {
+    it('uses the front matter as document properties', () => {
+        const ciceroMarkTransformer = new CiceroMarkTransformer({ frontMatter: true });
+        const ciceroMarkDom = ciceroMarkTransformer.fromMarkdown('---\ntitle: Supply Agreement\nauthor: Acme Corp.\nversion: 1.2\n---\n\nThe agreement.');
+        const parameters = {};
+        ciceroMarkDom.accept(new ToPdfMakeVisitor(), parameters);
+        expect(parameters.result.info).toEqual({ title: 'Supply Agreement', author: 'Acme Corp.' });
+        expect(parameters.result.content).toHaveLength(1);
+    });
+});
@@ -14,6 +14,8 @@
 
 'use strict';
 
+const CommonMarkUtils = require('@accordproject/markdown-common').CommonMarkUtils;
+
 /**
  * Unquote strings
  * @param {string} value - the string
@@ -23,6 +25,11 @@ function unquoteString(value) {
     return value.substring(1,value.length-1);
 }
 
+/**
+ * The front matter entries which are used as PDF document properties
+ */
+const DOCUMENT_PROPERTIES = ['title', 'author', 'subject', 'keywords', 'creator'];
+
 /**
  * Converts a CiceroMark DOM to a PDF Make JSON.
  * http://pdfmake.org/playground.html
@@ -54,6 +61,9 @@ class ToPdfMakeVisitor {
         if (parameters.code) {
             leafNode.style = 'Code';
         }
+        if (parameters.strikethrough) {
+            leafNode.decoration = 'lineThrough';
+        }
     }
 
     /**
@@ -106,6 +116,41 @@ class ToPdfMakeVisitor {
         }
     }
 
+    /**
+     * Returns the PDF document properties for the front matter of a document
+     * @param {*} frontMatter the front matter node
+     * @returns {*} the document properties
+     */
+    static documentProperties(frontMatter) {
+        const info = {};
+        frontMatter.metadata
+            .filter(entry => DOCUMENT_PROPERTIES.includes(entry.name))
+            .forEach(entry => {
+                info[entry.name] = entry.value;
+            });
+        return info;
+    }
+
+    /**
+     * Returns the footnotes at the end of a document, in the order of their first reference
+     * @param {*} footnotes the footnote numbers and definitions
+     * @returns {*} an array of pdfmake nodes
+     */
+    static footnotesSection(footnotes) {
+        if (footnotes.definitions.length === 0) {
+            return [];
+        }
+        const number = (definition) => footnotes.numbers.has(definition.label) ? footnotes.numbers.get(definition.label) : Infinity;
+        const items = footnotes.definitions
+            .map((definition, index) => Object.assign({ index }, definition))
+            .sort((a, b) => number(a) - number(b) || a.index - b.index)
+            .map(definition => ({ stack: definition.stack }));
+        return [
+            { canvas: [{ type: 'line', x1: 0, y1: 5, x2: 150, y2: 5, lineWidth: 0.5 }], margin: [0,10,0,5] },
+            { ol: items, style: 'FootnoteDefinition' },
+        ];
+    }
+
     /**
      * Returns the processed children
      * @param {*} thing a concerto ast node
@@ -123,6 +168,7 @@ class ToPdfMakeVisitor {
                 strong: parameters.strong,
                 emph: parameters.emph,
                 code: parameters.code,
+                strikethrough: parameters.strikethrough,
             };
             node.accept(this, newParameters);
             if (Array.isArray(newParameters.result)) {
@@ -169,8 +215,41 @@ class ToPdfMakeVisitor {
             result.bold = true;
         }
             break;
+        case 'Strikethrough': {
+            parameters.strikethrough = true;
+            result.text = this.processChildNodes(thing,parameters);
+            result.decoration = 'lineThrough';
+        }
+            break;
+        case 'Item': {
+            const child = this.processChildNodes(thing,parameters);
+            if (typeof thing.checked === 'boolean') {
+                // Task list items start with a check box
+                child.unshift({ text: thing.checked ? '[x] ' : '[ ] ', style: 'TaskMarker' });
+            }
+            result.text = child;
+        }
+            break;
+        case 'FootnoteReference': {
+            // PDFMake has no superscript, the footnote number is in brackets
+            const number = this.footnotes ? this.footnotes.numbers.get(thing.label) : thing.label;
+            result.text = `[${number}]`;
+        }
+            break;
+        case 'FootnoteDefinition': {
+            // Footnotes are rendered at the end of the document
+            const stack = this.processChildNodes(thing,parameters);
+            if (this.footnotes) {
+                this.footnotes.definitions.push({ label: thing.label, stack });
+            }
+            result = [];
+        }
+            break;
+        case 'LinkDefinition': {
+            result = [];
+        }
+            break;
         case 'BlockQuote':
-        case 'Item':
         case 'Clause': {
             result.text = this.processChildNodes(thing,parameters);
         }
@@ -245,8 +324,46 @@ class ToPdfMakeVisitor {
             result[thing.type === 'ordered' ? 'ol' : 'ul'] = this.processChildNodes(thing,parameters);
         }
             break;
+        case 'Table': {
+            // PDFMake expects the rows as arrays of cells, the header rows first
+            const body = [];
+            let headerRows = 0;
+            thing.nodes.forEach(section => {
+                const rows = section.nodes ? section.nodes : [];
+                rows.forEach(row => {
+                    const cells = this.processChildNodes(row,parameters);
+                    if (section.getType() === 'TableHead') {
+                        cells.forEach(cell => {
+                            cell.style = 'TableHeader';
+                        });
+                        headerRows++;
+                    }
+                    body.push(cells);
+                });
+            });
+            const columns = body.length > 0 ? body[0].length : 0;
+            result.table = {
+                headerRows,
+                widths: Array(columns).fill('*'),
+                body,
+            };
+            result.margin = [0,5];
+        }
+            break;
+        case 'TableCell': {
+            result.text = this.processChildNodes(thing,parameters);
+            if (thing.align) {
+                result.alignment = thing.align;
+            }
+        }
+            break;
         case 'Document': {
-            result.content = this.processChildNodes(thing,parameters);
+            this.footnotes = { numbers: CommonMarkUtils.footnoteNumbers(thing), definitions: [] };
+            result.content = this.processChildNodes(thing,parameters)
+                .concat(ToPdfMakeVisitor.footnotesSection(this.footnotes));
+            if (thing.frontMatter) {
+                result.info = ToPdfMakeVisitor.documentProperties(thing.frontMatter);
+            }
         }
             break;
         default:
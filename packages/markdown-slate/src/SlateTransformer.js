@@ -24,9 +24,10 @@ const CiceroMarkTransformer = require('@accordproject/markdown-cicero').CiceroMa
 class SlateTransformer {
     /**
      * Construct the Slate transformer.
+     * @param {object} [options] configuration options, as for CiceroMarkTransformer
      */
-    constructor() {
-        this.ciceroMarkTransformer = new CiceroMarkTransformer();
+    constructor(options) {
+        this.ciceroMarkTransformer = new CiceroMarkTransformer(options);
         this.serializer = this.ciceroMarkTransformer.getSerializer();
     }
 
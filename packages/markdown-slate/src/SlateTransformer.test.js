@@ -17,6 +17,7 @@
 const fs = require('fs');
 const path = require('path');
 const SlateTransformer = require('./SlateTransformer');
+const CiceroMarkTransformer = require('@accordproject/markdown-cicero').CiceroMarkTransformer;
 
 let slateTransformer = null;
 
@@ -129,4 +130,27 @@ describe('ciceromark <-> slate', () => {
             expect(expectedSlateValue).toEqual(value);
         });
     });
-});
\ No newline at end of file
+});
+describe('gfm <-> slate', () => {
+    const gfmCiceroTransformer = new CiceroMarkTransformer({ gfm: true });
+    const files = fs.readdirSync(__dirname + '/../test/data/gfm/');
+    files.forEach((file) => {
+        const markdownText = fs.readFileSync(__dirname + '/../test/data/gfm/' + file, 'utf8');
+        it(`converts ${file} to and from Slate`, () => {
+            const ciceroMark = gfmCiceroTransformer.fromMarkdown(markdownText, 'json');
+            const value = slateTransformer.fromCiceroMark(ciceroMark);
+            expect(value).toMatchSnapshot();
+            expect(slateTransformer.toCiceroMark(value, 'json')).toEqual(ciceroMark);
+        });
+    });
+});
+
+describe('lossless', () => {
+    it('only converts the blocks which have changed in Slate', () => {
+        const transformer = new SlateTransformer({ lossless: true });
+        const markdownText = 'Title\n=====\n\nSome  *text*.\n\n+ one\n+ two\n';
+        const value = transformer.fromMarkdown(markdownText);
+        value.document.children[1].children[0].text = 'Other  ';
+        expect(transformer.toMarkdown(value)).toEqual('Title\n=====\n\nOther  *text*.\n\n+ one\n+ two\n');
+    });
+});
@@ -23,6 +23,20 @@ function unquoteString(value) {
     return value.substring(1,value.length-1);
 }
 
+/**
+ * Converts a source position to JSON
+ * @param {*} position - the concerto source position
+ * @return {object} the source position as JSON
+ */
+function sourcePosition(position) {
+    return {
+        $class: position.getFullyQualifiedType(),
+        line: position.line,
+        column: position.column,
+        offset: position.offset
+    };
+}
+
 /**
  * Converts a CiceroMark DOM to a Slate JSON.
  */
@@ -40,6 +54,9 @@ class ToSlateVisitor {
         if (parameters.strong) {
             leafNode.bold = true;
         }
+        if (parameters.strikethrough) {
+            leafNode.strikethrough = true;
+        }
     }
 
     /**
@@ -197,6 +214,7 @@ class ToSlateVisitor {
             const newParameters = {
                 strong: parameters.strong,
                 emph: parameters.emph,
+                strikethrough: parameters.strikethrough,
             };
             node.accept(this, newParameters);
             if (Array.isArray(newParameters.result)) {
@@ -350,6 +368,11 @@ class ToSlateVisitor {
             result = this.processChildNodes(thing,parameters);
         }
             break;
+        case 'Strikethrough': {
+            parameters.strikethrough = true;
+            result = this.processChildNodes(thing,parameters);
+        }
+            break;
         case 'Text': {
             result = ToSlateVisitor.handleFormattedText(thing, parameters);
         }
@@ -485,11 +508,56 @@ class ToSlateVisitor {
             };
         }
             break;
+        case 'Table': {
+            result = {
+                object: 'block',
+                type: 'table',
+                data: {},
+                children: this.processChildNodes(thing,parameters)
+            };
+        }
+            break;
+        case 'TableHead': {
+            result = {
+                object: 'block',
+                type: 'table_head',
+                data: {},
+                children: this.processChildNodes(thing,parameters)
+            };
+        }
+            break;
+        case 'TableBody': {
+            result = {
+                object: 'block',
+                type: 'table_body',
+                data: {},
+                children: this.processChildNodes(thing,parameters)
+            };
+        }
+            break;
+        case 'TableRow': {
+            result = {
+                object: 'block',
+                type: 'table_row',
+                data: {},
+                children: this.processChildNodes(thing,parameters)
+            };
+        }
+            break;
+        case 'TableCell': {
+            result = {
+                object: 'block',
+                type: 'table_cell',
+                data: thing.align ? { align: thing.align } : {},
+                children: this.processChildNodes(thing,parameters)
+            };
+        }
+            break;
         case 'Item': {
             result = {
                 object: 'block',
                 type: 'list_item',
-                data: {},
+                data: typeof thing.checked === 'boolean' ? { checked: thing.checked } : {},
                 children: this.processChildNodes(thing,parameters)
             };
         }
@@ -498,7 +566,7 @@ class ToSlateVisitor {
             result = {
                 object: 'document',
                 children: this.processChildNodes(thing,parameters),
-                data : {}
+                data : typeof thing.source === 'string' ? { source: thing.source } : {}
             };
         }
             break;
@@ -512,6 +580,14 @@ class ToSlateVisitor {
             if (!result.data) {
                 result.data = {};
             }
+            // In lossless mode, blocks keep their digest and source position
+            if (result.object === 'block' && thing.digest) {
+                result.data = Object.assign({}, result.data, {
+                    digest: thing.digest,
+                    startPos: sourcePosition(thing.startPos),
+                    endPos: sourcePosition(thing.endPos)
+                });
+            }
             if (!result.children || result.children.length === 0) {
                 result.children = [ emptyText() ];
             }
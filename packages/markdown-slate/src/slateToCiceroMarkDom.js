@@ -81,6 +81,9 @@ function slateToCiceroMarkDom(value) {
         xmlns : 'http://commonmark.org/xml/1.0',
         nodes : []
     };
+    if (value.document.data && typeof value.document.data.source === 'string') {
+        result.source = value.document.data.source;
+    }
     // convert the value to a plain object
     _recursive(result, value.document.children);
     return removeEmptyParagraphs(result);
@@ -204,6 +207,27 @@ function _recursive_nodes(target, nodes) {
                 break;
             case 'list_item':
                 result = {$class : `${NS}.Item`, nodes: []};
+                if (node.data && typeof node.data.checked === 'boolean') {
+                    result.checked = node.data.checked;
+                }
+                break;
+            case 'table':
+                result = {$class : `${NS}.Table`, nodes: []};
+                break;
+            case 'table_head':
+                result = {$class : `${NS}.TableHead`, nodes: []};
+                break;
+            case 'table_body':
+                result = {$class : `${NS}.TableBody`, nodes: []};
+                break;
+            case 'table_row':
+                result = {$class : `${NS}.TableRow`, nodes: []};
+                break;
+            case 'table_cell':
+                result = {$class : `${NS}.TableCell`, nodes: []};
+                if (node.data.align) {
+                    result.align = node.data.align;
+                }
                 break;
             case 'link':
                 result = {$class : `${NS}.Link`, destination: node.data.href, title: node.data.title ? node.data.title : '', nodes: []};
@@ -218,10 +242,22 @@ function _recursive_nodes(target, nodes) {
         if(node.children && result && result.nodes && handleChildren) {
             _recursive(result.nodes[0] ? result.nodes[0] : result, node.children);
             if (result.nodes.length === 0) {
-                result.nodes.push({$class : `${NS}.Text`, text : ''});
+                if (result.$class === `${NS}.TableCell`) {
+                    // Empty cells have no children in CommonMark
+                    delete result.nodes;
+                } else {
+                    result.nodes.push({$class : `${NS}.Text`, text : ''});
+                }
             }
         }
 
+        // In lossless mode, blocks keep their digest and source position
+        if(result && node.object === 'block' && node.data && node.data.digest) {
+            result.digest = node.data.digest;
+            result.startPos = node.data.startPos;
+            result.endPos = node.data.endPos;
+        }
+
         if(result) {
             target.push(result);
         }
@@ -237,10 +273,12 @@ function _recursive_nodes(target, nodes) {
 function handleMarks(slateNode,newNode) {
     let strong = null;
     let emph = null;
+    let strikethrough = null;
     let result = newNode;
 
     const isBold = slateNode.bold;
     const isItalic = slateNode.italic;
+    const isStrikethrough = slateNode.strikethrough;
 
     if (isBold) {
         strong = {$class : `${NS}.Strong`, nodes: []};
@@ -250,6 +288,10 @@ function handleMarks(slateNode,newNode) {
         emph  = {$class : `${NS}.Emph`, nodes: []};
     }
 
+    if (isStrikethrough) {
+        strikethrough = {$class : `${NS}.Strikethrough`, nodes: []};
+    }
+
     if(strong) {
         strong.nodes.push(result);
         result = strong;
@@ -258,6 +300,10 @@ function handleMarks(slateNode,newNode) {
         emph.nodes.push(result);
         result = emph;
     }
+    if(strikethrough) {
+        strikethrough.nodes.push(result);
+        result = strikethrough;
+    }
 
     return result;
 }
@@ -75,7 +75,8 @@ function _throwParseError(markdown,result,fileName) {
     const underline = ((line) => {
         const maxLength = line.length - (start.column-1);
         const maxExpected = maxOfExpected(cleanExpected(expected));
-        return '^'.repeat(maxLength < maxExpected ? maxLength : maxExpected);
+        // Always underline at least one character, including at the end of a line
+        return '^'.repeat(Math.max(1, maxLength < maxExpected ? maxLength : maxExpected));
     });
     const line = lines[start.line - 1];
     const snippet = line + '\n' + ' '.repeat(start.column-1) + underline(line);
@@ -91,21 +92,55 @@ function _throwParseError(markdown,result,fileName) {
     throw new ParseException(shortMessage, fileLocation, fileName, longMessage, 'markdown-template');
 }
 
+/**
+ * Copies a source position
+ * @param {object} position the source position of a node
+ * @return {object} the line, column and offset of the position
+ */
+function copyPosition(position) {
+    return { line: position.line, column: position.column, offset: position.offset };
+}
+
+/**
+ * Visits a TemplateMark DOM, calling a function on each node
+ * @param {object} node the TemplateMark node
+ * @param {*} fun the function
+ */
+function visitTemplateMark(node,fun) {
+    fun(node);
+    Object.keys(node).forEach((key) => {
+        if (Array.isArray(node[key])) {
+            node[key].filter((child) => child && child.$class).forEach((child) => visitTemplateMark(child,fun));
+        }
+    });
+}
+
 /**
  * Support for CiceroMark Templates
  */
 class TemplateMarkTransformer {
-    constructor(parsingTable = {}) {
+    /**
+     * Construct the transformer
+     * @param {object} [parsingTable] - parsing table extension
+     * @param {object} [options] - configuration options
+     * @param {string} [options.locale] - the locale for parsing and drafting variables, e.g., 'fr-FR'
+     * @param {number} [options.formulaTimeout] - the time limit for evaluating a formula, in milliseconds
+     * @param {*} [options.formulaEval] - function from formula code to a function from the data in scope to the formula value
+     */
+    constructor(parsingTable = {}, options = {}) {
         this.parsingTable = parsingTable;
+        this.options = options;
     }
 
     /**
      * Converts a template string to a token stream
      * @param {object} templateInput the template template
+     * @param {object} [options] configuration options
+     * @param {boolean} [options.sourcePos] record the source position of each token
      * @returns {object} the token stream
      */
-    toTokens(templateInput) {
-        return templateToTokens(templateInput.content);
+    toTokens(templateInput, options) {
+        return templateToTokens(templateInput.content, options);
     }
 
     /**
@@ -138,6 +173,7 @@ class TemplateMarkTransformer {
      * @param {string} templateKind - either 'clause' or 'contract'
      * @param {object} [options] configuration options
      * @param {boolean} [options.verbose] verbose output
+     * @param {boolean} [options.sourcePos] record the source position of each node
      * @returns {object} the result of parsing
      */
     fromMarkdownTemplate(templateInput, modelManager, templateKind, options) {
@@ -145,7 +181,7 @@ class TemplateMarkTransformer {
             throw new Error('Cannot parse without template model');
         }
 
-        const tokenStream = this.toTokens(templateInput);
+        const tokenStream = this.toTokens(templateInput, options);
         if (options && options.verbose) {
             console.log('===== MarkdownIt Tokens ');
             console.log(JSON.stringify(tokenStream,null,2));
@@ -153,6 +189,59 @@ class TemplateMarkTransformer {
         return this.tokensToMarkdownTemplate(tokenStream, modelManager, templateKind, options);
     }
 
+    /**
+     * Checks a template against its model, and the formats of its variables
+     * against the parsing table. All the problems are returned at once.
+     * @param {{fileName:string,content:string}} templateInput the template template
+     * @param {object} modelManager - the model manager for this template
+     * @param {string} templateKind - either 'clause' or 'contract'
+     * @returns {object[]} the problems, each with its message, the file name and its
+     * start and end positions when known, or an empty array for a valid template
+     */
+    validateTemplate(templateInput, modelManager, templateKind) {
+        if (!modelManager) {
+            throw new Error('Cannot parse without template model');
+        }
+
+        const problems = [];
+        const addProblem = (message, node) => {
+            const problem = { message: message, fileName: templateInput.fileName };
+            if (node && node.startPos) {
+                problem.startPos = copyPosition(node.startPos);
+                problem.endPos = copyPosition(node.endPos);
+            }
+            problems.push(problem);
+        };
+
+        let typedTemplate;
+        try {
+            const tokenStream = this.toTokens(templateInput, { sourcePos: true });
+            const template = tokensToUntypedTemplateMark(tokenStream, templateKind);
+            const errors = [];
+            typedTemplate = templateMarkTyping(template, modelManager, templateKind, errors);
+            errors.forEach((error) => addProblem(error.message, error.node));
+        } catch (err) {
+            // The template cannot be typed, e.g., without a template model
+            addProblem(err.message);
+            return problems;
+        }
+
+        const parsingTable = new ParserManager(modelManager, this.parsingTable, this.options.formulaEval, this.options).getParsingTable();
+        visitTemplateMark(typedTemplate, (node) => {
+            if (node.format && node.elementType) {
+                try {
+                    parsingTable.validateFormat(node.elementType, node.format);
+                } catch (err) {
+                    addProblem(err.message, node);
+                }
+            }
+        });
+
+        // In the order of the template
+        const offset = (problem) => problem.startPos ? problem.startPos.offset : -1;
+        return problems.sort((problem1, problem2) => offset(problem1) - offset(problem2));
+    }
+
     /**
      * Parse a CommonMarkMark DOM against a TemplateMark DOM
      * @param {{fileName:string,content:string}} commonMarkInput the commonmark input
@@ -192,7 +281,7 @@ class TemplateMarkTransformer {
      */
     fromCommonMark(commonMarkInput, templateMark, modelManager, templateKind, options) {
         // Construct the template parser
-        const parserManager = new ParserManager(modelManager,this.parsingTable);
+        const parserManager = new ParserManager(modelManager, this.parsingTable, this.options.formulaEval, this.options);
         parserManager.setTemplateMark(templateMark);
         parserManager.buildParser();
 
@@ -273,7 +362,7 @@ class TemplateMarkTransformer {
      */
     instantiateCiceroMark(data, templateMark, modelManager, templateKind, options) {
         // Construct the template parser
-        const parserManager = new ParserManager(modelManager, this.parsingTable);
+        const parserManager = new ParserManager(modelManager, this.parsingTable, this.options.formulaEval, this.options);
         parserManager.setTemplateMark(templateMark);
         return this.draftCiceroMark(data, parserManager, templateKind, options);
     }
@@ -338,7 +427,7 @@ class TemplateMarkTransformer {
      */
     instantiateCommonMark(data, templateMark, modelManager, templateKind, options) {
         // Construct the template parser
-        const parserManager = new ParserManager(modelManager, this.parsingTable);
+        const parserManager = new ParserManager(modelManager, this.parsingTable, this.options.formulaEval, this.options);
         parserManager.setTemplateMark(templateMark);
         return this.draftCommonMark(data, parserManager, templateKind, options);
     }
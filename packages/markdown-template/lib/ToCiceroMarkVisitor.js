@@ -16,6 +16,7 @@
 
 const generateJSON = require('./templatemarkutil').generateJSON;
 const NS_PREFIX_TemplateMarkModel = require('./externalModels/TemplateMarkModel').NS_PREFIX_TemplateMarkModel;
+const formulaType = require('./formula').formulaType;
 const { NS_PREFIX_CommonMarkModel } = require('@accordproject/markdown-common').CommonMarkModel;
 const { NS_PREFIX_CiceroMarkModel } = require('@accordproject/markdown-cicero').CiceroMarkModel;
 
@@ -126,7 +127,12 @@ class ToCiceroMarkVisitor {
         case 'FormulaDefinition': {
             const ciceroMarkTag = ToCiceroMarkVisitor.matchTag(thing.getType());
             thing.$classDeclaration = parameters.templateMarkModelManager.getType(ciceroMarkTag);
-            thing.value = parameters.parserManager.getFormulaEval(thing.code)(parameters.fullData);
+            const value = parameters.parserManager.getFormulaEval(thing.code)(parameters.data);
+            // The value is drafted as a variable of its type
+            const elementType = thing.elementType ? thing.elementType : formulaType(value);
+            parameters.visitor = that;
+            const draftFun = parameters.parserManager.getParsingTable().getDrafter(thing.name,elementType,null,parameters);
+            thing.value = '' + draftFun(value instanceof Date ? value.toISOString() : value,null);
         }
             break;
         case 'ClauseDefinition': {
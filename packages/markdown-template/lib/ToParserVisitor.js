@@ -58,8 +58,7 @@ class ToParserVisitor extends FromCommonMarkVisitor {
      * @param {object} rules how to process each node type
      */
     constructor(options) {
-        const rules = fromcommonmarkrules;
-        Object.assign(rules,toparserrules);
+        const rules = Object.assign({},fromcommonmarkrules,toparserrules);
         super(options,resultString,resultSeq,rules);
     }
 
@@ -17,6 +17,7 @@
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
 
 const NS_PREFIX_TemplateMarkModel = require('./externalModels/TemplateMarkModel').NS_PREFIX_TemplateMarkModel;
+const formulaDependencies = require('./formula').formulaDependencies;
 
 /**
  * Converts a CommonMark DOM to a CiceroMark DOM
@@ -44,10 +45,59 @@ class TypeVisitor {
      */
     static visitNodes(visitor, things, parameters) {
         things.forEach(node => {
-            node.accept(visitor, parameters);
+            if (!parameters || !parameters.errors) {
+                node.accept(visitor, parameters);
+                return;
+            }
+            // When validating, an exception is reported for its node and the other nodes are still typed
+            try {
+                node.accept(visitor, parameters);
+            } catch (err) {
+                TypeVisitor.error(node, err.message, parameters);
+            }
         });
     }
 
+    /**
+     * Reports a typing error. The error is thrown, or added to the errors
+     * when validating the template
+     * @param {*} thing the node with the error
+     * @param {string} message the error message
+     * @param {*} parameters the parameters
+     */
+    static error(thing, message, parameters) {
+        if (!parameters.errors) {
+            throw new Error(message);
+        }
+        parameters.errors.push({ message: message, node: thing });
+    }
+
+    /**
+     * Reports a typing problem which is only checked when validating the
+     * template. It is ignored otherwise, so that existing templates still load.
+     * @param {*} thing the node with the problem
+     * @param {string} message the problem message
+     * @param {*} parameters the parameters
+     */
+    static warning(thing, message, parameters) {
+        if (parameters.errors) {
+            parameters.errors.push({ message: message, node: thing });
+        }
+    }
+
+    /**
+     * Returns a property of the current model
+     * @param {*} model the current model
+     * @param {string} name the name of the property
+     * @return {*} the property, or null if the model has no such property
+     */
+    static getOwnProperty(model, name) {
+        if (!model || !model.getOwnProperty) {
+            return null;
+        }
+        return model.getOwnProperty(name);
+    }
+
     /**
      * Visit a node
      * @param {*} thing the object being visited
@@ -60,7 +110,7 @@ class TypeVisitor {
         case 'VariableDefinition':
         case 'FormattedVariableDefinition': {
             if (!currentModel) {
-                throw new Error('Unknown property ' + thing.name);
+                return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
             }
             if (thing.name === 'this') {
                 const property = currentModel;
@@ -86,7 +136,7 @@ class TypeVisitor {
                 }
             } else {
                 if (!currentModel.getProperty) {
-                    throw new Error('Unknown property ' + thing.name);
+                    return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
                 }
                 const property = currentModel.getProperty(thing.name);
                 if (property) {
@@ -109,7 +159,7 @@ class TypeVisitor {
                         thing.elementType = elementType;
                     }
                 } else {
-                    throw new Error('Unknown property ' + thing.name);
+                    return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
                 }
             }
         }
@@ -117,12 +167,12 @@ class TypeVisitor {
         case 'ClauseDefinition': {
             if (parameters.kind === 'contract') {
                 if (!currentModel) {
-                    throw new Error('Unknown property ' + thing.name);
+                    return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
                 }
                 const property = currentModel.getOwnProperty(thing.name);
                 let nextModel;
                 if (!property) {
-                    throw new Error('Unknown property ' + thing.name);
+                    return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
                 }
                 if (property.isPrimitive()) {
                     nextModel = property;
@@ -134,11 +184,12 @@ class TypeVisitor {
                     templateMarkModelManager:parameters.templateMarkModelManager,
                     introspector:parameters.introspector,
                     model:nextModel,
-                    kind:parameters.kind
+                    kind:parameters.kind,
+                    errors:parameters.errors
                 });
             } else {
                 if (!currentModel) {
-                    throw new Error('Unknown property ' + thing.name);
+                    return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
                 }
                 thing.elementType = currentModel.getFullyQualifiedName();
                 TypeVisitor.visitChildren(this, thing, parameters);
@@ -146,10 +197,10 @@ class TypeVisitor {
         }
             break;
         case 'WithDefinition': {
-            const property = currentModel.getOwnProperty(thing.name);
+            const property = TypeVisitor.getOwnProperty(currentModel, thing.name);
             let nextModel;
             if (!property) {
-                throw new Error('Unknown property ' + thing.name);
+                return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
             }
             if (property.isPrimitive()) {
                 nextModel = property;
@@ -162,15 +213,19 @@ class TypeVisitor {
                 templateMarkModelManager:parameters.templateMarkModelManager,
                 introspector:parameters.introspector,
                 model:nextModel,
-                kind:parameters.kind
+                kind:parameters.kind,
+                errors:parameters.errors
             });
         }
             break;
         case 'ListBlockDefinition': {
-            const property = currentModel.getOwnProperty(thing.name);
+            const property = TypeVisitor.getOwnProperty(currentModel, thing.name);
             let nextModel;
             if (!property) {
-                throw new Error('Unknown property ' + thing.name);
+                return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
+            }
+            if (!property.isArray()) {
+                TypeVisitor.warning(thing, `List on ${thing.name} which is not an array`, parameters);
             }
             if (property.isPrimitive()) {
                 nextModel = property;
@@ -182,15 +237,19 @@ class TypeVisitor {
                 templateMarkModelManager:parameters.templateMarkModelManager,
                 introspector:parameters.introspector,
                 model:nextModel,
-                kind:parameters.kind
+                kind:parameters.kind,
+                errors:parameters.errors
             });
         }
             break;
         case 'JoinDefinition': {
-            const property = currentModel.getOwnProperty(thing.name);
+            const property = TypeVisitor.getOwnProperty(currentModel, thing.name);
             let nextModel;
             if (!property) {
-                throw new Error('Unknown property ' + thing.name);
+                return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
+            }
+            if (!property.isArray()) {
+                TypeVisitor.warning(thing, `Join on ${thing.name} which is not an array`, parameters);
             }
             if (property.isPrimitive()) {
                 nextModel = property;
@@ -202,15 +261,16 @@ class TypeVisitor {
                 templateMarkModelManager:parameters.templateMarkModelManager,
                 introspector:parameters.introspector,
                 model:nextModel,
-                kind:parameters.kind
+                kind:parameters.kind,
+                errors:parameters.errors
             });
         }
             break;
         case 'OptionalDefinition': {
-            const property = currentModel.getOwnProperty(thing.name);
+            const property = TypeVisitor.getOwnProperty(currentModel, thing.name);
             let nextModel;
             if (!property) {
-                throw new Error('Unknown property ' + thing.name);
+                return TypeVisitor.error(thing, 'Unknown property ' + thing.name, parameters);
             }
             if (property.isPrimitive()) {
                 thing.elementType = property.getFullyQualifiedTypeName();
@@ -223,21 +283,40 @@ class TypeVisitor {
                 templateMarkModelManager:parameters.templateMarkModelManager,
                 introspector:parameters.introspector,
                 model:nextModel,
-                kind:parameters.kind
+                kind:parameters.kind,
+                errors:parameters.errors
             }, 'whenSome');
             TypeVisitor.visitChildren(this, thing, {
                 templateMarkModelManager:parameters.templateMarkModelManager,
                 introspector:parameters.introspector,
                 model:null,
-                kind:parameters.kind
+                kind:parameters.kind,
+                errors:parameters.errors
             }, 'whenNone');
         }
             break;
+        case 'ConditionalDefinition': {
+            const property = TypeVisitor.getOwnProperty(currentModel, thing.name);
+            if (!property) {
+                return TypeVisitor.warning(thing, 'Unknown property ' + thing.name, parameters);
+            }
+            if (property.getType() !== 'Boolean' || property.isArray()) {
+                TypeVisitor.warning(thing, `Conditional on ${thing.name} which is not a Boolean`, parameters);
+            }
+            TypeVisitor.visitChildren(this, thing, parameters, 'whenTrue');
+            TypeVisitor.visitChildren(this, thing, parameters, 'whenFalse');
+        }
+            break;
         case 'ContractDefinition': {
             thing.elementType = currentModel.getFullyQualifiedName();
             TypeVisitor.visitChildren(this, thing, parameters);
         }
             break;
+        case 'FormulaDefinition': {
+            const names = currentModel && currentModel.getProperties ? currentModel.getProperties().map(x => x.getName()) : [];
+            thing.dependencies = formulaDependencies(thing.code, names);
+        }
+            break;
         default:
             TypeVisitor.visitChildren(this, thing, parameters);
         }
@@ -0,0 +1,133 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const vm = require('vm');
+
+// Variables of the data which are not in scope of formulas
+const NOT_VARIABLES = ['$class', 'clauseId', 'contractId'];
+
+// Returns the value of a formula from its context, with dates as ISO strings
+const RESULT = `JSON.stringify((function (result) {
+    return result instanceof Date ? { date: result.toISOString() } : { value: result };
+})(__value))`;
+
+// Promise callbacks only run within the evaluation from Node.js 14.6, which has the microtaskMode option.
+// Before, they would run after the time limit, so asynchronous formulas are refused.
+const [MAJOR, MINOR] = process.versions.node.split('.').map(Number);
+const ASYNC_FORMULAS = MAJOR > 14 || (MAJOR === 14 && MINOR >= 6);
+
+// Identifiers which lead to promises, and the globals which create them
+const ASYNC_IDENTIFIERS = ['async', 'await', 'import', 'Promise', 'WebAssembly'];
+const ASYNC_GLOBALS = ['Promise', 'WebAssembly'];
+
+/**
+ * Returns the identifiers of a formula, which are not properties or in strings and comments
+ * @param {string} code - the code of the formula
+ * @returns {string[]} the identifiers
+ */
+function formulaIdentifiers(code) {
+    const text = code
+        .replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, ' ')
+        .replace(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`(?:\\.|[^`\\])*`/g, ' ');
+    return text.match(/(?<![.\w$])[A-Za-z_$][\w$]*/g) || [];
+}
+
+/**
+ * Returns the names of the variables which a formula references
+ * @param {string} code - the code of the formula
+ * @param {string[]} names - the names of the variables in scope
+ * @returns {string[]} the names of the variables, in the order of the scope
+ */
+function formulaDependencies(code, names) {
+    const identifiers = formulaIdentifiers(code);
+    return names.filter(name => identifiers.includes(name));
+}
+
+/**
+ * Creates the context of a formula. Before Node.js 14.6, the context has no way
+ * to create promises: no globals for them, and no code generation from strings.
+ * @returns {object} the context
+ */
+function formulaContext() {
+    if (ASYNC_FORMULAS) {
+        // Promise callbacks run within the evaluation, so that the time limit also applies to them.
+        return vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' });
+    }
+    const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+    ASYNC_GLOBALS.forEach((name) => {
+        vm.runInContext(`delete this[${JSON.stringify(name)}];`, context);
+    });
+    return context;
+}
+
+/**
+ * Creates the default formula evaluation, which runs the code of formulas in
+ * a new JavaScript context, with the variables in scope and a time limit
+ * @param {object} [options] - configuration options
+ * @param {number} [options.formulaTimeout] - the time limit for a formula, in milliseconds (1000 by default)
+ * @returns {*} a function from the code of a formula to a function from the data to its value
+ */
+function formulaEval(options) {
+    const timeout = options && options.formulaTimeout ? options.formulaTimeout : 1000;
+    return (code) => {
+        if (!ASYNC_FORMULAS) {
+            const identifier = formulaIdentifiers(code).find((x) => ASYNC_IDENTIFIERS.includes(x));
+            if (identifier) {
+                throw new Error(`Cannot evaluate formula ${code.trim()}: ${identifier} is not supported before Node.js 14.6`);
+            }
+        }
+        return (data) => {
+            // The data is copied as JSON, so that the formula cannot reach objects outside of its context.
+            const context = formulaContext();
+            const variables = data && typeof data === 'object' ? Object.keys(data).filter((x) => !NOT_VARIABLES.includes(x)) : [];
+            variables.forEach((name) => {
+                vm.runInContext(`this[${JSON.stringify(name)}] = ${JSON.stringify(data[name])};`, context);
+            });
+            let result;
+            try {
+                context.__value = vm.runInContext(code, context, { timeout });
+                result = JSON.parse(vm.runInContext(RESULT, context, { timeout }));
+            } catch (err) {
+                throw new Error(`Cannot evaluate formula ${code.trim()}: ${err.message}`);
+            }
+            return result.date ? new Date(result.date) : result.value;
+        };
+    };
+}
+
+/**
+ * Returns the type of the value of a formula
+ * @param {*} value - the value
+ * @returns {string} the type, e.g., 'Double'
+ */
+function formulaType(value) {
+    if (value instanceof Date) {
+        return 'DateTime';
+    } else if (typeof value === 'number') {
+        return 'Double';
+    } else if (typeof value === 'boolean') {
+        return 'Boolean';
+    } else if (typeof value === 'string') {
+        return 'String';
+    } else if (value && typeof value === 'object' && value.$class) {
+        return value.$class;
+    }
+    throw new Error(`Unknown type for the formula value ${JSON.stringify(value)}`);
+}
+
+module.exports.ASYNC_FORMULAS = ASYNC_FORMULAS;
+module.exports.formulaDependencies = formulaDependencies;
+module.exports.formulaEval = formulaEval;
+module.exports.formulaType = formulaType;
@@ -19,17 +19,7 @@ const { Factory, Serializer } = require('@accordproject/concerto-core');
 const ParsingTable = require('./parsingtable');
 const draftVisitNodes = require('./ToCiceroMarkVisitor').visitNodes;
 const ToParserVisitor = require('./ToParserVisitor');
-
-/**
- * Hooks
- */
-
-const defaultFormulaEval = (code) => {
-    return (data) => {
-        const variables = Object.keys(data).filter((x) => !((x === '$class' || x === 'clauseId' || x === 'contractId')));
-        return ` eval(${code})(${variables}) `
-    };
-};
+const defaultFormulaEval = require('./formula').formulaEval;
 
 /**
  * Generates and manages a template parser/drafter
@@ -40,9 +30,12 @@ class ParserManager {
      * Create the ParserManager.
      * @param {object} template - the template instance
      * @param {object} parsingTable - parsing table extension
-     * @param {*} formulaEval - function from formula code to JavaScript evaluation function
+     * @param {*} formulaEval - function from formula code to a function from the data in scope to the formula value
+     * @param {object} [options] - configuration options
+     * @param {string} [options.locale] - the locale for parsing and drafting variables, e.g., 'fr-FR'
+     * @param {number} [options.formulaTimeout] - the time limit for evaluating a formula, in milliseconds
      */
-    constructor(modelManager,parsingTable,formulaEval) {
+    constructor(modelManager,parsingTable,formulaEval,options) {
         this.modelManager = modelManager;
         this.factory = new Factory(this.modelManager);
         this.serializer = new Serializer(this.factory, this.modelManager);
@@ -55,9 +48,10 @@ class ParserManager {
         const parserHook = function(ast,parameters) {
             return ToParserVisitor.toParserWithParameters(new ToParserVisitor(),ast,parameters);
         };
-        this.parsingTable = new ParsingTable(this.modelManager,parserHook,draftVisitNodes);
+        this.locale = options && options.locale ? options.locale : null;
+        this.parsingTable = new ParsingTable(this.modelManager,parserHook,draftVisitNodes,this.locale);
         this.parsingTable.addParsingTable(parsingTable);
-        this.formulaEval = formulaEval ? formulaEval : defaultFormulaEval;
+        this.formulaEval = formulaEval ? formulaEval : defaultFormulaEval(options);
     }
 
     /**
@@ -84,6 +78,14 @@ class ParserManager {
         return this.serializer;
     }
 
+    /**
+     * Gets the locale for parsing and drafting variables
+     * @return {string} the locale, or null for the default formats
+     */
+    getLocale() {
+        return this.locale;
+    }
+
     /**
      * Gets the template text
      * @return {string} the template
@@ -158,7 +160,7 @@ class ParserManager {
     /**
      * Get the execute function for a given formula
      * @param {string} code - the code for that formula
-     * @return {string} a function taking the contract data and returning the corresponding formula result
+     * @return {*} a function taking the data in scope and returning the corresponding formula result
      */
     getFormulaEval(code) {
         return this.formulaEval(code);
@@ -85,10 +85,12 @@ class ParsingTable {
     /**
      * Create the ParsingTable
      * @param {object} template - the template instance
+     * @param {string} [locale] - the locale for parsing and drafting variables, e.g., 'fr-FR'
      */
-    constructor(modelManager,parserFunOfTemplateMark,draftVisitNodes) {
+    constructor(modelManager,parserFunOfTemplateMark,draftVisitNodes,locale) {
         this.modelManager = modelManager;
         this.introspector = new Introspector(this.modelManager);
+        this.locale = locale ? locale : null;
 
         // Mapping from types to parsers/drafters
         this.parsingTable = defaultParsingTable();
@@ -229,7 +231,7 @@ class ParsingTable {
             this.compileEntry(entry,elementType,parseParams,null);
         }
         if (Object.prototype.hasOwnProperty.call(entry,'javascript')&&entry['javascript'].parse) {
-            return entry['javascript'].parse(format);
+            return entry['javascript'].parse(format,this.locale);
         } else {
             throw new Error('No known parser for type ' + elementType);
         }
@@ -253,12 +255,26 @@ class ParsingTable {
             this.compileEntry(entry,elementType,null,draftParams);
         }
         if (Object.prototype.hasOwnProperty.call(entry,'javascript')&&entry['javascript'].draft) {
-            return entry['javascript'].draft;
+            const draft = entry['javascript'].draft;
+            return (value,format) => draft(value,format,this.locale);
         } else {
             throw new Error('No known parser for type ' + elementType);
         }
     }
 
+    /**
+     * Checks a format for a given type, using the validate function of its
+     * entry. Types without one, e.g., compiled from the model, are not checked.
+     * @param {string} elementType the type
+     * @param {string} format the format
+     */
+    validateFormat(elementType,format) {
+        const entry = this.getParsingTable()[elementType];
+        if (entry && Object.prototype.hasOwnProperty.call(entry,'javascript') && entry['javascript'].validate) {
+            entry['javascript'].validate(format,this.locale);
+        }
+    }
+
 }
 
 module.exports = ParsingTable;
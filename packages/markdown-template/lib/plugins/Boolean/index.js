@@ -18,7 +18,8 @@ module.exports = {
     'Boolean': {
         javascript: {
             parse: require('./parse'),
-            draft: require('./draft')
+            draft: require('./draft'),
+            validate: require('./validate')
         }
     }
 };
@@ -15,16 +15,29 @@
 'use strict';
 
 const moment = require('moment-mini');
+const { localeData, expandFormat } = require('./locale');
 
 /**
  * Creates a drafter for DateTime
  * @param {object} value the DateTime
  * @param {object} format the the format
+ * @param {string} [locale] the locale for the names of months and weekdays, ordinals and default formats
  * @returns {string} the text
  */
-function dateTimeDrafter(value,format) {
-    const f = format ? format : 'MM/DD/YYYY';
-    return moment.parseZone(value).format(f);
+function dateTimeDrafter(value,format,locale) {
+    const data = localeData(locale);
+    const date = moment.parseZone(value);
+    // Localized names are escaped, so that moment only drafts the numbers
+    const names = {
+        'MMMM': () => data.MMMM[date.month()],
+        'MMM': () => data.MMM[date.month()],
+        'dddd': () => data.dddd[date.day()],
+        'ddd': () => data.ddd[date.day()],
+        'Do': () => data.ordinal(date.date()),
+    };
+    const f = expandFormat(format ? format : 'L',data)
+        .replace(/\[[^\]]*\]|MMMM|MMM|dddd|ddd|Do/g, (token) => names[token] ? `[${names[token]()}]` : token);
+    return date.format(f);
 }
 
 module.exports = dateTimeDrafter;
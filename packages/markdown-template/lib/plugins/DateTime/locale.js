@@ -0,0 +1,162 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Names used without a locale
+const ENGLISH = {
+    MMM: ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'],
+    MMMM: ['January','February','March','April','May','June','July','August','September','October','November','December'],
+    ddd: ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'],
+    dddd: ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'],
+    ordinal: (day) => day + ordinalSuffix('en', day),
+    formats: { L: 'MM/DD/YYYY', LL: 'MMMM D, YYYY', LLLL: 'dddd, MMMM D, YYYY' },
+};
+
+// Ordinal suffixes for each plural category, by language. Other languages use numbers.
+const ORDINAL_SUFFIXES = {
+    en: { one: 'st', two: 'nd', few: 'rd', other: 'th' },
+    fr: { one: 'er', other: 'e' },
+    de: { other: '.' },
+    es: { other: 'º' },
+    it: { other: 'º' },
+    pt: { other: 'º' },
+    nl: { other: 'e' },
+};
+
+// Intl options for the locale default formats
+const FORMAT_OPTIONS = {
+    L: { year: 'numeric', month: '2-digit', day: '2-digit' },
+    LL: { year: 'numeric', month: 'long', day: 'numeric' },
+    LLLL: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+};
+
+const cache = {};
+
+/**
+ * Returns the ordinal suffix of a day
+ * @param {string} locale - the locale
+ * @param {number} day - the day
+ * @returns {string} the suffix
+ */
+function ordinalSuffix(locale, day) {
+    const suffixes = ORDINAL_SUFFIXES[locale.split('-')[0]];
+    if (!suffixes) {
+        return '';
+    }
+    const category = new Intl.PluralRules(locale, { type: 'ordinal' }).select(day);
+    return Object.prototype.hasOwnProperty.call(suffixes, category) ? suffixes[category] : suffixes.other;
+}
+
+/**
+ * Returns the text of a part of a localized date
+ * @param {string} locale - the locale
+ * @param {object} options - the Intl.DateTimeFormat options
+ * @param {Date} date - the date
+ * @param {string} type - the type of the part, e.g., 'month'
+ * @returns {string} the text of the part
+ */
+function datePart(locale, options, date, type) {
+    const parts = new Intl.DateTimeFormat(locale, Object.assign({ timeZone: 'UTC' }, options)).formatToParts(date);
+    return parts.find(part => part.type === type).value;
+}
+
+/**
+ * Returns the moment.js format for a localized date format
+ * @param {string} locale - the locale
+ * @param {object} options - the Intl.DateTimeFormat options
+ * @returns {string} the format
+ */
+function localeFormat(locale, options) {
+    const tokens = {
+        year: () => 'YYYY',
+        month: () => options.month === 'long' ? 'MMMM' : 'MM',
+        day: () => options.day === '2-digit' ? 'DD' : 'D',
+        weekday: () => 'dddd',
+        // Literal text is escaped, as in moment.js formats
+        literal: (value) => /[A-Za-zÀ-￿]/.test(value) ? `[${value}]` : value,
+    };
+    return new Intl.DateTimeFormat(locale, Object.assign({ timeZone: 'UTC' }, options))
+        .formatToParts(new Date(Date.UTC(2020, 11, 31)))
+        .map(part => tokens[part.type] ? tokens[part.type](part.value) : '')
+        .join('');
+}
+
+/**
+ * Returns the month and weekday names, ordinals and default formats of a locale
+ * @param {string} [locale] - the locale, e.g., 'fr-FR', or English names without a locale
+ * @returns {object} the locale data
+ */
+function localeData(locale) {
+    if (!locale) {
+        return ENGLISH;
+    }
+    if (!cache[locale]) {
+        // Without ICU data for the locale, e.g., in Node.js before 13 which only has English data by default,
+        // Intl falls back to English names
+        if (Intl.DateTimeFormat.supportedLocalesOf(locale).length === 0) {
+            throw new Error(`The locale ${locale} is not supported by the ICU data of this JavaScript runtime`);
+        }
+        const months = [...Array(12).keys()].map(month => new Date(Date.UTC(2020, month, 1)));
+        // 5 January 2020 is a Sunday
+        const weekdays = [...Array(7).keys()].map(day => new Date(Date.UTC(2020, 0, 5 + day)));
+        const formats = {};
+        Object.keys(FORMAT_OPTIONS).forEach(name => {
+            formats[name] = localeFormat(locale, FORMAT_OPTIONS[name]);
+        });
+        cache[locale] = {
+            // Months are named as in a date, e.g., in the genitive case
+            MMM: months.map(date => datePart(locale, { day: 'numeric', month: 'short' }, date, 'month')),
+            MMMM: months.map(date => datePart(locale, { day: 'numeric', month: 'long' }, date, 'month')),
+            ddd: weekdays.map(date => datePart(locale, { weekday: 'short' }, date, 'weekday')),
+            dddd: weekdays.map(date => datePart(locale, { weekday: 'long' }, date, 'weekday')),
+            ordinal: (day) => day + ordinalSuffix(locale, day),
+            formats,
+        };
+    }
+    return cache[locale];
+}
+
+/**
+ * Replaces the locale default formats (L, LL and LLLL) in a format
+ * @param {string} format - the format
+ * @param {object} data - the locale data
+ * @returns {string} the format, with the default formats replaced
+ */
+function expandFormat(format, data) {
+    return format.replace(/\[[^\]]*\]|L+/g, (token) => data.formats[token] ? data.formats[token] : token);
+}
+
+/**
+ * Splits a format into its fields and text, with the time zone at the end
+ * @param {string} format - the format, without the locale default formats
+ * @returns {string[]} the fields and text
+ */
+function formatFields(format) {
+    // XXX the format could be parsed as well instead of this split which seems error-prone
+    const hasTimeZone = format.charAt(format.length-1) === 'Z';
+    if (hasTimeZone) {
+        // strip Z
+        format = format.substr(0,format.length-1);
+    }
+    const fields = format.split(/(\[[^\]]*\]|DD|Do|D|MMMM|MMM|MM|M|YYYY|dddd|ddd|HH|H|hh|mm|ss|SSS)/);
+    if (hasTimeZone) {
+        fields.push('Z');
+    }
+    return fields;
+}
+
+module.exports.localeData = localeData;
+module.exports.expandFormat = expandFormat;
+module.exports.formatFields = formatFields;
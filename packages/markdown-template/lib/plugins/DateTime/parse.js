@@ -20,38 +20,7 @@ const seqParser = require('../../combinators').seqParser;
 const choiceStringsParser = require('../../combinators').choiceStringsParser;
 const mkVariable = require('../../combinators').mkVariable;
 const mkCompoundVariable = require('../../combinators').mkCompoundVariable;
-
-/**
- * English-language months
- */
-const MMM = {
-    'Jan':1,
-    'Feb':2,
-    'Mar':3,
-    'Apr':4,
-    'May':5,
-    'Jun':6,
-    'Jul':7,
-    'Aug':8,
-    'Sep':9,
-    'Oct':10,
-    'Nov':11,
-    'Dec':12,
-};
-const MMMM = {
-    'January':1,
-    'February':2,
-    'March':3,
-    'April':4,
-    'May':5,
-    'June':6,
-    'July':7,
-    'August':8,
-    'September':9,
-    'October':10,
-    'November':11,
-    'December':12,
-};
+const { localeData, expandFormat, formatFields } = require('./locale');
 
 /**
  * Creates a DateTime variable output
@@ -130,23 +99,63 @@ function parserMM() {
 }
 
 /**
- * Creates a parser for MMM format
+ * Creates a parser for names, e.g., of months
+ * @param {string[]} names the names, in order
+ * @param {string} field the field name
+ * @param {number} start the value of the first name
  * @returns {object} the parser
  */
-function parserMMM() {
-    return choiceStringsParser(Object.keys(MMM)).map(function(x) {
-        return mkField('month',MMM[x]);
+function namesParser(names,field,start) {
+    // Longer names first, so that a name is not parsed as its prefix
+    const sorted = names.slice().sort((a,b) => b.length - a.length);
+    return choiceStringsParser(sorted).map(function(x) {
+        return mkField(field,names.indexOf(x)+start);
     });
 }
 
+/**
+ * Creates a parser for Do format
+ * @param {object} data the locale data
+ * @returns {object} the parser
+ */
+function parserDo(data) {
+    return namesParser([...Array(31).keys()].map((x) => data.ordinal(x+1)),'day',1);
+}
+
+/**
+ * Creates a parser for MMM format
+ * @param {object} data the locale data
+ * @returns {object} the parser
+ */
+function parserMMM(data) {
+    return namesParser(data.MMM,'month',1);
+}
+
 /**
  * Creates a parser for MMMM format
+ * @param {object} data the locale data
  * @returns {object} the parser
  */
-function parserMMMM() {
-    return choiceStringsParser(Object.keys(MMMM)).map(function(x) {
-        return mkField('month',MMMM[x]);
-    });
+function parserMMMM(data) {
+    return namesParser(data.MMMM,'month',1);
+}
+
+/**
+ * Creates a parser for ddd format
+ * @param {object} data the locale data
+ * @returns {object} the parser
+ */
+function parserddd(data) {
+    return namesParser(data.ddd,'weekday',0);
+}
+
+/**
+ * Creates a parser for dddd format
+ * @param {object} data the locale data
+ * @returns {object} the parser
+ */
+function parserdddd(data) {
+    return namesParser(data.dddd,'weekday',0);
 }
 
 /**
@@ -236,11 +245,14 @@ function parserZ() {
 const parsingTable = {
     'D' : parserD,
     'DD' : parserDD,
+    'Do' : parserDo,
     'M' : parserM,
     'MM' : parserMM,
     'MMM' : parserMMM,
     'MMMM' : parserMMMM,
     'YYYY' : parserYYYY,
+    'ddd' : parserddd,
+    'dddd' : parserdddd,
     'H' : parserH,
     'HH' : parserHH,
     'hh' : parserhh,
@@ -255,12 +267,16 @@ const parsingTable = {
  * a logical name for the field. Note the logical names
  * have been picked to align with the moment constructor that takes an object.
  * @param {string} field - the input format field
+ * @param {object} data - the locale data
  * @returns {string} the field designator
  */
-function parserOfField(field) {
+function parserOfField(field,data) {
     const parserFun = parsingTable[field];
     if (parserFun) {
-        return parserFun();
+        return parserFun(data);
+    } else if (/^\[.*\]$/.test(field)) {
+        // Escaped text
+        return textParser(field.substring(1,field.length-1));
     } else {
         return textParser(field);
     }
@@ -269,26 +285,16 @@ function parserOfField(field) {
 /**
  * Creates a parser for a DateTime variable
  * @param {format} format the format
+ * @param {string} [locale] the locale for the names of months and weekdays, ordinals and default formats
  * @returns {object} the parser
  */
-function dateTimeParser(format) {
-    if (!format) { format = 'MM/DD/YYYY'; }
-
-    // XXX the format could be parsed as well instead of this split which seems error-prone
-    let hasTimeZone = format.charAt(format.length-1) === 'Z';
-    if(hasTimeZone) {
-        // strip Z
-        format = format.substr(0,format.length-1);
-    }
-
-    const fields = format.split(/(DD|D|MMMM|MMM|MM|M|YYYY|HH|H|hh|mm|ss|SSS)+/);
-    if(hasTimeZone) {
-        fields.push('Z');
-    }
-    const parsers = fields.map(parserOfField);
+function dateTimeParser(format,locale) {
+    const data = localeData(locale);
+    const fields = formatFields(expandFormat(format ? format : 'L',data));
+    const parsers = fields.map((field) => parserOfField(field,data));
     return seqParser(parsers).map(function(x) {
         return mkDateTime(x);
     });
 }
 
-module.exports = (format) => (r) => dateTimeParser(format);
+module.exports = (format,locale) => (r) => dateTimeParser(format,locale);
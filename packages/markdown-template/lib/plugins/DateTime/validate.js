@@ -0,0 +1,41 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const { localeData, expandFormat, formatFields } = require('./locale');
+
+// The fields of a format which are parsed
+const FIELD = /^(DD|Do|D|MMMM|MMM|MM|M|YYYY|dddd|ddd|HH|H|hh|mm|ss|SSS|Z)$/;
+
+/**
+ * Checks a format for DateTime
+ * @param {string} format the format
+ * @param {string} [locale] the locale for the default formats
+ */
+function dateTimeValidator(format,locale) {
+    const fields = formatFields(expandFormat(format,localeData(locale)));
+    if (!fields.some((field) => FIELD.test(field))) {
+        throw new Error(`The DateTime format "${format}" has no date or time field`);
+    }
+    // Text with these letters would be drafted as other fields, e.g., 'YY' or 'a', but parsed as text
+    const text = fields.filter((field) => !FIELD.test(field) && !/^\[.*\]$/.test(field));
+    const unknown = text.map((field) => field.match(/[A-Za-z]*[YMDdEeWwQHhkmsSaAZXxGgNLl][A-Za-z]*/)).find((match) => match);
+    if (unknown) {
+        throw new Error(`Unknown field "${unknown[0]}" in the DateTime format "${format}", text should be between square brackets`);
+    }
+}
+
+module.exports = dateTimeValidator;
@@ -15,17 +15,37 @@
 'use strict';
 
 const draftDoubleIEEE = require('./format').draftDoubleIEEE;
-const draftDoubleFormat = require('./format').draftDoubleFormat;
+const isNumberPattern = require('./format').isNumberPattern;
+const formatFields = require('./format').formatFields;
+const draftNumberPattern = require('./format').draftNumberPattern;
+const roundNumberPattern = require('./format').roundNumberPattern;
+const draftNumberFormat = require('./format').draftNumberFormat;
+const draftNumberWords = require('./words').draftNumberWords;
 
 /**
  * Creates a drafter for a double
  * @param {number} value - the Double
  * @param {string} format - the format
+ * @param {string} [locale] - the locale
  * @returns {string} the text
  */
-function doubleDrafter(value,format) {
+function doubleDrafter(value,format,locale) {
     if (format) {
-        return draftDoubleFormat(value,format);
+        return draftNumberFormat(value, format, (subformat) => {
+            const fields = formatFields(subformat,['WORDS']);
+            // Words are for the number as drafted in figures
+            const pattern = fields.find(isNumberPattern);
+            const words = () => draftNumberWords(pattern ? roundNumberPattern(value,pattern) : value);
+            return fields.map((field) => {
+                if (isNumberPattern(field)) {
+                    return draftNumberPattern(value,field,locale);
+                } else if (field === 'WORDS') {
+                    return words();
+                } else {
+                    return field;
+                }
+            }).join('');
+        });
     } else {
         return draftDoubleIEEE(value);
     }
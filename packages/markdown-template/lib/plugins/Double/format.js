@@ -37,66 +37,237 @@ function draftDoubleIEEE(value) {
     else return '' + value;
 }
 
+// A number pattern, e.g., '0,0.00', '#,##,##0.00' or "#'##0.00"
+const NUMBER_PATTERN = '[#0]+(?:[^#0A-Za-z;][#0]+)*';
+
+// Legacy patterns, e.g., '0,0.00', which group digits by thousands
+const LEGACY_RE = /^0([^#0])0(?![#0])/;
+
+const symbolsCache = {};
+
+/**
+ * Returns the grouping and decimal separators of a locale
+ * @param {string} [locale] - the locale, or the ',' and '.' separators without a locale
+ * @returns {object} the separators, for ',' and '.' in patterns
+ */
+function localeSymbols(locale) {
+    if (!locale) {
+        return { ',': ',', '.': '.' };
+    }
+    if (!symbolsCache[locale]) {
+        // Without ICU data for the locale, Intl falls back to the English separators
+        if (Intl.NumberFormat.supportedLocalesOf(locale).length === 0) {
+            throw new Error(`The locale ${locale} is not supported by the ICU data of this JavaScript runtime`);
+        }
+        const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+        const symbol = (type) => parts.find(part => part.type === type).value;
+        symbolsCache[locale] = { ',': symbol('group'), '.': symbol('decimal') };
+    }
+    return symbolsCache[locale];
+}
+
+/**
+ * Returns the grouping and decimals of a number pattern
+ * @param {string} pattern - the pattern, e.g., '#,##0.00'
+ * @param {string} [locale] - the locale for the separators of patterns with '#'
+ * @returns {object} the separators, the sizes of the groups and the number of decimals
+ */
+function numberPattern(pattern, locale) {
+    // Legacy patterns use the separators as written
+    const symbols = pattern.includes('#') ? localeSymbols(locale) : {};
+    const symbol = (separator) => symbols[separator] ? symbols[separator] : separator;
+    const normalized = pattern.replace(LEGACY_RE, '#$1##0');
+    const groups = normalized.split(/[^#0]/);
+    const separators = normalized.match(/[^#0]/g) || [];
+    const result = { group: null, primary: 0, secondary: 0, decimal: null, digits: 0 };
+    // The decimal separator is the last one, followed by the decimals
+    if (separators.length > 0 && /^0+$/.test(groups[groups.length-1])) {
+        result.digits = groups.pop().length;
+        result.decimal = symbol(separators.pop());
+    }
+    if (groups.length > 1) {
+        result.group = symbol(separators[separators.length-1]);
+        result.primary = groups[groups.length-1].length;
+        result.secondary = groups.length > 2 ? groups[groups.length-2].length : result.primary;
+    }
+    return result;
+}
+
+/**
+ * Whether a field of a format is a number pattern
+ * @param {string} field - the field
+ * @returns {boolean} whether the field is a number pattern
+ */
+function isNumberPattern(field) {
+    return new RegExp('^' + NUMBER_PATTERN + '$').test(field);
+}
+
 /**
- * Creates a parser for a formatted Double
+ * Splits a format into number patterns, other tokens and text
  * @param {string} format - the format
- * @returns {object} the parser
+ * @param {string[]} [tokens] - the other tokens, e.g., 'CCC'
+ * @returns {string[]} the fields
  */
-function parseDoubleFormat(format) {
-    const escapeRegex = x => x.replace(/[-\/\\^$*+?.()|\[\]{}]/g, '\\$&');
+function formatFields(format, tokens = []) {
+    const fields = format.split(new RegExp('(' + tokens.concat([NUMBER_PATTERN]).join('|') + ')'));
+    // remove null or empty strings
+    return fields.filter(x => x !== '' && x !== null && x !== undefined);
+}
+
+/**
+ * Returns the formats for positive and negative numbers. The negative format
+ * follows a ';', or is the positive format with a '-' prefix. As in legacy formats,
+ * e.g., '$0,0.00' for '$-1,234.50', the '-' is right before a number pattern without '#'.
+ * Formats without a number pattern are the same for negative numbers, as words have their own sign.
+ * @param {string} format - the format, e.g., '#,##0.00;(#,##0.00)'
+ * @returns {string[]} the positive and negative formats
+ */
+function subformats(format) {
+    const index = format.indexOf(';');
+    if (index >= 0) {
+        return [format.substring(0, index), format.substring(index+1)];
+    }
+    const match = format.match(new RegExp(NUMBER_PATTERN));
+    if (!match) {
+        return [format, format];
+    }
+    if (!match[0].includes('#')) {
+        return [format, format.substring(0, match.index) + '-' + format.substring(match.index)];
+    }
+    return [format, '-' + format];
+}
 
-    let sep1 = null;
-    let sep2 = null;
-    let digits = null;
-    const match = format.match(/0(.)0((.)(0+))?/);
-    sep1 = escapeRegex(match[1]);
-    if (match[2]) {
-        sep2 = escapeRegex(match[3]);
-        digits = match[4].length;
+/**
+ * Whether a format has a legacy pattern, e.g., '0,0.00', which Integer and Long
+ * variables ignored before number formats
+ * @param {string} format - the format
+ * @param {string[]} [tokens] - the other tokens, e.g., 'WORDS'
+ * @returns {boolean} whether the format has a legacy pattern
+ */
+function hasLegacyPattern(format, tokens = []) {
+    return formatFields(format, tokens).some((field) => isNumberPattern(field) && LEGACY_RE.test(field));
+}
+
+/**
+ * Creates a parser for a number pattern
+ * @param {string} pattern - the pattern
+ * @param {string} [locale] - the locale
+ * @returns {object} the parser, for the absolute value of the number
+ */
+function parseNumberPattern(pattern, locale) {
+    const escapeRegex = x => x.replace(/[-\/\\^$*+?.()|\[\]{}]/g, '\\$&');
+    // Spaces, including non-breaking spaces, separate digits alike
+    const separator = x => /\s/.test(x) ? '[ \\u00a0\\u202f]' : escapeRegex(x);
+    const p = numberPattern(pattern, locale);
+    let amount = '[0-9]+';
+    if (p.group) {
+        const group = separator(p.group);
+        amount = `(?:[0-9]{1,${p.secondary}}(?:${group}[0-9]{${p.secondary}})*${group}[0-9]{${p.primary}}|[0-9]{1,${p.primary}})`;
     }
-    let amount = '';
-    amount += '[0-9]?[0-9]?[0-9]('+sep1+'([0-9][0-9][0-9]))*';
-    if (sep2) {
-        amount += sep2 + '[0-9]'.repeat(digits);
+    if (p.decimal) {
+        amount += separator(p.decimal) + `[0-9]{${p.digits}}`;
     }
-    const AMOUNT_RE = new RegExp(amount);
-    return P.regexp(AMOUNT_RE)
-        .desc('An amount with format "' + format + '"')
+    return P.regexp(new RegExp(amount))
+        .desc('An amount with format "' + pattern + '"')
         .map(function(x) {
-            let numberText = x.replace(new RegExp(sep1, 'g'), '');
-            if (sep2) {
-                numberText = numberText.replace(new RegExp(sep2, 'g'), '.');
-            }
-            return Number(numberText);
+            const digits = x.replace(/[^0-9]/g, '');
+            return Number(p.digits ? digits.substring(0, digits.length - p.digits) + '.' + digits.substring(digits.length - p.digits) : digits);
         });
+}
+
+/**
+ * Drafts a number with a number pattern
+ * @param {number} value - the number
+ * @param {string} pattern - the pattern
+ * @param {string} [locale] - the locale
+ * @returns {string} the text, for the absolute value of the number
+ */
+function draftNumberPattern(value, pattern, locale) {
+    const p = numberPattern(pattern, locale);
+    const [integer, decimals] = Math.abs(value).toFixed(p.digits).split('.');
+    let rest = integer;
+    const groups = [];
+    if (p.group && rest.length > p.primary) {
+        groups.unshift(rest.substring(rest.length - p.primary));
+        rest = rest.substring(0, rest.length - p.primary);
+        while (rest.length > p.secondary) {
+            groups.unshift(rest.substring(rest.length - p.secondary));
+            rest = rest.substring(0, rest.length - p.secondary);
+        }
+    }
+    groups.unshift(rest);
+    return groups.join(p.group) + (decimals ? p.decimal + decimals : '');
+}
 
+/**
+ * Rounds a number to the decimals of a number pattern
+ * @param {number} value - the number
+ * @param {string} pattern - the pattern
+ * @returns {number} the rounded number
+ */
+function roundNumberPattern(value, pattern) {
+    return Number(value.toFixed(numberPattern(pattern).digits));
 }
 
 /**
- * Creates a drafter for a formatted Double
- * @param {number} value - the Double
+ * Creates a parser for a number format
  * @param {string} format - the format
+ * @param {*} parserOfFormat - creates the parser for a positive or negative format, given its sign
  * @returns {object} the parser
  */
-function draftDoubleFormat(value,format) {
-    return format.replace(/0(.)0((.)(0+))?/gi, function(_a,sep1,_b,sep2,digits){
-        const len = digits ? digits.length : 0;
-        const vs = value.toFixed(len);
-        let res = '';
-        if (sep2) {
-            const d = vs.substring(vs.length - len);
-            res += sep2 + d;
+function parseNumberFormat(format, parserOfFormat) {
+    const [positive, negative] = subformats(format);
+    // Negative formats first, as they may start as the positive one
+    return P.alt(parserOfFormat(negative, -1), parserOfFormat(positive, 1));
+}
+
+/**
+ * Drafts a number with a number format
+ * @param {number} value - the number
+ * @param {string} format - the format
+ * @param {*} draftFormat - drafts the number with a positive or negative format
+ * @returns {string} the text
+ */
+function draftNumberFormat(value, format, draftFormat) {
+    const [positive, negative] = subformats(format);
+    return value < 0 ? draftFormat(negative) : draftFormat(positive);
+}
+
+/**
+ * Checks a number format, for its positive and negative numbers
+ * @param {string} format - the format
+ * @param {string[]} [tokens] - the other tokens, e.g., 'CCC'
+ * @param {string[]} [required] - tokens of which each format must have one, e.g., the currency
+ * @param {boolean} [integer] - whether the numbers are integers
+ */
+function validateNumberFormat(format, tokens = [], required = [], integer = false) {
+    if (format.split(';').length > 2) {
+        throw new Error(`The format "${format}" has more than one format for negative numbers`);
+    }
+    subformats(format).forEach((subformat) => {
+        const fields = formatFields(subformat, tokens);
+        const patterns = fields.filter((field) => isNumberPattern(field));
+        if (patterns.length === 0 && !fields.includes('WORDS')) {
+            throw new Error(`The format "${format}" has no number pattern, e.g., "#,##0.00"`);
+        }
+        if (integer && patterns.some((pattern) => numberPattern(pattern).digits > 0)) {
+            throw new Error(`The format "${format}" has decimals, for an integer`);
         }
-        let i = vs.substring(0,vs.length - (len === 0 ? 0 : len+1));
-        while (i.length > 3) {
-            res = sep1 + i.substring(i.length - 3) + res;
-            i = i.substring(0, i.length - 3);
+        // Tokens may be in lower case, e.g., 'k' for 'K'
+        if (required.length > 0 && !fields.some((field) => tokens.includes(field) && required.includes(field.toUpperCase()))) {
+            throw new Error(`The format "${format}" should have one of ${required.join(', ')}`);
         }
-        return i + res;
     });
 }
 
 module.exports.parseDoubleIEEE = parseDoubleIEEE;
 module.exports.draftDoubleIEEE = draftDoubleIEEE;
-module.exports.parseDoubleFormat = parseDoubleFormat;
-module.exports.draftDoubleFormat = draftDoubleFormat;
+module.exports.isNumberPattern = isNumberPattern;
+module.exports.formatFields = formatFields;
+module.exports.hasLegacyPattern = hasLegacyPattern;
+module.exports.parseNumberPattern = parseNumberPattern;
+module.exports.draftNumberPattern = draftNumberPattern;
+module.exports.roundNumberPattern = roundNumberPattern;
+module.exports.parseNumberFormat = parseNumberFormat;
+module.exports.draftNumberFormat = draftNumberFormat;
+module.exports.validateNumberFormat = validateNumberFormat;
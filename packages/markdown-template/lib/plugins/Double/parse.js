@@ -16,20 +16,28 @@
 
 const P = require('parsimmon');
 const parseDoubleIEEE = require('./format').parseDoubleIEEE;
-const parseDoubleFormat = require('./format').parseDoubleFormat;
+const isNumberPattern = require('./format').isNumberPattern;
+const formatFields = require('./format').formatFields;
+const parseNumberPattern = require('./format').parseNumberPattern;
+const parseNumberFormat = require('./format').parseNumberFormat;
+const parseNumberWords = require('./words').parseNumberWords;
 const textParser = require('../../combinators').textParser;
 const seqParser = require('../../combinators').seqParser;
 
 /**
  * Given a format field (like '0,0.00') this method returns
- * a logical name for the field. Note the logical names
- * have been picked to align with the moment constructor that takes an object.
+ * the parser for that field
  * @param {string} field - the input format field
- * @returns {string} the field designator
+ * @param {string} [locale] - the locale
+ * @param {number} sign - the sign of the number
+ * @returns {object} the parser
  */
-function parserOfField(field) {
-    if (/0.0(?:.0+)?/.test(field)) {
-        return parseDoubleFormat(field);
+function parserOfField(field,locale,sign) {
+    if (isNumberPattern(field)) {
+        return parseNumberPattern(field,locale).map((value) => sign * value);
+    } else if (field === 'WORDS') {
+        // Words have their own sign
+        return parseNumberWords();
     } else {
         return textParser(field);
     }
@@ -38,18 +46,24 @@ function parserOfField(field) {
 /**
  * Creates a parser for a Double variable
  * @param {string} format the format
+ * @param {string} [locale] the locale
  * @returns {object} the parser
  */
-function doubleParser(format) {
+function doubleParser(format,locale) {
     if (format) {
-        let fields = format.split(/(0.0(?:.0+)?)/);
-        // remove null or empty strings
-        fields = fields.filter(x => x !== '' && x !== null);
-        const parsers = fields.map(parserOfField);
-        return seqParser(parsers);
+        return parseNumberFormat(format, (subformat,sign) => {
+            const parsers = formatFields(subformat,['WORDS']).map((field) => parserOfField(field,locale,sign));
+            // The number may be both in figures and in words
+            return seqParser(parsers).chain((values) => {
+                if (values.every((value) => value === values[0])) {
+                    return P.succeed(values[0]);
+                }
+                return P.fail('The same number in figures and in words');
+            });
+        });
     } else {
         return parseDoubleIEEE();
     }
 }
 
-module.exports = (format) => (r) => doubleParser(format);
+module.exports = (format,locale) => (r) => doubleParser(format,locale);
@@ -0,0 +1,158 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const P = require('parsimmon');
+
+// English words for numbers
+const ONES = ['zero','one','two','three','four','five','six','seven','eight','nine','ten',
+    'eleven','twelve','thirteen','fourteen','fifteen','sixteen','seventeen','eighteen','nineteen'];
+const TENS = ['','','twenty','thirty','forty','fifty','sixty','seventy','eighty','ninety'];
+const SCALES = ['','thousand','million','billion','trillion'];
+
+// Longest words first, so that 'sixty' is not read as 'six'
+const NUMBER_WORDS = ONES.concat(TENS.slice(2), ['hundred'], SCALES.slice(1)).sort((a,b) => b.length - a.length);
+const NUMBER_WORD = '(?:' + NUMBER_WORDS.join('|') + ')\\b';
+const INTEGER_WORDS = `${NUMBER_WORD}(?:(?:-| and | )${NUMBER_WORD})*`;
+const DECIMAL_WORDS = `(?: point(?: (?:${ONES.slice(0,10).join('|')})\\b)+)?`;
+// Negative numbers start with 'minus'
+const MINUS = 'minus';
+
+/**
+ * Returns the words for a number between 1 and 999
+ * @param {number} value - the number
+ * @returns {string[]} the words
+ */
+function hundredsWords(value) {
+    const words = [];
+    if (value >= 100) {
+        words.push(ONES[Math.floor(value / 100)], 'hundred');
+    }
+    const rest = value % 100;
+    if (rest >= 20) {
+        words.push(TENS[Math.floor(rest / 10)] + (rest % 10 ? '-' + ONES[rest % 10] : ''));
+    } else if (rest > 0) {
+        words.push(ONES[rest]);
+    }
+    return words;
+}
+
+/**
+ * Drafts a whole number in words, e.g., 'one thousand five hundred'
+ * @param {number} value - the number
+ * @returns {string} the text
+ */
+function draftIntegerWords(value) {
+    if (value >= Math.pow(1000, SCALES.length)) {
+        throw new Error(`Cannot write ${value} in words`);
+    }
+    if (value === 0) {
+        return ONES[0];
+    }
+    const words = [];
+    let rest = value;
+    SCALES.forEach((scale) => {
+        const group = rest % 1000;
+        if (group > 0) {
+            words.unshift(...hundredsWords(group), ...(scale ? [scale] : []));
+        }
+        rest = Math.floor(rest / 1000);
+    });
+    return words.join(' ');
+}
+
+/**
+ * Drafts the sign of a number in words
+ * @param {number} value - the number
+ * @returns {string} 'minus ' for a negative number, or the empty string
+ */
+function draftSignWords(value) {
+    return value < 0 ? MINUS + ' ' : '';
+}
+
+/**
+ * Drafts a number in words, with its decimals after 'point', e.g., 'minus twelve point five'
+ * @param {number} value - the number
+ * @returns {string} the text
+ */
+function draftNumberWords(value) {
+    const text = '' + Math.abs(value);
+    if (text.includes('e')) {
+        throw new Error(`Cannot write ${value} in words`);
+    }
+    const [integer, decimals] = text.split('.');
+    const words = draftIntegerWords(Number(integer));
+    return draftSignWords(value) + (decimals ? words + ' point ' + decimals.split('').map(digit => ONES[digit]).join(' ') : words);
+}
+
+/**
+ * Returns the number for words, e.g., 'one thousand five hundred'
+ * @param {string} text - the words
+ * @returns {number} the number
+ */
+function integerOfWords(text) {
+    let total = 0;
+    let current = 0;
+    text.toLowerCase().split(/[\s-]+/).filter(word => word !== 'and').forEach(word => {
+        if (word === 'hundred') {
+            current = current * 100;
+        } else if (SCALES.includes(word)) {
+            total += current * Math.pow(1000, SCALES.indexOf(word));
+            current = 0;
+        } else {
+            current += ONES.includes(word) ? ONES.indexOf(word) : TENS.indexOf(word) * 10;
+        }
+    });
+    return total + current;
+}
+
+/**
+ * Creates a parser for a whole number in words
+ * @returns {object} the parser
+ */
+function parseIntegerWords() {
+    return P.regexp(new RegExp(INTEGER_WORDS, 'i'))
+        .desc('A number in words')
+        .map(integerOfWords);
+}
+
+/**
+ * Creates a parser for the sign of a number in words
+ * @returns {object} the parser, for -1 after 'minus' or 1 otherwise
+ */
+function parseSignWords() {
+    return P.alt(P.regexp(new RegExp(MINUS + ' ', 'i')).result(-1), P.succeed(1));
+}
+
+/**
+ * Creates a parser for a number in words, with its decimals after 'point'
+ * @returns {object} the parser
+ */
+function parseNumberWords() {
+    const numberParser = P.regexp(new RegExp(INTEGER_WORDS + DECIMAL_WORDS, 'i'))
+        .desc('A number in words')
+        .map(function(x) {
+            const [integer, decimals] = x.split(/ point /i);
+            const digits = decimals ? decimals.toLowerCase().split(' ').map(digit => ONES.indexOf(digit)).join('') : '';
+            return Number(integerOfWords(integer) + (digits ? '.' + digits : ''));
+        });
+    return P.seqMap(parseSignWords(), numberParser, (sign, value) => sign * value);
+}
+
+module.exports.draftIntegerWords = draftIntegerWords;
+module.exports.draftSignWords = draftSignWords;
+module.exports.draftNumberWords = draftNumberWords;
+module.exports.parseSignWords = parseSignWords;
+module.exports.parseIntegerWords = parseIntegerWords;
+module.exports.parseNumberWords = parseNumberWords;
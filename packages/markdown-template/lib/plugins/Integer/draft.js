@@ -15,14 +15,23 @@
 'use strict';
 
 const P = require('parsimmon');
+const doubleDrafter = require('../Double/draft');
+const hasLegacyPattern = require('../Double/format').hasLegacyPattern;
 
 /**
  * Creates a drafter for Integer
  * @param {object} value the Integer
+ * @param {string} [format] the format
+ * @param {string} [locale] the locale
  * @returns {string} the text
  */
-function integerDrafter(value) {
-    return '' + value;
+function integerDrafter(value,format,locale) {
+    // Legacy formats, e.g., '0,0', are ignored as before
+    if (format && !hasLegacyPattern(format,['WORDS'])) {
+        return doubleDrafter(value,format,locale);
+    } else {
+        return '' + value;
+    }
 }
 
 module.exports = integerDrafter;
@@ -15,6 +15,8 @@
 'use strict';
 
 const P = require('parsimmon');
+const doubleParser = require('../Double/parse');
+const hasLegacyPattern = require('../Double/format').hasLegacyPattern;
 
 /**
  * Creates a parser for Integer
@@ -27,4 +29,19 @@ function integerParser() {
     }).desc('An Integer literal');
 }
 
-module.exports = (format) => (r) => integerParser();
+/**
+ * Creates a parser for an Integer variable
+ * @param {string} format the format
+ * @param {string} [locale] the locale
+ * @returns {object} the parser
+ */
+function integerFormatParser(format,locale) {
+    // Legacy formats, e.g., '0,0', are ignored as before
+    if (format && !hasLegacyPattern(format,['WORDS'])) {
+        return doubleParser(format,locale)();
+    } else {
+        return integerParser();
+    }
+}
+
+module.exports = (format,locale) => (r) => integerFormatParser(format,locale);
@@ -15,14 +15,23 @@
 'use strict';
 
 const P = require('parsimmon');
+const doubleDrafter = require('../Double/draft');
+const hasLegacyPattern = require('../Double/format').hasLegacyPattern;
 
 /**
  * Creates a drafter for Long
  * @param {object} value the Long
+ * @param {string} [format] the format
+ * @param {string} [locale] the locale
  * @returns {string} the text
  */
-function longDrafter(value) {
-    return '' + value;
+function longDrafter(value,format,locale) {
+    // Legacy formats, e.g., '0,0', are ignored as before
+    if (format && !hasLegacyPattern(format,['WORDS'])) {
+        return doubleDrafter(value,format,locale);
+    } else {
+        return '' + value;
+    }
 }
 
 module.exports = longDrafter;
@@ -18,7 +18,8 @@ module.exports = {
     'Long': {
         javascript: {
             parse: require('./parse'),
-            draft: require('./draft')
+            draft: require('./draft'),
+            validate: require('./validate')
         }
     }
 };
@@ -15,6 +15,8 @@
 'use strict';
 
 const P = require('parsimmon');
+const doubleParser = require('../Double/parse');
+const hasLegacyPattern = require('../Double/format').hasLegacyPattern;
 
 /**
  * Creates a parser for Long
@@ -27,4 +29,19 @@ function longParser() {
     }).desc('An Long literal');
 }
 
-module.exports = (format) => (r) => longParser();
+/**
+ * Creates a parser for a Long variable
+ * @param {string} format the format
+ * @param {string} [locale] the locale
+ * @returns {object} the parser
+ */
+function longFormatParser(format,locale) {
+    // Legacy formats, e.g., '0,0', are ignored as before
+    if (format && !hasLegacyPattern(format,['WORDS'])) {
+        return doubleParser(format,locale)();
+    } else {
+        return longParser();
+    }
+}
+
+module.exports = (format,locale) => (r) => longFormatParser(format,locale);
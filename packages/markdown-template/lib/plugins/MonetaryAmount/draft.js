@@ -15,7 +15,12 @@
 'use strict';
 
 const draftDoubleIEEE = require('../Double/format').draftDoubleIEEE;
-const draftDoubleFormat = require('../Double/format').draftDoubleFormat;
+const isNumberPattern = require('../Double/format').isNumberPattern;
+const draftNumberPattern = require('../Double/format').draftNumberPattern;
+const roundNumberPattern = require('../Double/format').roundNumberPattern;
+const draftNumberFormat = require('../Double/format').draftNumberFormat;
+const draftAmountWords = require('./words').draftAmountWords;
+const amountFields = require('./tokens').amountFields;
 const symbols = require('./symbols.json');
 
 /**
@@ -39,23 +44,42 @@ function codeSymbol(c) {
 /**
  * Creates a drafter for monetary amount with a given format
  * @param {object} value the monetary amount
+ * @param {string} format the format
+ * @param {string} [locale] the locale
  * @returns {string} the text
  */
-function monetaryAmountFormatDrafter(value,format) {
-    return draftDoubleFormat(value.doubleValue,
-                             format
-                             .replace(/K/gi,codeSymbol(value.currencyCode))
-                             .replace(/CCC/gi,value.currencyCode));
+function monetaryAmountFormatDrafter(value,format,locale) {
+    const draftField = (field,fields) => {
+        if (isNumberPattern(field)) {
+            return draftNumberPattern(value.doubleValue,field,locale);
+        } else if (field === 'WORDS') {
+            // Words are for the amount as drafted in figures
+            const pattern = fields.find(isNumberPattern);
+            return draftAmountWords(pattern ? roundNumberPattern(value.doubleValue,pattern) : value.doubleValue,value.currencyCode);
+        } else if (field === 'K') {
+            return codeSymbol(value.currencyCode);
+        } else if (field === 'CCC') {
+            return value.currencyCode;
+        } else {
+            return field;
+        }
+    };
+    return draftNumberFormat(value.doubleValue, format, (subformat) => {
+        const fields = amountFields(subformat);
+        return fields.map((field) => draftField(field,fields)).join('');
+    });
 }
 
 /**
  * Creates a drafter for a monetary amount
  * @param {object} value the monetary amount
+ * @param {string} format the format
+ * @param {string} [locale] the locale
  * @returns {string} the text
  */
-function monetaryAmountDrafter(value,format) {
+function monetaryAmountDrafter(value,format,locale) {
     if (format) {
-        return monetaryAmountFormatDrafter(value,format);
+        return monetaryAmountFormatDrafter(value,format,locale);
     } else {
         return monetaryAmountDefaultDrafter(value);
     }
@@ -22,7 +22,11 @@ const mkVariable = require('../../combinators').mkVariable;
 const mkCompoundVariable = require('../../combinators').mkCompoundVariable;
 
 const parseDoubleIEEE = require('../Double/format').parseDoubleIEEE;
-const parseDoubleFormat = require('../Double/format').parseDoubleFormat;
+const isNumberPattern = require('../Double/format').isNumberPattern;
+const parseNumberPattern = require('../Double/format').parseNumberPattern;
+const parseNumberFormat = require('../Double/format').parseNumberFormat;
+const parseAmountWords = require('./words').parseAmountWords;
+const amountFields = require('./tokens').amountFields;
 const symbols = require('./symbols.json');
 
 // This should rather be obtained from the model itself
@@ -45,21 +49,33 @@ const fromSymbols = reverseSymbols(symbols);
 
 /**
  * Given a format field (like '0,0.00') this method returns
- * a logical name for the field. Note the logical names
- * have been picked to align with the moment constructor that takes an object.
+ * the parser for that field
  * @param {string} field - the input format field
- * @returns {string} the field designator
+ * @param {string} [locale] - the locale
+ * @param {number} sign - the sign of the amount
+ * @returns {object} the parser
  */
-function parserOfField(field) {
-    if (/0.0(?:.0+)?/.test(field)) {
-        return parseDoubleFormat(field).map((value) => mkVariable({
+function parserOfField(field,locale,sign) {
+    if (isNumberPattern(field)) {
+        return parseNumberPattern(field,locale).map((value) => mkVariable({
             name: 'doubleValue',
             elementType: 'Double',
-        },value));
+        },sign * value));
     } else if (field === 'CCC') {
         return enumParser(currencyCodes).map((value) => mkVariable({
             name: 'currencyCode',
         },value));
+    } else if (field === 'WORDS') {
+        // Words have their own sign
+        return parseAmountWords(currencyCodes).map((value) => [
+            mkVariable({
+                name: 'doubleValue',
+                elementType: 'Double',
+            },value.doubleValue),
+            mkVariable({
+                name: 'currencyCode',
+            },value.currencyCode)
+        ]);
     } else if (field === 'K') {
         return enumParser(Object.keys(fromSymbols)).map((value) => mkVariable({
             name: 'currencyCode',
@@ -70,19 +86,22 @@ function parserOfField(field) {
 }
 
 /**
- * Creates a parser for a Double variable
+ * Creates a parser for a MonetaryAmount variable
  * @param {string} format the format
+ * @param {string} [locale] the locale
  * @returns {object} the parser
  */
-function monetaryAmountParser(format) {
-    let parsers;
+function monetaryAmountParser(format,locale) {
     if (format) {
-        let fields = format.split(/(CCC|K|0.0(?:.0+)?)/);
-        // remove null or empty strings
-        fields = fields.filter(x => x !== '' && x !== null);
-        parsers = fields.map(parserOfField);
+        return parseNumberFormat(format, (subformat,sign) => {
+            const parsers = amountFields(subformat).map((field) => parserOfField(field,locale,sign));
+            // Amounts in words have both variables
+            return seqParser(parsers).map((value) => {
+                return mkCompoundVariable('org.accordproject.money.MonetaryAmount',[].concat(...value).filter(x => x))
+            });
+        });
     } else {
-        parsers = [
+        const parsers = [
             parseDoubleIEEE().map((value) => mkVariable({
                 name: 'doubleValue',
                 elementType: 'Double',
@@ -92,10 +111,10 @@ function monetaryAmountParser(format) {
                 name: 'currencyCode',
             },value))
         ];
+        return seqParser(parsers).map((value) => {
+            return mkCompoundVariable('org.accordproject.money.MonetaryAmount',value.filter(x => x))
+        });
     }
-    return seqParser(parsers).map((value) => {
-        return mkCompoundVariable('org.accordproject.money.MonetaryAmount',value.filter(x => x))
-    });
 }
 
-module.exports = (format) => (r) => monetaryAmountParser(format);
+module.exports = (format,locale) => (r) => monetaryAmountParser(format,locale);
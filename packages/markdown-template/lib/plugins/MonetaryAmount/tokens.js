@@ -0,0 +1,33 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const formatFields = require('../Double/format').formatFields;
+
+// The tokens of MonetaryAmount formats. As in legacy formats, the currency tokens may be in lower case.
+const TOKENS = ['CCC','ccc','K','k','WORDS'];
+
+/**
+ * Splits a MonetaryAmount format into number patterns, tokens and text,
+ * with the currency tokens in upper case
+ * @param {string} format - the format
+ * @returns {string[]} the fields
+ */
+function amountFields(format) {
+    return formatFields(format,TOKENS).map((field) => field === 'ccc' || field === 'k' ? field.toUpperCase() : field);
+}
+
+module.exports.TOKENS = TOKENS;
+module.exports.amountFields = amountFields;
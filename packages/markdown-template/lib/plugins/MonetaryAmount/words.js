@@ -0,0 +1,124 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+const P = require('parsimmon');
+const draftIntegerWords = require('../Double/words').draftIntegerWords;
+const draftSignWords = require('../Double/words').draftSignWords;
+const parseIntegerWords = require('../Double/words').parseIntegerWords;
+const parseSignWords = require('../Double/words').parseSignWords;
+
+// English names of the minor units of currencies, in the singular and plural
+const MINOR_UNITS = {
+    'AUD': ['cent','cents'],
+    'CAD': ['cent','cents'],
+    'CHF': ['centime','centimes'],
+    'EUR': ['cent','cents'],
+    'GBP': ['penny','pence'],
+    'HKD': ['cent','cents'],
+    'INR': ['paisa','paise'],
+    'NZD': ['cent','cents'],
+    'SGD': ['cent','cents'],
+    'USD': ['cent','cents'],
+    'ZAR': ['cent','cents'],
+};
+
+const namesCache = {};
+
+/**
+ * Returns the English name of a currency, for an amount
+ * @param {string} code - the currency code
+ * @param {number} value - the amount
+ * @returns {string} the name, e.g., 'US dollars'
+ */
+function currencyName(code, value) {
+    const parts = new Intl.NumberFormat('en', { style: 'currency', currency: code, currencyDisplay: 'name', minimumFractionDigits: 0 }).formatToParts(value);
+    return parts.find(part => part.type === 'currency').value;
+}
+
+/**
+ * Returns the number of decimals of a currency
+ * @param {string} code - the currency code
+ * @returns {number} the number of decimals
+ */
+function currencyDigits(code) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Drafts a monetary amount in words, e.g., 'one thousand five hundred US dollars and fifty cents'
+ * @param {number} value - the amount
+ * @param {string} code - the currency code
+ * @returns {string} the text
+ */
+function draftAmountWords(value, code) {
+    const digits = currencyDigits(code);
+    const [integer, decimals] = Math.abs(value).toFixed(digits).split('.');
+    const units = Number(integer);
+    const text = `${draftSignWords(value)}${draftIntegerWords(units)} ${currencyName(code, units)}`;
+    const minor = decimals ? Number(decimals) : 0;
+    if (minor === 0) {
+        return text;
+    } else if (MINOR_UNITS[code]) {
+        return `${text} and ${draftIntegerWords(minor)} ${MINOR_UNITS[code][minor === 1 ? 0 : 1]}`;
+    } else {
+        return `${text} and ${decimals}/${Math.pow(10, digits)}`;
+    }
+}
+
+/**
+ * Creates a parser for the minor units of an amount
+ * @param {string} code - the currency code
+ * @returns {object} the parser, for the decimals of the amount
+ */
+function minorParser(code) {
+    const digits = currencyDigits(code);
+    const decimals = (minor) => ('' + minor).padStart(digits, '0');
+    if (MINOR_UNITS[code]) {
+        // Plural first, so that 'cents' is not read as 'cent'
+        return P.seqMap(parseIntegerWords(), P.string(' '), P.alt(...MINOR_UNITS[code].slice().reverse().map(name => P.string(name))), (minor) => decimals(minor));
+    }
+    return P.regexp(new RegExp(`([0-9]{${digits}})/${Math.pow(10, digits)}`), 1);
+}
+
+/**
+ * Creates a parser for a monetary amount in words
+ * @param {string[]} codes - the currency codes
+ * @returns {object} the parser, for the amount and the currency code
+ */
+function parseAmountWords(codes) {
+    const key = codes.join();
+    if (!namesCache[key]) {
+        const names = {};
+        codes.forEach(code => {
+            [currencyName(code, 2), currencyName(code, 1)].forEach(name => {
+                if (!names[name]) {
+                    names[name] = code;
+                }
+            });
+        });
+        namesCache[key] = names;
+    }
+    const names = namesCache[key];
+    // Longest names first, so that 'US dollars' is not read as 'US dollar'
+    const nameParser = P.alt(...Object.keys(names).sort((a,b) => b.length - a.length).map(name => P.string(name)))
+        .desc('A currency name')
+        .map(name => names[name]);
+    return P.seqMap(parseSignWords(), parseIntegerWords(), P.string(' '), nameParser, (sign, units, space, code) => ({ sign, units, code }))
+        .chain(({ sign, units, code }) => P.alt(P.string(' and ').then(minorParser(code)), P.succeed(null))
+            .map(decimals => ({ doubleValue: sign * Number(decimals ? `${units}.${decimals}` : units), currencyCode: code })));
+}
+
+module.exports.draftAmountWords = draftAmountWords;
+module.exports.parseAmountWords = parseAmountWords;
@@ -24,6 +24,7 @@ const TypeVisitor = require('./TypeVisitor');
 const MarkdownIt = require('markdown-it');
 const MarkdownItTemplate = require('@accordproject/markdown-it-template');
 const FromMarkdownIt = require('@accordproject/markdown-common').FromMarkdownIt;
+const sourcePositions = require('@accordproject/markdown-common').sourcePositions;
 const templaterules = require('./templaterules');
 
 function mkTemplateMarkManager() {
@@ -108,9 +109,10 @@ function findElementModel(introspector, elementType) {
  * @param {object} introspector - the introspector for this template
  * @param {string} model - the model
  * @param {string} templateKind - either 'clause' or 'contract'
+ * @param {object[]} [errors] - collects the typing errors, instead of throwing the first one
  * @returns {object} the typed TemplateMark DOM
  */
-function templateMarkTypingGen(template,introspector,model,templateKind) {
+function templateMarkTypingGen(template,introspector,model,templateKind,errors) {
     const input = templateMarkManager.serializer.fromJSON(template);
 
     const parameters = {
@@ -118,6 +120,7 @@ function templateMarkTypingGen(template,introspector,model,templateKind) {
         introspector: introspector,
         model: model,
         kind: templateKind,
+        errors: errors,
     };
     const visitor = new TypeVisitor();
     input.accept(visitor, parameters);
@@ -131,13 +134,14 @@ function templateMarkTypingGen(template,introspector,model,templateKind) {
  * @param {object} template the TemplateMark DOM
  * @param {object} modelManager - the modelManager for this template
  * @param {string} templateKind - either 'clause' or 'contract'
+ * @param {object[]} [errors] - collects the typing errors, instead of throwing the first one
  * @returns {object} the typed TemplateMark DOM
  */
-function templateMarkTyping(template,modelManager,templateKind) {
+function templateMarkTyping(template,modelManager,templateKind,errors) {
     const introspector = new Introspector(modelManager);
     const model = findTemplateModel(introspector, templateKind);
 
-    return templateMarkTypingGen(template,introspector,model,templateKind);
+    return templateMarkTypingGen(template,introspector,model,templateKind,errors);
 }
 
 /**
@@ -167,12 +171,17 @@ function templateMarkTypingFromType(template,modelManager,elementType) {
 /**
  * Converts a template string to a token stream
  * @param {object} templateInput the template template
+ * @param {object} [options] configuration options
+ * @param {boolean} [options.sourcePos] record the source position of each token
  * @returns {object} the token stream
  */
-function templateToTokens(template) {
+function templateToTokens(template, options) {
     const templateNorm = normalizeNLs(template);
 
     const parser = new MarkdownIt({html:true}).use(MarkdownItTemplate);
+    if (options && options.sourcePos) {
+        parser.use(sourcePositions);
+    }
     return parser.parse(template,{});
 }
 
@@ -52,6 +52,7 @@ const successes = [
     {name:'test11',kind:'clause'},
     {name:'test12',kind:'clause'},
     {name:'testFormula',kind:'contract'},
+    {name:'testFormula2',kind:'clause'},
     {name:'testDateTime',kind:'clause'},
     {name:'testDateTime2',kind:'clause'},
     {name:'testDateTime3',kind:'clause'},
@@ -242,3 +243,76 @@ describe('#TemplateMarkTransformer [Parse Success]', () => {
 describe('#TemplateMarkTransformer [Parse Failure]', () => {
     runParseFailures();
 });
+
+describe('#TemplateMarkTransformer [Source Positions]', () => {
+    const grammar = loadFile('./test/data/test1/grammar.tem.md');
+    let modelManager;
+    before(async () => {
+        modelManager = await ModelLoader.loadModelManager(null,['./test/data/test1/model.cto']);
+    });
+
+    it('should record the position of each node', async () => {
+        const result = (new TemplateMarkTransformer()).fromMarkdownTemplate(grammar,modelManager,'clause',{sourcePos:true});
+        const paragraph = result.nodes[0].nodes[0];
+        paragraph.startPos.should.deep.equal({ $class: 'org.accordproject.commonmark.SourcePos', line: 1, column: 1, offset: 0 });
+        const variable = paragraph.nodes[1];
+        variable.name.should.equal('seller');
+        grammar.content.slice(variable.startPos.offset, variable.endPos.offset).should.equal('{{seller}}');
+        const conditional = paragraph.nodes[8];
+        grammar.content.slice(conditional.whenTrue[0].startPos.offset, conditional.whenTrue[0].endPos.offset).should.equal(', even in the presence of force majeure');
+    });
+
+    it('should not record positions by default', async () => {
+        const result = (new TemplateMarkTransformer()).fromMarkdownTemplate(grammar,modelManager,'clause');
+        result.nodes[0].nodes[0].should.not.have.property('startPos');
+    });
+});
+
+describe('#TemplateMarkTransformer [Validation]', () => {
+    const grammar = loadFile('./test/data/templateLint/grammar.tem.md');
+    let modelManager;
+    before(async () => {
+        modelManager = await ModelLoader.loadModelManager(null,['./test/data/templateLint/model.cto']);
+    });
+
+    it('should report all the problems with their positions', async () => {
+        const problems = (new TemplateMarkTransformer()).validateTemplate(grammar,modelManager,'clause');
+        problems.map(problem => problem.message).should.deep.equal([
+            'Unknown property buyer',
+            'The format "0.00" has decimals, for an integer',
+            'The format "#,##0.00" should have one of CCC, K, WORDS',
+            'Unknown field "YY" in the DateTime format "MM/DD/YY", text should be between square brackets',
+            'Conditional on name which is not a Boolean',
+            'Join on seller which is not an array',
+        ]);
+        problems[0].fileName.should.equal('./test/data/templateLint/grammar.tem.md');
+        problems[0].startPos.should.deep.equal({ line: 1, column: 43, offset: 42 });
+        grammar.content.slice(problems[3].startPos.offset, problems[3].endPos.offset).should.equal('{{dueDate as "MM/DD/YY"}}');
+    });
+
+    it('should keep reporting problems after an error while typing a node', async () => {
+        const content = 'Hello {{bogus as "X"}} {{#ulist items}}{{this}}{{/ulist}}';
+        const problems = (new TemplateMarkTransformer()).validateTemplate({ fileName: 'grammar.tem.md', content },modelManager,'clause');
+        problems.length.should.equal(2);
+        problems[0].message.should.equal('Unknown property bogus');
+        content.slice(problems[1].startPos.offset, problems[1].endPos.offset).should.equal('{{this}}');
+    });
+
+    it('should report the problems of the template kind', async () => {
+        const problems = (new TemplateMarkTransformer()).validateTemplate(grammar,modelManager,'contract');
+        problems.length.should.equal(1);
+        problems[0].message.should.contain('Failed to find an asset that extends org.accordproject.cicero.contract.AccordContract.');
+        problems[0].should.not.have.property('startPos');
+    });
+
+    it('should still load a conditional or a join on the wrong type when not validating', async () => {
+        const content = '{{#if name}}It has a name.{{/if}} Items: {{#join seller}}{{this}}{{/join}}.';
+        const result = (new TemplateMarkTransformer()).fromMarkdownTemplate({ fileName: 'grammar.tem.md', content },modelManager,'clause');
+        result.nodes[0].nodes[0].nodes[0].$class.should.equal('org.accordproject.templatemark.ConditionalDefinition');
+    });
+
+    it('should report no problem for a valid template', async () => {
+        const modelManager1 = await ModelLoader.loadModelManager(null,['./test/data/test1/model.cto']);
+        (new TemplateMarkTransformer()).validateTemplate(loadFile('./test/data/test1/grammar.tem.md'),modelManager1,'clause').should.deep.equal([]);
+    });
+});
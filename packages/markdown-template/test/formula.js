@@ -0,0 +1,77 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chai = require('chai');
+
+chai.should();
+
+const ASYNC_FORMULAS = require('../lib/formula').ASYNC_FORMULAS;
+const formulaDependencies = require('../lib/formula').formulaDependencies;
+const formulaEval = require('../lib/formula').formulaEval;
+const formulaType = require('../lib/formula').formulaType;
+
+describe('#formula', () => {
+    describe('#dependencies', () => {
+        it('should find the variables referenced by a formula', async () => {
+            formulaDependencies(' amount / 10 + penalty ', ['seller','amount','penalty']).should.deep.equal(['amount','penalty']);
+        });
+        it('should ignore properties, strings and comments', async () => {
+            formulaDependencies('agreement.seller + "buyer" /* amount */', ['seller','buyer','amount','agreement']).should.deep.equal(['agreement']);
+        });
+    });
+
+    describe('#eval', () => {
+        it('should evaluate a formula with the data in scope', async () => {
+            formulaEval()(' amount / 10 ')({ $class: 'org.test.MyClause', amount: 3131 }).should.equal(313.1);
+            formulaEval()('agreement.seller')({ agreement: { seller: 'Steve' } }).should.equal('Steve');
+        });
+        it('should return dates', async () => {
+            formulaEval()('new Date(date)')({ date: '2020-08-01T00:00:00.000Z' }).toISOString().should.equal('2020-08-01T00:00:00.000Z');
+        });
+        it('should not reach outside of its context', async () => {
+            (() => formulaEval()('require("fs")')({})).should.throw('Cannot evaluate formula require("fs"): require is not defined');
+            (() => formulaEval()('this.constructor.constructor("return process")()')({})).should.throw(ASYNC_FORMULAS ? 'process is not defined' : 'Code generation from strings disallowed');
+        });
+        it('should stop after the time limit', async () => {
+            (() => formulaEval({ formulaTimeout: 100 })('while (true) {}')({})).should.throw('Cannot evaluate formula while (true) {}: Script execution timed out');
+        });
+        it('should stop promise callbacks after the time limit', async function () {
+            if (!ASYNC_FORMULAS) {
+                this.skip();
+            }
+            (() => formulaEval({ formulaTimeout: 100 })('Promise.resolve().then(() => { while (true) {} }); 1')({})).should.throw('Script execution timed out after 100ms');
+        });
+        it('should refuse asynchronous formulas before Node.js 14.6', async function () {
+            if (ASYNC_FORMULAS) {
+                this.skip();
+            }
+            (() => formulaEval()('Promise.resolve().then(() => { while (true) {} }); 1')).should.throw('Cannot evaluate formula Promise.resolve().then(() => { while (true) {} }); 1: Promise is not supported before Node.js 14.6');
+            (() => formulaEval()('(async () => 1)()')).should.throw('async is not supported before Node.js 14.6');
+            (() => formulaEval()('this["Prom" + "ise"].resolve(1)')({})).should.throw('Cannot read property \'resolve\' of undefined');
+        });
+    });
+
+    describe('#type', () => {
+        it('should return the type of a formula value', async () => {
+            formulaType(6.12).should.equal('Double');
+            formulaType(true).should.equal('Boolean');
+            formulaType('text').should.equal('String');
+            formulaType(new Date()).should.equal('DateTime');
+            formulaType({ $class: 'org.accordproject.money.MonetaryAmount', doubleValue: 1, currencyCode: 'EUR' }).should.equal('org.accordproject.money.MonetaryAmount');
+            (() => formulaType([1,2])).should.throw('Unknown type for the formula value [1,2]');
+        });
+    });
+});
@@ -14,7 +14,12 @@
 
 'use strict';
 
-const DateTime = require('../../lib/plugins/DateTime');
+const DateTime = require('../../lib/plugins/DateTime').DateTime;
+const ModelManager = require('@accordproject/concerto-core').ModelManager;
+const ParsingTable = require('../../lib/parsingtable');
+
+// Node.js before 13 only has English ICU data by default
+const LOCALES = Intl.DateTimeFormat.supportedLocalesOf(['fr-FR', 'de-DE', 'es']).length === 3;
 
 describe('#DateTime', () => {
     describe('#date', () => {
@@ -62,4 +67,83 @@ describe('#DateTime', () => {
             DateTime.javascript.parse('HH:mm:ssZ')().parse('20:39:42-00:00').status.should.equal(true);
         });
     });
+
+    describe('#locale', () => {
+        const { parse, draft } = DateTime.javascript;
+        const value = '2020-08-01T00:00:00.000+00:00';
+
+        before(function () {
+            if (!LOCALES) {
+                this.skip();
+            }
+        });
+
+        it('should draft and parse month names [fr-FR]', async () => {
+            draft(value,'D MMMM YYYY','fr-FR').should.equal('1 août 2020');
+            parse('D MMMM YYYY','fr-FR')().parse('1 août 2020').value.should.equal(value);
+            parse('D MMMM YYYY','fr-FR')().parse('1 August 2020').status.should.equal(false);
+        });
+        it('should draft and parse weekday names and ordinals [de-DE]', async () => {
+            draft(value,'dddd, Do MMMM YYYY','de-DE').should.equal('Samstag, 1. August 2020');
+            parse('dddd, Do MMMM YYYY','de-DE')().parse('Samstag, 1. August 2020').value.should.equal(value);
+        });
+        it('should draft and parse ordinals [fr-FR]', async () => {
+            draft(value,'Do MMM YYYY','fr-FR').should.equal('1er août 2020');
+            parse('Do MMMM YYYY','fr-FR')().parse('31e décembre 2020').value.should.equal('2020-12-31T00:00:00.000+00:00');
+        });
+        it('should use the locale default formats', async () => {
+            draft(value,null,'de-DE').should.equal('01.08.2020');
+            draft(value,'LL','es').should.equal('1 de agosto de 2020');
+            parse('LL','es')().parse('1 de agosto de 2020').value.should.equal(value);
+            parse(null,'fr-FR')().parse('01/08/2020').value.should.equal(value);
+        });
+        it('should use English names without a locale', async () => {
+            draft(value,'dddd, Do MMMM YYYY').should.equal('Saturday, 1st August 2020');
+            parse('dddd, Do MMMM YYYY')().parse('Saturday, 1st August 2020').value.should.equal(value);
+            draft(value).should.equal('08/01/2020');
+        });
+        it('should parse escaped text', async () => {
+            parse('[Day] D [of] MMMM YYYY')().parse('Day 1 of August 2020').value.should.equal(value);
+        });
+        it('should draft and parse with the locale of the parsing table', async () => {
+            const parsingTable = new ParsingTable(new ModelManager(),null,null,'fr-FR');
+            parsingTable.getDrafter('date','DateTime')(value,'D MMMM YYYY').should.equal('1 août 2020');
+            parsingTable.getParser('date','DateTime','D MMMM YYYY')().parse('1 août 2020').value.should.equal(value);
+        });
+    });
+    describe('#unsupported locale', () => {
+        const { parse, draft } = DateTime.javascript;
+
+        it('should fail for a locale without ICU data', async () => {
+            (() => draft('2020-08-01T00:00:00.000+00:00','D MMMM YYYY','xx-XX')).should.throw('The locale xx-XX is not supported by the ICU data of this JavaScript runtime');
+            (() => parse('D MMMM YYYY','xx-XX')()).should.throw('The locale xx-XX is not supported');
+        });
+    });
+    describe('#validate', () => {
+        const { validate } = DateTime.javascript;
+
+        it('should accept formats with known fields and escaped text', async () => {
+            validate('D [de] MMMM YYYY');
+            validate('YYYY-MM-DDTHH:mm:ss.SSSZ');
+        });
+        it('should accept the locale default formats', async function () {
+            if (!LOCALES) {
+                this.skip();
+            }
+            validate('LL','es');
+        });
+        it('should reject unknown fields and unescaped text', async () => {
+            (() => validate('MM/DD/YY')).should.throw('Unknown field "YY" in the DateTime format "MM/DD/YY"');
+            (() => validate('D MMMM YYYY at HH:mm')).should.throw('Unknown field "at"');
+            (() => validate('[Today]')).should.throw('The DateTime format "[Today]" has no date or time field');
+        });
+        it('should validate with the locale of the parsing table', async function () {
+            if (!LOCALES) {
+                this.skip();
+            }
+            const parsingTable = new ParsingTable(new ModelManager(),null,null,'fr-FR');
+            parsingTable.validateFormat('DateTime','L');
+            (() => parsingTable.validateFormat('DateTime','DD/MM/YY')).should.throw('Unknown field "YY"');
+        });
+    });
 });
@@ -22,7 +22,10 @@ chai.use(require('chai-things'));
 chai.use(require('chai-as-promised'));
 
 // Double parser
-const Double = require('../../lib/plugins/Double');
+const Double = require('../../lib/plugins/Double').Double;
+
+// Node.js before 13 only has English ICU data by default
+const LOCALES = Intl.NumberFormat.supportedLocalesOf(['de-DE', 'de-CH', 'fr-FR']).length === 3;
 
 describe('#Double', () => {
     describe('#parse', () => {
@@ -41,4 +44,82 @@ describe('#Double', () => {
             Double.javascript.parse()().parse('000e+33').status.should.equal(false);
         });
     });
+
+    describe('#format', () => {
+        const { parse, draft } = Double.javascript;
+
+        it('should draft and parse legacy formats', async () => {
+            draft(1234.5,'0,0.00').should.equal('1,234.50');
+            parse('0,0.00')().parse('1,234.50').value.should.equal(1234.5);
+            draft(3131,'0.0').should.equal('3.131');
+            parse('0 0,00')().parse('1 234,50').value.should.equal(1234.5);
+        });
+        it('should draft and parse grouping separators', async () => {
+            draft(1234.5,'#\'##0.00').should.equal('1\'234.50');
+            parse('#\'##0.00')().parse('1\'234.50').value.should.equal(1234.5);
+            draft(1234567,'#,##,##0.00').should.equal('12,34,567.00');
+            parse('#,##,##0.00')().parse('12,34,567.00').value.should.equal(1234567);
+            parse('#,##,##0.00')().parse('1,234,567.00').status.should.equal(false);
+            draft(12.5,'0.000').should.equal('12.500');
+        });
+        it('should draft and parse negative numbers', async () => {
+            draft(-123,'0,0.00').should.equal('-123.00');
+            parse('0,0.00')().parse('-123.00').value.should.equal(-123);
+            draft(-1234.5,'$0,0.00').should.equal('$-1,234.50');
+            parse('$0,0.00')().parse('$-1,234.50').value.should.equal(-1234.5);
+            draft(-1234.5,'$#,##0.00').should.equal('-$1,234.50');
+            draft(-1234.5,'#,##0.00;(#,##0.00)').should.equal('(1,234.50)');
+            draft(1234.5,'#,##0.00;(#,##0.00)').should.equal('1,234.50');
+            parse('#,##0.00;(#,##0.00)')().parse('(1,234.50)').value.should.equal(-1234.5);
+        });
+        it('should use the separators of the locale', async function () {
+            if (!LOCALES) {
+                this.skip();
+            }
+            draft(1234.5,'#,##0.00','de-DE').should.equal('1.234,50');
+            parse('#,##0.00','de-DE')().parse('1.234,50').value.should.equal(1234.5);
+            draft(1234.5,'#,##0.00','de-CH').should.equal('1’234.50');
+            parse('#,##0.00','fr-FR')().parse('1 234,50').value.should.equal(1234.5);
+            draft(1234.5,'0,0.00','de-DE').should.equal('1,234.50');
+        });
+        it('should fail for a locale without ICU data', async () => {
+            (() => draft(1234.5,'#,##0.00','xx-XX')).should.throw('The locale xx-XX is not supported by the ICU data of this JavaScript runtime');
+            draft(1234.5,'0,0.00','xx-XX').should.equal('1,234.50');
+        });
+        it('should draft and parse numbers in words', async () => {
+            draft(1500,'WORDS').should.equal('one thousand five hundred');
+            parse('WORDS')().parse('one thousand five hundred').value.should.equal(1500);
+            draft(21.25,'WORDS').should.equal('twenty-one point two five');
+            parse('WORDS')().parse('twenty-one point two five').value.should.equal(21.25);
+            parse('WORDS')().parse('One Hundred and Six').value.should.equal(106);
+        });
+        it('should draft and parse numbers in figures and in words', async () => {
+            draft(1500.123,'#,##0.00 (WORDS)').should.equal('1,500.12 (one thousand five hundred point one two)');
+            parse('#,##0.00 (WORDS)')().parse('1,500.12 (one thousand five hundred point one two)').value.should.equal(1500.12);
+            parse('#,##0 (WORDS)')().parse('1,500 (one thousand)').status.should.equal(false);
+        });
+        it('should draft and parse negative numbers in words', async () => {
+            draft(-7.5,'WORDS').should.equal('minus seven point five');
+            parse('WORDS')().parse('minus seven point five').value.should.equal(-7.5);
+            draft(-7,'0.00 (WORDS)').should.equal('-7.00 (minus seven)');
+            parse('0.00 (WORDS)')().parse('-7.00 (minus seven)').value.should.equal(-7);
+            draft(-7,'0.00 (WORDS);(0.00) (WORDS)').should.equal('(7.00) (minus seven)');
+            parse('0.00 (WORDS);(0.00) (WORDS)')().parse('(7.00) (minus seven)').value.should.equal(-7);
+            parse('0.00 (WORDS)')().parse('-7.00 (seven)').status.should.equal(false);
+            parse('0.00 (WORDS)')().parse('7.00 (minus seven)').status.should.equal(false);
+        });
+    });
+    describe('#validate', () => {
+        const { validate } = Double.javascript;
+
+        it('should accept number formats', async () => {
+            validate('#,##0.00;(#,##0.00)');
+            validate('0,0.00 (WORDS)');
+        });
+        it('should reject formats without a number', async () => {
+            (() => validate('YYYY')).should.throw('The format "YYYY" has no number pattern');
+            (() => validate('#,##0.00;')).should.throw('The format "#,##0.00;" has no number pattern');
+            (() => validate('0.0;(0.0);-0.0')).should.throw('more than one format for negative numbers');
+        });
+    });
 });
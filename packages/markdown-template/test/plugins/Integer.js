@@ -22,7 +22,10 @@ chai.use(require('chai-things'));
 chai.use(require('chai-as-promised'));
 
 // Basic parser constructors
-const Integer = require('../../lib/plugins/Integer');
+const Integer = require('../../lib/plugins/Integer').Integer;
+
+// Node.js before 13 only has English ICU data by default
+const LOCALES = Intl.NumberFormat.supportedLocalesOf(['de-DE', 'de-CH', 'fr-FR']).length === 3;
 
 describe('#Integer', () => {
     describe('#parse', () => {
@@ -33,4 +36,38 @@ describe('#Integer', () => {
             Integer.javascript.parse()().parse('123.313e-33').status.should.equal(false);
         });
     });
+
+    describe('#format', () => {
+        const { parse, draft } = Integer.javascript;
+
+        it('should draft and parse a formatted integer', async () => {
+            draft(1234567,'#,##0').should.equal('1,234,567');
+            parse('#,##0')().parse('1,234,567').value.should.equal(1234567);
+            draft(-42,'0;(0)').should.equal('(42)');
+            parse('0;(0)')().parse('(42)').value.should.equal(-42);
+        });
+        it('should draft a formatted integer with the separators of the locale', async function () {
+            if (!LOCALES) {
+                this.skip();
+            }
+            draft(1234567,'#,##0','fr-FR').should.equal('1\u202f234\u202f567');
+        });
+        it('should ignore legacy formats as before', async () => {
+            draft(1234567,'0,0').should.equal('1234567');
+            parse('0,0')().parse('1234567').value.should.equal(1234567);
+            draft(1234567,'0,0.00').should.equal('1234567');
+        });
+        it('should draft and parse an integer in words', async () => {
+            draft(1001001,'WORDS').should.equal('one million one thousand one');
+            parse('#,##0 (WORDS)')().parse('1,001,001 (one million one thousand one)').value.should.equal(1001001);
+        });
+    });
+    describe('#validate', () => {
+        const { validate } = Integer.javascript;
+
+        it('should reject formats with decimals', async () => {
+            validate('#,##0');
+            (() => validate('#,##0.00')).should.throw('The format "#,##0.00" has decimals, for an integer');
+        });
+    });
 });
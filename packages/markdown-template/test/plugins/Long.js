@@ -22,7 +22,7 @@ chai.use(require('chai-things'));
 chai.use(require('chai-as-promised'));
 
 // Basic parser constructors
-const Long = require('../../lib/plugins/Long');
+const Long = require('../../lib/plugins/Long').Long;
 
 describe('#Long', () => {
     describe('#parse', () => {
@@ -33,4 +33,11 @@ describe('#Long', () => {
             Long.javascript.parse()().parse('123.313e-33').status.should.equal(false);
         });
     });
+
+    describe('#format', () => {
+        it('should ignore legacy formats as before', async () => {
+            Long.javascript.draft(1234567,'0,0').should.equal('1234567');
+            Long.javascript.draft(1234567,'#,##0').should.equal('1,234,567');
+        });
+    });
 });
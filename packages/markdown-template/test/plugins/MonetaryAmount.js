@@ -0,0 +1,90 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chai = require('chai');
+
+chai.should();
+
+// MonetaryAmount parser
+const MonetaryAmount = require('../../lib/plugins/MonetaryAmount');
+
+// Node.js before 13 only has English ICU data by default
+const LOCALES = Intl.NumberFormat.supportedLocalesOf(['de-DE', 'de-CH', 'fr-FR']).length === 3;
+
+describe('#MonetaryAmount', () => {
+    describe('#format', () => {
+        const { parse, draft } = MonetaryAmount['org.accordproject.money.MonetaryAmount'].javascript;
+        const amount = (doubleValue, currencyCode) => ({ $class: 'org.accordproject.money.MonetaryAmount', doubleValue, currencyCode });
+
+        it('should draft and parse currency symbols and codes', async () => {
+            draft(amount(1234.5,'GBP'),'K0,0.00').should.equal('£1,234.50');
+            parse('K0,0.00')().parse('£1,234.50').value.should.deep.equal(amount(1234.5,'GBP'));
+            draft(amount(1234.5,'USD'),'0,0.00 CCC').should.equal('1,234.50 USD');
+        });
+        it('should draft and parse a currency suffix with the separators of the locale', async function () {
+            if (!LOCALES) {
+                this.skip();
+            }
+            draft(amount(1234.5,'EUR'),'#,##0.00 K','fr-FR').should.equal('1\u202f234,50 €');
+            parse('#,##0.00 K','fr-FR')().parse('1 234,50 €').value.should.deep.equal(amount(1234.5,'EUR'));
+        });
+        it('should draft and parse negative amounts in parentheses', async () => {
+            draft(amount(-1234.5,'USD'),'K#,##0.00;(K#,##0.00)').should.equal('($1,234.50)');
+            parse('K#,##0.00;(K#,##0.00)')().parse('($1,234.50)').value.should.deep.equal(amount(-1234.5,'USD'));
+            draft(amount(-5,'EUR'),'0,0.00 CCC').should.equal('-5.00 EUR');
+        });
+        it('should draft and parse Indian grouping', async () => {
+            draft(amount(1234567,'INR'),'K#,##,##0.00').should.equal('₹12,34,567.00');
+            parse('K#,##,##0.00')().parse('₹12,34,567.00').value.should.deep.equal(amount(1234567,'INR'));
+        });
+        it('should draft and parse legacy formats as before', async () => {
+            draft(amount(-1234.5,'USD'),'K0,0.00').should.equal('$-1,234.50');
+            parse('K0,0.00')().parse('$-1,234.50').value.should.deep.equal(amount(-1234.5,'USD'));
+            draft(amount(1234.5,'EUR'),'0,0.00 k').should.equal('1,234.50 €');
+            parse('0,0.00 k')().parse('1,234.50 €').value.should.deep.equal(amount(1234.5,'EUR'));
+            draft(amount(1234.5,'EUR'),'0,0.00 ccc').should.equal('1,234.50 EUR');
+        });
+        it('should draft and parse amounts in words', async () => {
+            draft(amount(1500,'USD'),'CCC 0,0.00 (WORDS)').should.equal('USD 1,500.00 (one thousand five hundred US dollars)');
+            parse('CCC 0,0.00 (WORDS)')().parse('USD 1,500.00 (one thousand five hundred US dollars)').value.should.deep.equal(amount(1500,'USD'));
+            draft(amount(1.01,'GBP'),'WORDS').should.equal('one British pound and one penny');
+            parse('WORDS')().parse('one British pound and one penny').value.should.deep.equal(amount(1.01,'GBP'));
+            draft(amount(20.25,'BRL'),'WORDS').should.equal('twenty Brazilian reals and 25/100');
+            parse('WORDS')().parse('twenty Brazilian reals and 25/100').value.should.deep.equal(amount(20.25,'BRL'));
+        });
+        it('should draft and parse negative amounts in words', async () => {
+            draft(amount(-1500.5,'USD'),'WORDS').should.equal('minus one thousand five hundred US dollars and fifty cents');
+            parse('WORDS')().parse('minus one thousand five hundred US dollars and fifty cents').value.should.deep.equal(amount(-1500.5,'USD'));
+            draft(amount(-1500,'USD'),'CCC 0,0.00 (WORDS)').should.equal('USD -1,500.00 (minus one thousand five hundred US dollars)');
+            parse('CCC 0,0.00 (WORDS)')().parse('USD -1,500.00 (minus one thousand five hundred US dollars)').value.should.deep.equal(amount(-1500,'USD'));
+        });
+        it('should not parse different amounts in figures and in words', async () => {
+            (() => parse('CCC 0,0.00 (WORDS)')().parse('USD 1,500.00 (one thousand five hundred euros)')).should.throw('Inconsistent values for variable currencyCode');
+            (() => parse('CCC 0,0.00 (WORDS)')().parse('USD -1,500.00 (one thousand five hundred US dollars)')).should.throw('Inconsistent values for variable doubleValue');
+        });
+    });
+    describe('#validate', () => {
+        const { validate } = MonetaryAmount['org.accordproject.money.MonetaryAmount'].javascript;
+
+        it('should reject formats without a currency', async () => {
+            validate('K#,##0.00;(K#,##0.00)');
+            validate('0,0.00 k');
+            validate('WORDS');
+            (() => validate('#,##0.00')).should.throw('The format "#,##0.00" should have one of CCC, K, WORDS');
+            (() => validate('CCC 0,0.00;-0,0.00')).should.throw('should have one of CCC, K, WORDS');
+        });
+    });
+});
@@ -22,7 +22,7 @@ chai.use(require('chai-things'));
 chai.use(require('chai-as-promised'));
 
 // Basic parser constructors
-const String = require('../../lib/plugins/String');
+const String = require('../../lib/plugins/String').String;
 
 describe('#String', () => {
     describe('#parse', () => {
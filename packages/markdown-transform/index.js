@@ -21,4 +21,14 @@
 
 module.exports.formatDescriptor = require('./lib/transform').formatDescriptor;
 module.exports.transform = require('./lib/transform').transform;
-
+module.exports.fanOutTransform = require('./lib/transform').fanOutTransform;
+module.exports.planTransform = require('./lib/transform').planTransform;
+module.exports.formatTraceRecord = require('./lib/transform').formatTraceRecord;
+module.exports.generateTransformationDiagram = require('./lib/transform').generateTransformationDiagram;
+module.exports.describeTransformationGraph = require('./lib/transform').describeTransformationGraph;
+module.exports.registerFormat = require('./lib/transform').registerFormat;
+module.exports.unregisterFormat = require('./lib/transform').unregisterFormat;
+module.exports.registerTransformation = require('./lib/transform').registerTransformation;
+module.exports.unregisterTransformation = require('./lib/transform').unregisterTransformation;
+module.exports.templateCache = require('./lib/transform').templateCache;
+module.exports.validateTemplate = require('./lib/transform').validateTemplate;
@@ -0,0 +1,199 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ModelLoader = require('@accordproject/concerto-core').ModelLoader;
+const TemplateMarkTransformer = require('@accordproject/markdown-template').TemplateMarkTransformer;
+const ParserManager = require('@accordproject/markdown-template').ParserManager;
+
+/**
+ * Computes a hash for a list of strings
+ * @param {string[]} values the strings to hash
+ * @return {string} the hash
+ */
+function hash(values) {
+    const result = crypto.createHash('sha256');
+    values.forEach(value => {
+        result.update(value);
+        result.update('\0');
+    });
+    return result.digest('hex');
+}
+
+/**
+ * Caches the model managers, typed TemplateMark and parsers used by the
+ * template transformations, so that transforming many documents against the
+ * same template only loads the models and builds the parser once.
+ *
+ * Model managers are keyed by the contents of the CTO files (or their URL for
+ * remote models), templates by the model key, the template text and the
+ * template kind. Parser managers are kept with their template, for each
+ * plugin, locale and formula evaluation. Changing a local CTO file or the template text results in a new
+ * entry, but entries for remote models have to be invalidated explicitly.
+ */
+class TemplateCache {
+    /**
+     * Create an empty cache
+     */
+    constructor() {
+        this.modelManagers = new Map();
+        this.templates = new Map();
+    }
+
+    /**
+     * Returns the cache key for a list of CTO files
+     * @param {string[]} ctoFiles the CTO files (local file paths or URLs)
+     * @return {string} the cache key
+     */
+    static modelKey(ctoFiles) {
+        return hash(ctoFiles.map(ctoFile => fs.existsSync(ctoFile) ? fs.readFileSync(ctoFile, 'utf8') : ctoFile));
+    }
+
+    /**
+     * Returns the cache key for a template
+     * @param {string} modelKey the cache key for the template model
+     * @param {string} template the template text
+     * @param {string} templateKind either 'clause' or 'contract'
+     * @return {string} the cache key
+     */
+    static templateKey(modelKey, template, templateKind) {
+        return hash([modelKey, template, templateKind]);
+    }
+
+    /**
+     * Returns the model manager for a list of CTO files, loading it if needed
+     * @param {string[]} ctoFiles the CTO files (local file paths or URLs)
+     * @return {Promise<object>} the model manager
+     */
+    getModelManager(ctoFiles) {
+        const key = TemplateCache.modelKey(ctoFiles);
+        if (!this.modelManagers.has(key)) {
+            const modelManager = ModelLoader.loadModelManager(null, ctoFiles);
+            this.modelManagers.set(key, modelManager);
+            // Failures are not cached
+            modelManager.catch(() => {
+                if (this.modelManagers.get(key) === modelManager) {
+                    this.modelManagers.delete(key);
+                }
+            });
+        }
+        return this.modelManagers.get(key);
+    }
+
+    /**
+     * Returns the cache entry for a template, creating it if needed
+     * @param {object} parameters the transform parameters
+     * @param {object} [options] configuration options
+     * @return {Promise<object>} the entry, with the model manager, the TemplateMark and the parser managers
+     */
+    getTemplate(parameters, options) {
+        const modelKey = TemplateCache.modelKey(parameters.ctoFiles);
+        const key = TemplateCache.templateKey(modelKey, parameters.template, parameters.templateKind);
+        if (!this.templates.has(key)) {
+            const entry = this.getModelManager(parameters.ctoFiles).then(modelManager => {
+                const t = new TemplateMarkTransformer();
+                const templateInput = { fileName:parameters.templateFileName, content:parameters.template };
+                const templateMark = t.fromMarkdownTemplate(templateInput, modelManager, parameters.templateKind, options);
+                return { modelManager, templateMark, parserManagers: [] };
+            });
+            const template = { modelKey, entry };
+            this.templates.set(key, template);
+            // Failures are not cached
+            entry.catch(() => {
+                if (this.templates.get(key) === template) {
+                    this.templates.delete(key);
+                }
+            });
+        }
+        return this.templates.get(key).entry;
+    }
+
+    /**
+     * Returns the typed TemplateMark for a template
+     * @param {object} parameters the transform parameters
+     * @param {object} [options] configuration options
+     * @return {Promise<object>} the TemplateMark DOM
+     */
+    async getTemplateMark(parameters, options) {
+        const entry = await this.getTemplate(parameters, options);
+        return entry.templateMark;
+    }
+
+    /**
+     * Returns the parser manager for a template, plugin and parsing options. The parser
+     * itself is built on the first call to buildParser, and kept with the parser manager.
+     * @param {object} parameters the transform parameters
+     * @param {object} [options] configuration options
+     * @param {string} [options.locale] the locale for parsing and drafting variables, e.g., 'fr-FR'
+     * @param {number} [options.formulaTimeout] the time limit for evaluating a formula, in milliseconds
+     * @param {*} [options.formulaEval] function from formula code to a function from the data in scope to the formula value
+     * @return {Promise<object>} the parser manager
+     */
+    async getParserManager(parameters, options) {
+        const entry = await this.getTemplate(parameters, options);
+        const plugin = parameters.plugin ? parameters.plugin : {};
+        const key = {
+            plugin: parameters.plugin,
+            locale: options && options.locale ? options.locale : null,
+            formulaTimeout: options && options.formulaTimeout ? options.formulaTimeout : null,
+            formulaEval: options && options.formulaEval ? options.formulaEval : null,
+        };
+        const sameKey = (cached) => Object.keys(key).every(name => cached.key[name] === key[name]);
+        let cached = entry.parserManagers.find(sameKey);
+        if (!cached) {
+            const parserManager = new ParserManager(entry.modelManager, plugin, key.formulaEval, options);
+            parserManager.setTemplateMark(entry.templateMark);
+            cached = { key, parserManager };
+            entry.parserManagers.push(cached);
+        }
+        return cached.parserManager;
+    }
+
+    /**
+     * Removes entries from the cache. With a template, only the entry for
+     * that template is removed. Without, the model manager for the CTO files
+     * and every template relying on it are removed.
+     * @param {object} parameters the transform parameters
+     * @param {string[]} parameters.ctoFiles the CTO files
+     * @param {string} [parameters.template] the template text
+     * @param {string} [parameters.templateKind] either 'clause' or 'contract'
+     */
+    invalidate(parameters) {
+        const modelKey = TemplateCache.modelKey(parameters.ctoFiles);
+        if (parameters.template) {
+            this.templates.delete(TemplateCache.templateKey(modelKey, parameters.template, parameters.templateKind));
+        } else {
+            this.modelManagers.delete(modelKey);
+            this.templates.forEach((template, key) => {
+                if (template.modelKey === modelKey) {
+                    this.templates.delete(key);
+                }
+            });
+        }
+    }
+
+    /**
+     * Removes all entries from the cache
+     */
+    clear() {
+        this.modelManagers.clear();
+        this.templates.clear();
+    }
+}
+
+module.exports = TemplateCache;
@@ -19,8 +19,6 @@ const Stream = require('stream');
 const dijkstra = require('dijkstrajs');
 const find_path = dijkstra.find_path;
 
-const ModelLoader = require('@accordproject/concerto-core').ModelLoader;
-
 const CommonMarkTransformer = require('@accordproject/markdown-common').CommonMarkTransformer;
 const CiceroMarkTransformer = require('@accordproject/markdown-cicero').CiceroMarkTransformer;
 const TemplateMarkTransformer = require('@accordproject/markdown-template').TemplateMarkTransformer;
@@ -29,30 +27,53 @@ const HtmlTransformer = require('@accordproject/markdown-html').HtmlTransformer;
 const PdfTransformer = require('@accordproject/markdown-pdf').PdfTransformer;
 const DocxTransformer = require('@accordproject/markdown-docx').DocxTransformer;
 
+const TemplateCache = require('./templatecache');
+
 /**
- * The graph of transformation supported
+ * The cache for models, TemplateMark and parsers, shared across transformations
+ */
+const templateCache = new TemplateCache();
+
+/**
+ * The kinds of information which a transformation may lose
+ */
+const LOSSES = ['formatting', 'variables', 'types'];
+
+/**
+ * The weight added to the cost of a transformation for each kind of
+ * information it loses, so that the least lossy path is always preferred
+ */
+const LOSS_WEIGHT = 1000;
+
+/**
+ * The graph of transformation supported. Each transformation is either a
+ * function, or an object with a transform function, the name of the converter it
+ * relies on, the parameters it requires, a cost (defaults to 1) and the kinds of
+ * information lost by the transformation (defaults to none).
  */
-const templateToTemplateMark = async (input,parameters,options) => {
-    const t = new TemplateMarkTransformer();
-    const modelManager = await ModelLoader.loadModelManager(null, parameters.ctoFiles);
-    return t.fromMarkdownTemplate({ fileName:parameters.inputFileName, content:input }, modelManager, parameters.templateKind, options);
-};
 const transformationGraph = {
     template: {
         docs: 'Markdown template (string)',
         fileFormat: 'utf8',
-        template_tokens: (input,parameters,options) => {
-            const t = new TemplateMarkTransformer();
-            return t.toTokens({ fileName:parameters.inputFileName, content:input }, options);
+        template_tokens: {
+            converter: 'TemplateMarkTransformer.toTokens',
+            transform: (input,parameters,options) => {
+                const t = new TemplateMarkTransformer();
+                return t.toTokens({ fileName:parameters.inputFileName, content:input }, options);
+            },
         },
     },
     template_tokens: {
         docs: 'Markdown template tokens (JSON)',
         fileFormat: 'json',
-        templatemark: async (input,parameters,options) => {
-            const t = new TemplateMarkTransformer();
-            const modelManager = await ModelLoader.loadModelManager(null, parameters.ctoFiles);
-            return t.tokensToMarkdownTemplate(input, modelManager, parameters.templateKind, options);
+        templatemark: {
+            converter: 'TemplateMarkTransformer.tokensToMarkdownTemplate',
+            parameters: ['ctoFiles', 'templateKind'],
+            transform: async (input,parameters,options) => {
+                const t = new TemplateMarkTransformer();
+                const modelManager = await templateCache.getModelManager(parameters.ctoFiles);
+                return t.tokensToMarkdownTemplate(input, modelManager, parameters.templateKind, options);
+            },
         },
     },
     templatemark: {
@@ -62,214 +83,492 @@ const transformationGraph = {
     markdown: {
         docs: 'Markdown (string)',
         fileFormat: 'utf8',
-        markdown_tokens: (input,parameters,options) => {
-            const t = new TemplateMarkTransformer();
-            return t.toTokens({ fileName:parameters.inputFileName, content:input }, options);
+        markdown_tokens: {
+            converter: 'TemplateMarkTransformer.toTokens',
+            transform: (input,parameters,options) => {
+                const t = new TemplateMarkTransformer();
+                return t.toTokens({ fileName:parameters.inputFileName, content:input }, options);
+            },
         },
     },
     markdown_tokens: {
         docs: 'Markdown tokens (JSON)',
         fileFormat: 'json',
-        commonmark: async (input,parameters,options) => {
-            const t = new CommonMarkTransformer(Object.assign(options,{tagInfo: true}));
-            return t.fromTokens(input,'json');
+        commonmark: {
+            converter: 'CommonMarkTransformer.fromTokens',
+            transform: async (input,parameters,options) => {
+                const t = new CommonMarkTransformer(Object.assign(options,{tagInfo: true}));
+                return t.fromTokens(input,'json');
+            },
         },
     },
     data: {
         docs: 'Contract Data (JSON)',
         fileFormat: 'json',
-        commonmark: async (input,parameters,options) => {
-            const t = new TemplateMarkTransformer(parameters.plugin);
-            const modelManager = await ModelLoader.loadModelManager(null, parameters.ctoFiles);
-            const templateParameters = Object.assign({},parameters);
-            templateParameters.inputFileName = parameters.templateFileName;
-            const templateMark = await templateToTemplateMark(parameters.template,templateParameters,options);
-            return t.instantiateCommonMark(input, templateMark, modelManager, parameters.templateKind, options);
+        commonmark: {
+            converter: 'TemplateMarkTransformer.draftCommonMark',
+            parameters: ['template', 'ctoFiles', 'templateKind'],
+            loses: ['variables'],
+            transform: async (input,parameters,options) => {
+                const t = new TemplateMarkTransformer();
+                const parserManager = await templateCache.getParserManager(parameters, options);
+                return t.draftCommonMark(input, parserManager, parameters.templateKind, options);
+            },
         },
-        ciceromark: async (input,parameters,options) => {
-            const t = new TemplateMarkTransformer(parameters.plugin);
-            const modelManager = await ModelLoader.loadModelManager(null, parameters.ctoFiles);
-            const templateParameters = Object.assign({},parameters);
-            templateParameters.inputFileName = parameters.templateFileName;
-            const templateMark = await templateToTemplateMark(parameters.template,templateParameters,options);
-            return t.instantiateCiceroMark(input, templateMark, modelManager, parameters.templateKind, options);
+        ciceromark: {
+            converter: 'TemplateMarkTransformer.draftCiceroMark',
+            parameters: ['template', 'ctoFiles', 'templateKind'],
+            transform: async (input,parameters,options) => {
+                const t = new TemplateMarkTransformer();
+                const parserManager = await templateCache.getParserManager(parameters, options);
+                return t.draftCiceroMark(input, parserManager, parameters.templateKind, options);
+            },
         },
     },
     commonmark: {
         docs: 'CommonMark DOM (JSON)',
         fileFormat: 'json',
-        markdown: (input,parameters,options) => {
-            const commonMarkTransformer = new CommonMarkTransformer(Object.assign(options,{tagInfo: true}));
-            return commonMarkTransformer.toMarkdown(input);
+        markdown: {
+            converter: 'CommonMarkTransformer.toMarkdown',
+            transform: (input,parameters,options) => {
+                const commonMarkTransformer = new CommonMarkTransformer(Object.assign(options,{tagInfo: true}));
+                return commonMarkTransformer.toMarkdown(input, options);
+            },
         },
-        ciceromark: (input,parameters,options) => {
-            const ciceroMarkTransformer = new CiceroMarkTransformer(options);
-            return ciceroMarkTransformer.fromCommonMark(input, 'json');
+        ciceromark: {
+            converter: 'CiceroMarkTransformer.fromCommonMark',
+            transform: (input,parameters,options) => {
+                const ciceroMarkTransformer = new CiceroMarkTransformer(options);
+                return ciceroMarkTransformer.fromCommonMark(input, 'json');
+            },
         },
-        plaintext: (input,parameters,options) => {
-            const commonMarkTransformer = new CommonMarkTransformer(options);
-            const result = commonMarkTransformer.removeFormatting(input);
-            return commonMarkTransformer.toMarkdown(result);
+        plaintext: {
+            converter: 'CommonMarkTransformer.removeFormatting',
+            loses: ['formatting'],
+            transform: (input,parameters,options) => {
+                const commonMarkTransformer = new CommonMarkTransformer(options);
+                const result = commonMarkTransformer.removeFormatting(input);
+                return commonMarkTransformer.toMarkdown(result);
+            },
         },
-        data: async (input,parameters,options) => {
-            const t = new TemplateMarkTransformer(parameters.plugin);
-            const modelManager = await ModelLoader.loadModelManager(null, parameters.ctoFiles);
-            const templateParameters = Object.assign({},parameters);
-            templateParameters.inputFileName = parameters.templateFileName;
-            const templateMark = await templateToTemplateMark(parameters.template,templateParameters,options);
-            const result = await t.fromCommonMark({ fileName:parameters.inputFileName, content:input }, templateMark, modelManager, parameters.templateKind, options);
-            return result;
+        data: {
+            converter: 'TemplateMarkTransformer.fromCommonMark',
+            parameters: ['template', 'ctoFiles', 'templateKind'],
+            transform: async (input,parameters,options) => {
+                const t = new TemplateMarkTransformer();
+                const parserManager = await templateCache.getParserManager(parameters, options);
+                parserManager.buildParser();
+                return t.dataFromCommonMark({ fileName:parameters.inputFileName, content:input }, parserManager, parameters.templateKind, options);
+            },
         },
     },
     plaintext: {
         docs: 'Plain text (string)',
         fileFormat: 'utf8',
-        markdown: (input,parameters,options) => {
-            return input;
+        markdown: {
+            converter: 'identity',
+            transform: (input,parameters,options) => {
+                return input;
+            },
         },
     },
     ciceromark: {
         docs: 'CiceroMark DOM (JSON)',
         fileFormat: 'json',
-        html: (input,parameters,options) => {
-            const t = new HtmlTransformer();
-            return t.toHtml(input);
+        html: {
+            converter: 'HtmlTransformer.toHtml',
+            transform: (input,parameters,options) => {
+                const t = new HtmlTransformer();
+                return t.toHtml(input);
+            },
         },
-        ciceromark_unquoted: (input,parameters,options) => {
-            const ciceroMarkTransformer = new CiceroMarkTransformer();
-            return ciceroMarkTransformer.fromCommonMark(input, 'json', Object.assign(options,{quoteVariables: false}));
+        ciceromark_unquoted: {
+            converter: 'CiceroMarkTransformer.fromCommonMark',
+            transform: (input,parameters,options) => {
+                const ciceroMarkTransformer = new CiceroMarkTransformer();
+                return ciceroMarkTransformer.fromCommonMark(input, 'json', Object.assign(options,{quoteVariables: false}));
+            },
         },
-        ciceromark_untyped: (input,parameters,options) => {
-            const ciceroMarkTransformer = new CiceroMarkTransformer();
-            return ciceroMarkTransformer.untype(input,options);
+        ciceromark_untyped: {
+            converter: 'CiceroMarkTransformer.untype',
+            loses: ['types'],
+            transform: (input,parameters,options) => {
+                const ciceroMarkTransformer = new CiceroMarkTransformer();
+                return ciceroMarkTransformer.untype(input,options);
+            },
         },
-        commonmark: (input,parameters,options) => {
-            const ciceroMarkTransformer = new CiceroMarkTransformer();
-            return ciceroMarkTransformer.toCommonMark(input, 'json', Object.assign(options,{quoteVariables: true}));
+        commonmark: {
+            converter: 'CiceroMarkTransformer.toCommonMark',
+            loses: ['variables'],
+            transform: (input,parameters,options) => {
+                const ciceroMarkTransformer = new CiceroMarkTransformer();
+                return ciceroMarkTransformer.toCommonMark(input, 'json', Object.assign(options,{quoteVariables: true}));
+            },
         },
-        slate: (input,parameters,options) => {
-            const slateTransformer = new SlateTransformer();
-            return slateTransformer.fromCiceroMark(input);
+        slate: {
+            converter: 'SlateTransformer.fromCiceroMark',
+            transform: (input,parameters,options) => {
+                const slateTransformer = new SlateTransformer();
+                return slateTransformer.fromCiceroMark(input);
+            },
         },
-        pdf : (input, parameters, options) => {
-            const pdfTransformer = new PdfTransformer();
-            const outputStream = new Stream.Writable();
-
-            let arrayBuffer = new ArrayBuffer(8);
-            let memStore = Buffer.from(arrayBuffer);
-            outputStream._write = (chunk, encoding, next) => {
-                let buffer = (Buffer.isBuffer(chunk))
-                    ? chunk  // already is Buffer use it
-                    : new Buffer(chunk, encoding);  // string, convert
-
-                // concat to the buffer already there
-                memStore = Buffer.concat([memStore, buffer]);
-                next();
-            };
-            return new Promise( (resolve) => {
-                outputStream.on('finish', () => {
-                    resolve(memStore);
+        pdf: {
+            converter: 'PdfTransformer.toPdf',
+            cost: 2,
+            transform: (input, parameters, options) => {
+                const pdfTransformer = new PdfTransformer();
+                const outputStream = new Stream.Writable();
+
+                let arrayBuffer = new ArrayBuffer(8);
+                let memStore = Buffer.from(arrayBuffer);
+                outputStream._write = (chunk, encoding, next) => {
+                    let buffer = (Buffer.isBuffer(chunk))
+                        ? chunk  // already is Buffer use it
+                        : new Buffer(chunk, encoding);  // string, convert
+
+                    // concat to the buffer already there
+                    memStore = Buffer.concat([memStore, buffer]);
+                    next();
+                };
+                return new Promise( (resolve) => {
+                    outputStream.on('finish', () => {
+                        resolve(memStore);
+                    });
+                    pdfTransformer.toPdf(input, options, outputStream );
                 });
-                pdfTransformer.toPdf(input, options, outputStream );
-            });
+            },
         },
     },
     ciceromark_untyped: {
         docs: 'Untyped CiceroMark DOM (JSON)',
         fileFormat: 'json',
-        commonmark: (input,parameters,options) => {
-            const ciceroMarkTransformer = new CiceroMarkTransformer();
-            return ciceroMarkTransformer.toCommonMark(input, 'json', Object.assign(options,{quoteVariables: true}));
+        commonmark: {
+            converter: 'CiceroMarkTransformer.toCommonMark',
+            loses: ['variables'],
+            transform: (input,parameters,options) => {
+                const ciceroMarkTransformer = new CiceroMarkTransformer();
+                return ciceroMarkTransformer.toCommonMark(input, 'json', Object.assign(options,{quoteVariables: true}));
+            },
         },
     },
     ciceroedit: {
         docs: 'CiceroEdit (string)',
         fileFormat: 'utf8',
-        ciceromark_untyped: (input,parameters,options) => {
-            const commonMarkTransformer = new CommonMarkTransformer();
-            const ciceroMarkTransformer = new CiceroMarkTransformer();
-            const commonMark = commonMarkTransformer.fromMarkdown(input,'json');
-            return ciceroMarkTransformer.fromCommonMark(commonMark, 'json', Object.assign(options,{ciceroEdit:true}));
+        ciceromark_untyped: {
+            converter: 'CiceroMarkTransformer.fromCommonMark',
+            loses: ['types'],
+            transform: (input,parameters,options) => {
+                const commonMarkTransformer = new CommonMarkTransformer();
+                const ciceroMarkTransformer = new CiceroMarkTransformer();
+                const commonMark = commonMarkTransformer.fromMarkdown(input,'json');
+                return ciceroMarkTransformer.fromCommonMark(commonMark, 'json', Object.assign(options,{ciceroEdit:true}));
+            },
         },
     },
     ciceromark_unquoted: {
         docs: 'CiceroMark DOM (JSON) with quotes around variables removed',
         fileFormat: 'json',
-        ciceromark: (input,parameters,options) => {
-            return input;
-        }
+        ciceromark: {
+            converter: 'identity',
+            transform: (input,parameters,options) => {
+                return input;
+            },
+        },
     },
     pdf: {
         docs: 'PDF (buffer)',
         fileFormat: 'binary',
-        ciceromark: (input,parameters,options) => {
-            const pdfTransformer = new PdfTransformer();
-            return pdfTransformer.toCiceroMark(input, 'json');
+        ciceromark: {
+            converter: 'PdfTransformer.toCiceroMark',
+            cost: 2,
+            loses: ['formatting', 'variables'],
+            transform: (input,parameters,options) => {
+                const pdfTransformer = new PdfTransformer();
+                return pdfTransformer.toCiceroMark(input, 'json');
+            },
         },
     },
     docx: {
         docs: 'DOCX (buffer)',
         fileFormat: 'binary',
-        ciceromark: async (input,parameters,options) => {
-            const docxTransformer = new DocxTransformer();
-            return docxTransformer.toCiceroMark(input, 'json');
+        ciceromark: {
+            converter: 'DocxTransformer.toCiceroMark',
+            cost: 2,
+            loses: ['variables'],
+            transform: async (input,parameters,options) => {
+                const docxTransformer = new DocxTransformer();
+                return docxTransformer.toCiceroMark(input, 'json');
+            },
         },
     },
     html: {
         docs: 'HTML (string)',
         fileFormat: 'utf8',
-        ciceromark: (input,parameters,options) => {
-            const t = new HtmlTransformer();
-            return t.toCiceroMark(input, 'json');
+        ciceromark: {
+            converter: 'HtmlTransformer.toCiceroMark',
+            transform: (input,parameters,options) => {
+                const t = new HtmlTransformer();
+                return t.toCiceroMark(input, 'json');
+            },
         },
     },
     slate: {
         docs: 'Slate DOM (JSON)',
         fileFormat: 'json',
-        ciceromark: (input,parameters,options) => {
-            const slateTransformer = new SlateTransformer();
-            return slateTransformer.toCiceroMark(input, 'json');
+        ciceromark: {
+            converter: 'SlateTransformer.toCiceroMark',
+            transform: (input,parameters,options) => {
+                const slateTransformer = new SlateTransformer();
+                return slateTransformer.toCiceroMark(input, 'json');
+            },
         },
     },
 };
 
+/**
+ * Keys in a format descriptor which are meta data rather than edges in the graph
+ */
+const descriptorKeys = ['docs', 'fileFormat'];
+
+/**
+ * Whether a key in a format descriptor is an edge in the graph
+ * @param {string} key the key in the format descriptor
+ * @returns {boolean} true if the key is the name of a destination format
+ */
+function isEdge(key) {
+    return descriptorKeys.indexOf(key) === -1;
+}
+
+/**
+ * Returns the descriptor for an edge in the graph
+ * @param {function|object} edge the edge, either a transform function or an object
+ * @returns {object} the edge descriptor with its transform function, converter,
+ * required parameters, cost and losses
+ */
+function edgeDescriptor(edge) {
+    const descriptor = typeof edge === 'function' ? { transform: edge } : edge;
+    return {
+        transform: descriptor.transform,
+        converter: descriptor.converter ? descriptor.converter : 'custom',
+        parameters: descriptor.parameters ? descriptor.parameters : [],
+        cost: descriptor.cost === undefined ? 1 : descriptor.cost,
+        loses: descriptor.loses ? descriptor.loses : [],
+    };
+}
+
+/**
+ * Returns the information which must be kept by a transformation
+ * @param {object} [options] the transform options
+ * @param {boolean} [options.strict] refuse any transformation losing information
+ * @param {string[]} [options.keep] the information to keep in strict mode, defaults to all
+ * @returns {string[]} the kinds of information which cannot be lost
+ */
+function keptInformation(options) {
+    if (!options || !options.strict) {
+        return [];
+    }
+    const keep = options.keep ? options.keep : LOSSES;
+    keep.forEach(kind => {
+        if (LOSSES.indexOf(kind) === -1) {
+            throw new Error('Unknown kind of information ' + kind);
+        }
+    });
+    return keep;
+}
+
 /**
  * Prune the graph for traversal
  * @param {object} graph the input graph
+ * @param {string[]} [keep] the information which cannot be lost
  * @returns {object} the raw graph for dijsktra
  */
-function pruneGraph(graph) {
+function pruneGraph(graph, keep = []) {
     const result = {};
     for (const sourceKey in graph) {
         result[sourceKey] = {};
         for (const targetKey in graph[sourceKey]) {
             // Don't forget to remove the meta data which really isn't part of the graph
-            if (targetKey !== 'docs' && targetKey !== 'fileFormat') {
-                result[sourceKey][targetKey] = 1;
+            if (isEdge(targetKey)) {
+                const edge = edgeDescriptor(graph[sourceKey][targetKey]);
+                if (!edge.loses.some(kind => keep.indexOf(kind) !== -1)) {
+                    result[sourceKey][targetKey] = edge.cost + LOSS_WEIGHT * edge.loses.length;
+                }
             }
         }
     }
     return result;
 }
-const rawGraph = pruneGraph(transformationGraph);
+
+/**
+ * Finds the least lossy, then cheapest, path between two formats
+ * @param {string} sourceFormat the source format
+ * @param {string} destinationFormat the destination format
+ * @param {object} [options] the transform options
+ * @param {boolean} [options.strict] refuse any transformation losing information
+ * @param {string[]} [options.keep] the information to keep in strict mode, defaults to all
+ * @returns {string[]} the formats along the path
+ */
+function findPath(sourceFormat, destinationFormat, options) {
+    formatDescriptor(sourceFormat);
+    formatDescriptor(destinationFormat);
+    const keep = keptInformation(options);
+    try {
+        return find_path(pruneGraph(transformationGraph, keep), sourceFormat, destinationFormat);
+    } catch (err) {
+        if (keep.length > 0) {
+            throw new Error(`No transformation from ${sourceFormat} to ${destinationFormat} which keeps ${keep.join(', ')}`);
+        }
+        throw new Error(`No transformation from ${sourceFormat} to ${destinationFormat}`);
+    }
+}
+
+/**
+ * Registers a new format in the transformation graph
+ *
+ * @param {string} format the name of the new format
+ * @param {object} descriptor the format descriptor, which may also contain
+ * transformations from the new format indexed by destination format
+ * @param {string} descriptor.docs a description of the format
+ * @param {string} descriptor.fileFormat either 'utf8', 'json' or 'binary'
+ */
+function registerFormat(format, descriptor) {
+    if (!isEdge(format)) {
+        throw new Error('Invalid format name ' + format);
+    }
+    if (Object.prototype.hasOwnProperty.call(transformationGraph,format)) {
+        throw new Error('Format ' + format + ' is already registered');
+    }
+    if (!descriptor || typeof descriptor.docs !== 'string') {
+        throw new Error('Format ' + format + ' is missing docs');
+    }
+    if (['utf8','json','binary'].indexOf(descriptor.fileFormat) === -1) {
+        throw new Error('Format ' + format + ' has unknown file format ' + descriptor.fileFormat);
+    }
+    transformationGraph[format] = {
+        docs: descriptor.docs,
+        fileFormat: descriptor.fileFormat,
+    };
+    try {
+        Object.keys(descriptor).filter(isEdge).forEach(destination => {
+            registerTransformation(format, destination, descriptor[destination]);
+        });
+    } catch (err) {
+        delete transformationGraph[format];
+        throw err;
+    }
+}
+
+/**
+ * Removes a format from the transformation graph, including all the
+ * transformations to or from that format
+ *
+ * @param {string} format the name of the format
+ */
+function unregisterFormat(format) {
+    formatDescriptor(format);
+    delete transformationGraph[format];
+    Object.keys(transformationGraph).forEach(source => {
+        delete transformationGraph[source][format];
+    });
+}
+
+/**
+ * Registers a new transformation (edge) in the transformation graph,
+ * replacing any existing transformation between the same two formats
+ *
+ * @param {string} sourceFormat the source format
+ * @param {string} destinationFormat the destination format
+ * @param {function|object} transformation the transformation, either a function
+ * taking (input,parameters,options) and returning the result or a Promise to the result,
+ * or an object with that function as transform, a cost and the kinds of information it loses
+ * @param {function} transformation.transform the transform function
+ * @param {string} [transformation.converter] the name of the converter used by the transformation
+ * @param {string[]} [transformation.parameters] the transform parameters required by the transformation
+ * @param {number} [transformation.cost] the cost of the transformation, defaults to 1
+ * @param {string[]} [transformation.loses] the kinds of information lost by the
+ * transformation: 'formatting', 'variables' or 'types'
+ */
+function registerTransformation(sourceFormat, destinationFormat, transformation) {
+    const sourceNode = formatDescriptor(sourceFormat);
+    formatDescriptor(destinationFormat);
+    const edge = transformation ? edgeDescriptor(transformation) : {};
+    if (typeof edge.transform !== 'function') {
+        throw new Error(`Transformation from ${sourceFormat} to ${destinationFormat} must be a function`);
+    }
+    if (typeof edge.cost !== 'number' || edge.cost < 0 || edge.cost >= LOSS_WEIGHT) {
+        throw new Error(`Transformation from ${sourceFormat} to ${destinationFormat} has invalid cost ${edge.cost}`);
+    }
+    edge.loses.forEach(kind => {
+        if (LOSSES.indexOf(kind) === -1) {
+            throw new Error(`Transformation from ${sourceFormat} to ${destinationFormat} loses unknown kind of information ${kind}`);
+        }
+    });
+    if (!Array.isArray(edge.parameters) || edge.parameters.some(parameter => typeof parameter !== 'string')) {
+        throw new Error(`Transformation from ${sourceFormat} to ${destinationFormat} has invalid parameters`);
+    }
+    sourceNode[destinationFormat] = transformation;
+}
+
+/**
+ * Removes a transformation (edge) from the transformation graph
+ *
+ * @param {string} sourceFormat the source format
+ * @param {string} destinationFormat the destination format
+ */
+function unregisterTransformation(sourceFormat, destinationFormat) {
+    const sourceNode = formatDescriptor(sourceFormat);
+    if (!isEdge(destinationFormat) || !Object.prototype.hasOwnProperty.call(sourceNode,destinationFormat)) {
+        throw new Error(`No transformation from ${sourceFormat} to ${destinationFormat}`);
+    }
+    delete sourceNode[destinationFormat];
+}
+
+/**
+ * Describes the graph of transformations as plain data, with every format
+ * and every transformation between formats
+ * @returns {object} the description, with a list of formats (name, docs and
+ * file format) and a list of transformations (source, destination, converter,
+ * parameters, cost and information lost)
+ */
+function describeTransformationGraph() {
+    const formats = [];
+    const transformations = [];
+    Object.keys(transformationGraph).forEach(src => {
+        const descriptor = transformationGraph[src];
+        formats.push({ name: src, docs: descriptor.docs, fileFormat: descriptor.fileFormat });
+        Object.keys(descriptor).forEach(dest => {
+            if(isEdge(dest)) {
+                const edge = edgeDescriptor(descriptor[dest]);
+                transformations.push({
+                    source: src,
+                    destination: dest,
+                    converter: edge.converter,
+                    parameters: edge.parameters,
+                    cost: edge.cost,
+                    loses: edge.loses,
+                });
+            }
+        });
+    });
+    return { formats, transformations };
+}
 
 /**
  * Converts the graph of transformations into a PlantUML text string
+ * @param {object} graph the description of the graph
  * @returns {string} the PlantUML string
  */
-function generateTransformationDiagram() {
+function toPlantUML(graph) {
     let result = `@startuml
 hide empty description
 
 `;
 
-    Object.keys(transformationGraph).forEach(src => {
-        result += `${src} : \n`;
-        result += `${src} : ${transformationGraph[src].docs}\n`;
-        Object.keys(transformationGraph[src]).forEach(dest => {
-            if(dest !== 'docs' && dest !== 'fileFormat') {
-                result += `${src} --> ${dest}\n`;
-            }
+    graph.formats.forEach(format => {
+        result += `${format.name} : \n`;
+        result += `${format.name} : ${format.docs}\n`;
+        graph.transformations.filter(t => t.source === format.name).forEach(t => {
+            result += `${t.source} --> ${t.destination}\n`;
         });
         result += '\n';
     });
@@ -279,48 +578,249 @@ hide empty description
 }
 
 /**
- * Transforms from a source format to a single destination format or
- * throws an exception if the transformation is not possible.
+ * Converts the graph of transformations into a Graphviz DOT text string
+ * @param {object} graph the description of the graph
+ * @returns {string} the DOT string
+ */
+function toDot(graph) {
+    const quote = text => text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    let result = 'digraph transformations {\n';
+    graph.formats.forEach(format => {
+        result += `  "${quote(format.name)}" [label="${quote(format.name)}\\n${quote(format.docs)}"];\n`;
+    });
+    graph.transformations.forEach(t => {
+        result += `  "${quote(t.source)}" -> "${quote(t.destination)}";\n`;
+    });
+    result += '}';
+    return result;
+}
+
+/**
+ * Converts the graph of transformations into a Mermaid text string
+ * @param {object} graph the description of the graph
+ * @returns {string} the Mermaid string
+ */
+function toMermaid(graph) {
+    const quote = text => text.replace(/"/g, '#quot;');
+    // Node identifiers are restricted to word characters
+    const id = name => name.replace(/\W/g, '_');
+    let result = 'graph LR\n';
+    graph.formats.forEach(format => {
+        result += `  ${id(format.name)}["${quote(format.name)}<br/>${quote(format.docs)}"]\n`;
+    });
+    graph.transformations.forEach(t => {
+        result += `  ${id(t.source)} --> ${id(t.destination)}\n`;
+    });
+    return result.trim();
+}
+
+/**
+ * The diagram formats supported by generateTransformationDiagram
+ */
+const diagramFormats = {
+    plantuml: toPlantUML,
+    dot: toDot,
+    mermaid: toMermaid,
+    json: graph => JSON.stringify(graph, null, 2),
+};
+
+/**
+ * Converts the graph of transformations into a diagram
+ * @param {string} [format] the diagram format, one of 'plantuml' (default), 'dot', 'mermaid' or 'json'
+ * @returns {string} the diagram
+ */
+function generateTransformationDiagram(format = 'plantuml') {
+    if (!Object.prototype.hasOwnProperty.call(diagramFormats, format)) {
+        throw new Error(`Unknown diagram format ${format}, should be one of ${Object.keys(diagramFormats).join(', ')}`);
+    }
+    return diagramFormats[format](describeTransformationGraph());
+}
+
+/**
+ * Plans the transformation from a source format to a list of destination formats
+ * without running it, or throws an exception if the transformation is not possible.
  *
- * @param {*} source the input for the transformation
- * @param {string} sourceFormat the input format
- * @param {string} destinationFormat the destination format
- * @param {object} parameters the transform parameters
+ * @param {string} sourceFormat the source format
+ * @param {string[]} destinationFormat the destination format as an array,
+ * the transformation are applied in order to reach all formats in the array
  * @param {object} [options] the transform options
- * @param {boolean} [options.verbose] output verbose console logs
- * @returns {*} result of the transformation
+ * @param {boolean} [options.strict] refuse any path which loses information
+ * @param {string[]} [options.keep] the information to keep in strict mode,
+ * among 'formatting', 'variables' and 'types', defaults to all of them
+ * @returns {object} the plan, with the path through the graph, one step for each
+ * transformation along that path, and the parameters required and information lost
+ * by the whole transformation
  */
-async function transformToDestination(source, sourceFormat, destinationFormat, parameters, options) {
-    let result = source;
+function planTransform(sourceFormat, destinationFormat, options) {
+    const steps = [];
+    let currentSourceFormat = sourceFormat;
+    destinationFormat.forEach(destination => {
+        const path = findPath(currentSourceFormat, destination, options);
+        for(let n=0; n < path.length-1; n++) {
+            const edge = edgeDescriptor(transformationGraph[path[n]][path[n+1]]);
+            steps.push({
+                source: path[n],
+                destination: path[n+1],
+                converter: edge.converter,
+                parameters: edge.parameters,
+                cost: edge.cost,
+                loses: edge.loses,
+            });
+        }
+        currentSourceFormat = destination;
+    });
 
-    const path = find_path(rawGraph, sourceFormat, destinationFormat);
-    for(let n=0; n < path.length-1; n++) {
-        const src = path[n];
-        const dest = path[n+1];
-        const srcNode = transformationGraph[src];
-        const destinationNode = transformationGraph[dest];
-        result = await srcNode[dest](result,parameters,options);
-        if(options && options.verbose) {
-            console.log(`Converted from ${src} to ${dest}. Result:`);
-            if(destinationNode.fileFormat !== 'binary') {
-                if(typeof result === 'object') {
-                    console.log(JSON.stringify(result, null, 2));
-                } else {
-                    console.log(result);
-                }
+    const parameters = [];
+    steps.forEach(step => {
+        step.parameters.forEach(parameter => {
+            if (parameters.indexOf(parameter) === -1) {
+                parameters.push(parameter);
             }
-            else {
-                console.log(`<binary ${dest} data>`);
-            }
-        }
+        });
+    });
+    const loses = LOSSES.filter(kind => steps.some(step => step.loses.indexOf(kind) !== -1));
+
+    return {
+        path: [sourceFormat].concat(steps.map(step => step.destination)),
+        steps,
+        parameters,
+        loses,
+    };
+}
+
+/**
+ * Estimates the size of a result once serialized
+ *
+ * @param {*} result the result
+ * @returns {number} the estimated size in bytes
+ */
+function serializedSize(result) {
+    if (Buffer.isBuffer(result)) {
+        return result.length;
+    } else if (typeof result === 'string') {
+        return Buffer.byteLength(result, 'utf8');
+    } else if (result === undefined) {
+        return 0;
+    } else {
+        return Buffer.byteLength(JSON.stringify(result), 'utf8');
     }
+}
 
+/**
+ * Formats a record from a transformation trace as a string
+ *
+ * @param {object} record the record for one step in the transformation
+ * @returns {string} the record as a string, including the result of the step
+ */
+function formatTraceRecord(record) {
+    const timing = `in ${record.duration.toFixed(3)}ms`;
+    if (record.error) {
+        return `Failed to convert from ${record.source} to ${record.destination} ${timing}: ${record.error.message}`;
+    }
+    let result = `Converted from ${record.source} to ${record.destination} ${timing} (${record.size} bytes). Result:\n`;
+    if(record.fileFormat !== 'binary') {
+        if(typeof record.result === 'object') {
+            result += JSON.stringify(record.result, null, 2);
+        } else {
+            result += record.result;
+        }
+    }
+    else {
+        result += `<binary ${record.destination} data>`;
+    }
     return result;
 }
 
+/**
+ * Checks that the transform parameters include all the parameters required
+ * along a transformation plan, or throws an exception listing every missing
+ * parameter along with the transformation which requires it.
+ *
+ * @param {object} plan the transformation plan
+ * @param {object} parameters the transform parameters
+ */
+function validateParameters(plan, parameters) {
+    const missing = [];
+    plan.steps.forEach(step => {
+        step.parameters.forEach(parameter => {
+            if (parameters[parameter] === undefined || parameters[parameter] === null) {
+                missing.push({ source: step.source, destination: step.destination, parameter });
+            }
+        });
+    });
+    if (missing.length > 0) {
+        const messages = [];
+        plan.steps.forEach(step => {
+            const stepMissing = missing.filter(m => m.source === step.source && m.destination === step.destination);
+            if (stepMissing.length > 0) {
+                messages.push(`${step.source} -> ${step.destination} requires ${stepMissing.map(m => m.parameter).join(', ')}`);
+            }
+        });
+        const error = new Error('Missing transform parameters: ' + messages.join('; '));
+        error.missing = missing;
+        throw error;
+    }
+}
+
+/**
+ * Runs one step of a transformation plan
+ *
+ * @param {*} input the input for that step
+ * @param {object} step the step in the transformation plan
+ * @param {object} parameters the transform parameters
+ * @param {object} [options] the transform options
+ * @param {boolean} [options.verbose] output verbose console logs
+ * @param {boolean} [options.trace] measure the size of the result
+ * @returns {object} the trace record for that step, with either its result or its error
+ */
+async function transformStep(input, step, parameters, options) {
+    const record = {
+        source: step.source,
+        destination: step.destination,
+        converter: step.converter,
+        fileFormat: transformationGraph[step.destination].fileFormat,
+    };
+    const start = process.hrtime();
+    try {
+        record.result = await edgeDescriptor(transformationGraph[step.source][step.destination]).transform(input,parameters,options);
+    } catch (err) {
+        record.error = err;
+    }
+    const elapsed = process.hrtime(start);
+    record.duration = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+    if (!record.error && options && (options.trace || options.verbose)) {
+        record.size = serializedSize(record.result);
+    }
+    if(options && options.verbose) {
+        console.log(formatTraceRecord(record));
+    }
+    return record;
+}
+
+/**
+ * Wraps the error from a step in a transformation with the context of that step
+ *
+ * @param {object} record the trace record for the step which failed
+ * @param {number} index the index of the step in its transformation plan
+ * @param {number} length the number of steps in its transformation plan
+ * @param {*} input the input for that step
+ * @param {object[]} trace the trace so far
+ * @returns {Error} the wrapped error
+ */
+function stepError(record, index, length, input, trace) {
+    const error = new Error(`Failed to transform from ${record.source} to ${record.destination} (step ${index+1} of ${length}): ${record.error.message}`);
+    error.source = record.source;
+    error.destination = record.destination;
+    error.input = input;
+    error.cause = record.error;
+    error.trace = trace;
+    return error;
+}
+
 /**
  * Transforms from a source format to a list of destination formats, or
- * throws an exception if the transformation is not possible.
+ * throws an exception if the transformation is not possible. The parameters
+ * required along the whole transformation are checked before running it.
  *
  * @param {*} source the input for the transformation
  * @param {string} sourceFormat the input format
@@ -329,7 +829,15 @@ async function transformToDestination(source, sourceFormat, destinationFormat, p
  * @param {object} parameters the transform parameters
  * @param {object} [options] the transform options
  * @param {boolean} [options.verbose] output verbose console logs
- * @returns {Promise} result of the transformation
+ * @param {boolean} [options.strict] refuse any path which loses information
+ * @param {string[]} [options.keep] the information to keep in strict mode,
+ * among 'formatting', 'variables' and 'types', defaults to all of them
+ * @param {boolean} [options.trace] return a trace of the transformation along with
+ * its result, and wrap any error with the step where it happened
+ * @param {string} [options.locale] the locale for parsing and drafting template variables, e.g., 'fr-FR'
+ * @param {number} [options.formulaTimeout] the time limit for evaluating a template formula, in milliseconds
+ * @returns {Promise} result of the transformation, or an object with the result and
+ * the trace (one record per step) if options.trace is set
  */
 async function transform(source, sourceFormat, destinationFormat, parameters, options) {
     let result = source;
@@ -339,14 +847,73 @@ async function transform(source, sourceFormat, destinationFormat, parameters, op
         options.source = source;
     }
 
-    let currentSourceFormat = sourceFormat;
+    const plan = planTransform(sourceFormat, destinationFormat, options);
+    validateParameters(plan, parameters);
+    const trace = [];
+    for(let i=0; i < plan.steps.length; i++) {
+        const step = plan.steps[i];
+        const record = await transformStep(result, step, parameters, options);
+        trace.push(record);
+        if (record.error) {
+            throw options.trace ? stepError(record, i, plan.steps.length, result, trace) : record.error;
+        }
+        result = record.result;
+    }
+    return options.trace ? { result, trace } : result;
+}
 
-    for(let i=0; i < destinationFormat.length; i++) {
-        let destination = destinationFormat[i];
-        result = await transformToDestination(result, currentSourceFormat, destination, parameters, options);
-        currentSourceFormat = destination;
+/**
+ * Transforms from a source format to several destination formats in one pass, or
+ * throws an exception if one of the transformations is not possible. Intermediate
+ * results shared by several destinations (e.g. the CiceroMark DOM) are only computed once.
+ *
+ * @param {*} source the input for the transformation
+ * @param {string} sourceFormat the input format
+ * @param {string[]} destinationFormats the destination formats
+ * @param {object} parameters the transform parameters
+ * @param {object} [options] the transform options
+ * @param {boolean} [options.verbose] output verbose console logs
+ * @param {boolean} [options.strict] refuse any path which loses information
+ * @param {string[]} [options.keep] the information to keep in strict mode,
+ * among 'formatting', 'variables' and 'types', defaults to all of them
+ * @param {boolean} [options.trace] return a trace of the transformation along with
+ * its result, and wrap any error with the step where it happened
+ * @returns {Promise} an object with the result for each destination format, or an object
+ * with those results and the trace (one record per step) if options.trace is set
+ */
+async function fanOutTransform(source, sourceFormat, destinationFormats, parameters, options) {
+    options = options ? options : {};
+    parameters = parameters ? parameters : {};
+    if (sourceFormat === 'markdown') {
+        options.source = source;
     }
-    return result;
+
+    // Plan everything first, so we fail before running anything
+    const plans = destinationFormats.map(destination => planTransform(sourceFormat, [destination], options));
+    plans.forEach(plan => validateParameters(plan, parameters));
+    // Intermediate results, indexed by the path which led to them
+    const intermediates = {};
+    const trace = [];
+    const results = {};
+    for(let i=0; i < plans.length; i++) {
+        const plan = plans[i];
+        let result = source;
+        for(let n=0; n < plan.steps.length; n++) {
+            const key = plan.path.slice(0, n+2).join(' -> ');
+            if (!Object.prototype.hasOwnProperty.call(intermediates, key)) {
+                // Each step gets its own options, since some transformations modify them
+                const record = await transformStep(result, plan.steps[n], parameters, Object.assign({}, options));
+                trace.push(record);
+                if (record.error) {
+                    throw options.trace ? stepError(record, n, plan.steps.length, result, trace) : record.error;
+                }
+                intermediates[key] = record.result;
+            }
+            result = intermediates[key];
+        }
+        results[destinationFormats[i]] = result;
+    }
+    return options.trace ? { result: results, trace } : results;
 }
 
 /**
@@ -363,7 +930,34 @@ function formatDescriptor(format) {
     }
 }
 
+/**
+ * Check a template against its model, and the formats of its variables
+ *
+ * @param {object} parameters the transform parameters
+ * @param {string} parameters.template the template text
+ * @param {string} [parameters.templateFileName] the name of the template file
+ * @param {string[]} parameters.ctoFiles the CTO files for the template model
+ * @param {string} parameters.templateKind either 'clause' or 'contract'
+ * @param {object} [parameters.plugin] the parser plugin
+ * @return {Promise<object[]>} the problems, each with its message and source position
+ */
+async function validateTemplate(parameters) {
+    const modelManager = await templateCache.getModelManager(parameters.ctoFiles);
+    const t = new TemplateMarkTransformer(parameters.plugin ? parameters.plugin : {});
+    return t.validateTemplate({ fileName:parameters.templateFileName, content:parameters.template }, modelManager, parameters.templateKind);
+}
+
 module.exports.formatDescriptor = formatDescriptor;
 module.exports.transform = transform;
+module.exports.fanOutTransform = fanOutTransform;
+module.exports.planTransform = planTransform;
+module.exports.formatTraceRecord = formatTraceRecord;
 module.exports.transformationGraph = transformationGraph;
 module.exports.generateTransformationDiagram = generateTransformationDiagram;
+module.exports.describeTransformationGraph = describeTransformationGraph;
+module.exports.registerFormat = registerFormat;
+module.exports.unregisterFormat = unregisterFormat;
+module.exports.registerTransformation = registerTransformation;
+module.exports.unregisterTransformation = unregisterTransformation;
+module.exports.templateCache = templateCache;
+module.exports.validateTemplate = validateTemplate;
@@ -16,6 +16,7 @@
 
 const chai = require('chai');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 chai.use(require('chai-string'));
 
@@ -25,7 +26,19 @@ chai.use(require('chai-as-promised'));
 
 const transform = require('../lib/transform').transform;
 const generateTransformationDiagram = require('../lib/transform').generateTransformationDiagram;
+const describeTransformationGraph = require('../lib/transform').describeTransformationGraph;
+const transformationGraph = require('../lib/transform').transformationGraph;
 const formatDescriptor = require('../lib/transform').formatDescriptor;
+const fanOutTransform = require('../lib/transform').fanOutTransform;
+const planTransform = require('../lib/transform').planTransform;
+const formatTraceRecord = require('../lib/transform').formatTraceRecord;
+const registerFormat = require('../lib/transform').registerFormat;
+const unregisterFormat = require('../lib/transform').unregisterFormat;
+const registerTransformation = require('../lib/transform').registerTransformation;
+const unregisterTransformation = require('../lib/transform').unregisterTransformation;
+const templateCache = require('../lib/transform').templateCache;
+const validateTemplate = require('../lib/transform').validateTemplate;
+const TemplateCache = require('../lib/templatecache');
 
 /**
  * Prepare the text for parsing (normalizes new lines, etc)
@@ -230,6 +243,110 @@ describe('#template1', () => {
         });
     });
 
+    describe('#validateTemplate', () => {
+        it('should find no problem in a valid template', async () => {
+            (await validateTemplate(parameters)).should.deep.equal([]);
+        });
+
+        it('should report the problems in a template', async () => {
+            const template = parameters.template.replace('{{buyer}}', '{{vendor}}').replace('{{amount}}', '{{amount as "YYYY"}}');
+            const problems = await validateTemplate(Object.assign({}, parameters, { template, templateFileName: 'grammar.tem.md' }));
+            problems.map(problem => problem.message).should.deep.equal(['Unknown property vendor', 'The format "YYYY" has no number pattern, e.g., "#,##0.00"']);
+            problems[0].fileName.should.equal('grammar.tem.md');
+            problems[0].startPos.should.deep.equal({ line: 1, column: 43, offset: 42 });
+        });
+    });
+
+    describe('#cache', () => {
+        it('reuses the TemplateMark and parser across transformations', async () => {
+            const sample1 = fs.readFileSync('./test/data/template1/sample.md', 'utf8');
+            await transform(sample1, 'markdown', ['data'], parameters, {});
+            const templateMark = await templateCache.getTemplateMark(parameters);
+            const parserManager = await templateCache.getParserManager(parameters);
+            const parser = parserManager.getParser();
+            const data1 = await transform(sample1, 'markdown', ['data'], parameters, {});
+            data1.seller.should.equal('Steve');
+            (await templateCache.getTemplateMark(parameters)).should.equal(templateMark);
+            (await templateCache.getParserManager(parameters)).getParser().should.equal(parser);
+        });
+
+        it('uses a separate parser for each locale', async () => {
+            const parserManager = await templateCache.getParserManager(parameters, {});
+            const localeParserManager = await templateCache.getParserManager(parameters, { locale: 'de-DE' });
+            localeParserManager.should.not.equal(parserManager);
+            (await templateCache.getParserManager(parameters, { locale: 'de-DE' })).should.equal(localeParserManager);
+        });
+
+        it('drafts and parses with the locale of the transformation', async () => {
+            const localeParameters = Object.assign({}, parameters, { template: parameters.template.replace('{{amount}}', '{{amount as "#,##0.00"}}') });
+            const data = { $class: 'org.test.MyClause', clauseId: '1', seller: 'Steve', buyer: 'Betty', amount: 1234.5, currency: 'EUR', forceMajeure: false };
+            const markdown = await transform(data, 'data', ['markdown'], localeParameters, { locale: 'de-DE' });
+            markdown.should.contain('1.234,50 EUR');
+            (await transform(markdown, 'markdown', ['data'], localeParameters, { locale: 'de-DE' })).amount.should.equal(1234.5);
+        });
+
+        it('rebuilds the TemplateMark once invalidated', async () => {
+            const templateMark = await templateCache.getTemplateMark(parameters);
+            templateCache.invalidate(parameters);
+            const newTemplateMark = await templateCache.getTemplateMark(parameters);
+            newTemplateMark.should.not.equal(templateMark);
+            newTemplateMark.should.deep.equal(templateMark);
+        });
+
+        it('uses a separate entry for a different template', async () => {
+            const templateMark = await templateCache.getTemplateMark(parameters);
+            const otherParameters = Object.assign({}, parameters, { template: parameters.template + '\n' });
+            (await templateCache.getTemplateMark(otherParameters)).should.not.equal(templateMark);
+            (await templateCache.getTemplateMark(parameters)).should.equal(templateMark);
+        });
+    });
+});
+
+describe('#templateCache', () => {
+    let cache;
+    let ctoFile;
+    beforeEach(() => {
+        cache = new TemplateCache();
+        ctoFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-transform-')), 'model.cto');
+        fs.writeFileSync(ctoFile, 'namespace org.test\n\nasset MyAsset identified by assetId {\n  o String assetId\n}\n');
+    });
+
+    afterEach(() => {
+        fs.unlinkSync(ctoFile);
+        fs.rmdirSync(path.dirname(ctoFile));
+    });
+
+    it('reuses the model manager for the same models', async () => {
+        const modelManager = await cache.getModelManager([ctoFile]);
+        modelManager.getType('org.test.MyAsset').getName().should.equal('MyAsset');
+        (await cache.getModelManager([ctoFile])).should.equal(modelManager);
+    });
+
+    it('loads a new model manager when the models change', async () => {
+        const modelManager = await cache.getModelManager([ctoFile]);
+        fs.appendFileSync(ctoFile, '\nasset MyOtherAsset identified by assetId {\n  o String assetId\n}\n');
+        const newModelManager = await cache.getModelManager([ctoFile]);
+        newModelManager.should.not.equal(modelManager);
+        newModelManager.getType('org.test.MyOtherAsset').getName().should.equal('MyOtherAsset');
+    });
+
+    it('reloads the model manager once invalidated', async () => {
+        const modelManager = await cache.getModelManager([ctoFile]);
+        cache.invalidate({ ctoFiles: [ctoFile] });
+        (await cache.getModelManager([ctoFile])).should.not.equal(modelManager);
+    });
+
+    it('reloads the model manager once cleared', async () => {
+        const modelManager = await cache.getModelManager([ctoFile]);
+        cache.clear();
+        (await cache.getModelManager([ctoFile])).should.not.equal(modelManager);
+    });
+
+    it('does not keep models which failed to load', async () => {
+        fs.writeFileSync(ctoFile, 'namespace org.test\n\nasset MyAsset {\n');
+        await cache.getModelManager([ctoFile]).should.be.rejected;
+        cache.modelManagers.size.should.equal(0);
+    });
 });
 
 describe('#sample', () => {
@@ -266,6 +383,86 @@ describe('#generateTransformationDiagram', () => {
         const result = generateTransformationDiagram();
         result.trim().should.startWith('@startuml');
     });
+
+    it('converts graph to PlantUML diagram (explicit)', () => {
+        const result = generateTransformationDiagram('plantuml');
+        result.should.equal(generateTransformationDiagram());
+        result.should.contain('markdown : Markdown (string)\nmarkdown --> markdown_tokens\n');
+    });
+
+    it('converts graph to DOT diagram', () => {
+        const result = generateTransformationDiagram('dot');
+        result.should.startWith('digraph transformations {\n');
+        result.should.contain('  "markdown" [label="markdown\\nMarkdown (string)"];\n');
+        result.should.contain('  "markdown" -> "markdown_tokens";\n');
+        result.should.endWith('}');
+    });
+
+    it('converts graph to Mermaid diagram', () => {
+        const result = generateTransformationDiagram('mermaid');
+        result.should.startWith('graph LR\n');
+        result.should.contain('  markdown["markdown<br/>Markdown (string)"]\n');
+        result.should.contain('  markdown --> markdown_tokens\n');
+    });
+
+    it('converts graph to JSON', () => {
+        const result = JSON.parse(generateTransformationDiagram('json'));
+        result.should.deep.equal(describeTransformationGraph());
+    });
+
+    it('fails to convert graph to an unknown diagram format', () => {
+        (() => generateTransformationDiagram('svg')).should.throw('Unknown diagram format svg, should be one of plantuml, dot, mermaid, json');
+    });
+});
+
+describe('#describeTransformationGraph', () => {
+    it('describes every format', () => {
+        const result = describeTransformationGraph();
+        result.formats.length.should.equal(Object.keys(transformationGraph).length);
+        result.formats.should.include.something.that.deep.equals({ name: 'commonmark', docs: 'CommonMark DOM (JSON)', fileFormat: 'json' });
+    });
+
+    it('describes every transformation', () => {
+        const result = describeTransformationGraph();
+        result.transformations.should.include.something.that.deep.equals({
+            source: 'commonmark',
+            destination: 'plaintext',
+            converter: 'CommonMarkTransformer.removeFormatting',
+            parameters: [],
+            cost: 1,
+            loses: ['formatting'],
+        });
+        result.transformations.should.include.something.that.deep.equals({
+            source: 'commonmark',
+            destination: 'data',
+            converter: 'TemplateMarkTransformer.fromCommonMark',
+            parameters: ['template', 'ctoFiles', 'templateKind'],
+            cost: 1,
+            loses: [],
+        });
+    });
+
+    it('describes registered formats', () => {
+        registerFormat('outline', {
+            docs: 'Outline (string)',
+            fileFormat: 'utf8',
+            markdown: (input,parameters,options) => input,
+        });
+        try {
+            const result = describeTransformationGraph();
+            result.formats.should.include.something.that.deep.equals({ name: 'outline', docs: 'Outline (string)', fileFormat: 'utf8' });
+            result.transformations.should.include.something.that.deep.equals({
+                source: 'outline',
+                destination: 'markdown',
+                converter: 'custom',
+                parameters: [],
+                cost: 1,
+                loses: [],
+            });
+        } finally {
+            unregisterFormat('outline');
+        }
+    });
 });
 
 describe('#formatDescriptor', () => {
@@ -278,3 +475,328 @@ describe('#formatDescriptor', () => {
         (() => formatDescriptor('foobar')).should.throw('Unknown format foobar');
     });
 });
+
+describe('#fanOutTransform', () => {
+    it('transforms to several formats, sharing intermediate results', async () => {
+        const result = await fanOutTransform(acceptanceMarkdown, 'markdown', ['html', 'slate', 'commonmark'], {}, {trace: true});
+        Object.keys(result.result).should.deep.equal(['html', 'slate', 'commonmark']);
+        result.result.html.should.equal(await transform(acceptanceMarkdown, 'markdown', ['html'], {}, {}));
+        result.result.slate.should.deep.equal(await transform(acceptanceMarkdown, 'markdown', ['slate'], {}, {}));
+        result.result.commonmark.should.deep.equal(acceptanceCommonMark);
+        result.trace.map(record => `${record.source} -> ${record.destination}`).should.deep.equal([
+            'markdown -> markdown_tokens',
+            'markdown_tokens -> commonmark',
+            'commonmark -> ciceromark',
+            'ciceromark -> html',
+            'ciceromark -> slate',
+        ]);
+    });
+
+    it('transforms to several formats without trace', async () => {
+        const result = await fanOutTransform(acceptanceCiceroMarkParsed, 'ciceromark', ['html', 'slate']);
+        result.html.should.equal(acceptanceHtml);
+        result.slate.should.deep.equal(acceptanceSlate);
+    });
+
+    it('fails before running anything if one of the transformations is not possible', async () => {
+        return fanOutTransform(acceptanceCiceroMarkParsed, 'ciceromark', ['html', 'plaintext'], {}, {strict: true})
+            .should.be.rejectedWith('No transformation from ciceromark to plaintext which keeps formatting, variables, types');
+    });
+});
+
+describe('#planTransform', () => {
+    it('plans a transformation through intermediate formats', () => {
+        const plan = planTransform('markdown', ['data','ciceromark']);
+        plan.path.should.deep.equal(['markdown', 'markdown_tokens', 'commonmark', 'data', 'ciceromark']);
+        plan.steps.length.should.equal(4);
+        plan.steps[2].source.should.equal('commonmark');
+        plan.steps[2].destination.should.equal('data');
+        plan.steps[2].converter.should.equal('TemplateMarkTransformer.fromCommonMark');
+        plan.steps[3].converter.should.equal('TemplateMarkTransformer.draftCiceroMark');
+        plan.steps[2].parameters.should.deep.equal(['template', 'ctoFiles', 'templateKind']);
+        plan.parameters.should.deep.equal(['template', 'ctoFiles', 'templateKind']);
+        plan.loses.should.deep.equal([]);
+    });
+
+    it('names the converters of the drafting transformations', () => {
+        planTransform('data', ['commonmark']).steps[0].converter.should.equal('TemplateMarkTransformer.draftCommonMark');
+        planTransform('data', ['ciceromark']).steps[0].converter.should.equal('TemplateMarkTransformer.draftCiceroMark');
+    });
+
+    it('plans a transformation which loses information', () => {
+        const plan = planTransform('ciceromark', ['plaintext']);
+        plan.path.should.deep.equal(['ciceromark', 'commonmark', 'plaintext']);
+        plan.steps[0].loses.should.deep.equal(['variables']);
+        plan.steps[1].loses.should.deep.equal(['formatting']);
+        plan.parameters.should.deep.equal([]);
+        plan.loses.should.deep.equal(['formatting', 'variables']);
+    });
+
+    it('plans an empty transformation', () => {
+        const plan = planTransform('ciceromark', []);
+        plan.path.should.deep.equal(['ciceromark']);
+        plan.steps.should.deep.equal([]);
+    });
+
+    it('fails to plan a transformation to an unknown format', () => {
+        (() => planTransform('ciceromark', ['foobar'])).should.throw('Unknown format foobar');
+    });
+
+    it('fails to plan a transformation without a path', () => {
+        (() => planTransform('templatemark', ['markdown'])).should.throw('No transformation from templatemark to markdown');
+    });
+});
+
+describe('#parameters', () => {
+    it('fails before running anything if parameters are missing', async () => {
+        return transform(acceptanceMarkdown, 'markdown', ['data'], { templateKind: 'clause' }, {})
+            .should.be.rejectedWith('Missing transform parameters: commonmark -> data requires template, ctoFiles');
+    });
+
+    it('reports every missing parameter along the path', async () => {
+        try {
+            await transform(acceptanceMarkdown, 'markdown', ['data', 'commonmark'], {}, {});
+            throw new Error('should have failed');
+        } catch (err) {
+            err.message.should.equal('Missing transform parameters: commonmark -> data requires template, ctoFiles, templateKind; data -> commonmark requires template, ctoFiles, templateKind');
+            err.missing.length.should.equal(6);
+            err.missing[0].should.deep.equal({ source: 'commonmark', destination: 'data', parameter: 'template' });
+        }
+    });
+
+    it('fails before running any fan out transformation if parameters are missing', async () => {
+        return fanOutTransform(acceptanceMarkdown, 'markdown', ['html', 'data'], {}, {})
+            .should.be.rejectedWith('Missing transform parameters: commonmark -> data requires template, ctoFiles, templateKind');
+    });
+
+    it('does not require parameters for transformations which do not need them', async () => {
+        const result = await transform(acceptanceMarkdown, 'markdown', ['commonmark'], {}, {});
+        result.should.deep.equal(acceptanceCommonMark);
+    });
+});
+
+describe('#trace', () => {
+    before(() => {
+        registerFormat('broken', {
+            docs: 'Broken (JSON)',
+            fileFormat: 'json',
+        });
+        registerTransformation('commonmark', 'broken', (input,parameters,options) => {
+            throw new Error('Cannot convert');
+        });
+    });
+
+    after(() => {
+        unregisterFormat('broken');
+    });
+
+    it('returns a trace with one record per step', async () => {
+        const result = await transform(acceptanceMarkdown, 'markdown', ['commonmark'], {}, {trace: true});
+        result.result.should.deep.equal(acceptanceCommonMark);
+        result.trace.length.should.equal(2);
+        result.trace[0].source.should.equal('markdown');
+        result.trace[0].destination.should.equal('markdown_tokens');
+        result.trace[0].converter.should.equal('TemplateMarkTransformer.toTokens');
+        result.trace[1].source.should.equal('markdown_tokens');
+        result.trace[1].destination.should.equal('commonmark');
+        result.trace[1].duration.should.be.at.least(0);
+        result.trace[1].size.should.equal(JSON.stringify(acceptanceCommonMark).length);
+        result.trace[1].result.should.deep.equal(acceptanceCommonMark);
+    });
+
+    it('returns a trace for a binary result', async () => {
+        const result = await transform(acceptanceCiceroMarkParsed, 'ciceromark', ['pdf'], {}, {trace: true});
+        result.trace.length.should.equal(1);
+        result.trace[0].size.should.equal(result.result.length);
+        formatTraceRecord(result.trace[0]).should.contain('<binary pdf data>');
+    });
+
+    it('formats a trace record', async () => {
+        const result = await transform(acceptanceCommonMark, 'commonmark', ['markdown'], {}, {trace: true});
+        formatTraceRecord(result.trace[0]).should.match(/^Converted from commonmark to markdown in [0-9.]+ms \([0-9]+ bytes\). Result:\n/);
+        formatTraceRecord(result.trace[0]).should.endWith(acceptanceMarkdown);
+    });
+
+    it('wraps an error with the step where it happened', async () => {
+        try {
+            await transform(acceptanceMarkdown, 'markdown', ['broken'], {}, {trace: true});
+        } catch (err) {
+            err.message.should.equal('Failed to transform from commonmark to broken (step 3 of 3): Cannot convert');
+            err.source.should.equal('commonmark');
+            err.destination.should.equal('broken');
+            err.input.should.deep.equal(acceptanceCommonMark);
+            err.cause.message.should.equal('Cannot convert');
+            err.trace.length.should.equal(3);
+            formatTraceRecord(err.trace[2]).should.match(/^Failed to convert from commonmark to broken in [0-9.]+ms: Cannot convert$/);
+            return;
+        }
+        throw new Error('Transformation should have failed');
+    });
+
+    it('does not wrap an error without trace', async () => {
+        return transform(acceptanceMarkdown, 'markdown', ['broken'], {}, {})
+            .should.be.rejectedWith(/^Cannot convert$/);
+    });
+});
+
+describe('#registerFormat', () => {
+    afterEach(() => {
+        try {
+            unregisterFormat('contract_json');
+        } catch (err) {
+            // already removed by the test
+        }
+    });
+
+    it('registers a new format with transformations from and to it', async () => {
+        registerFormat('contract_json', {
+            docs: 'Contract JSON (JSON)',
+            fileFormat: 'json',
+            markdown: (input,parameters,options) => {
+                return input.text;
+            },
+        });
+        registerTransformation('markdown', 'contract_json', (input,parameters,options) => {
+            return { text: input };
+        });
+        formatDescriptor('contract_json').fileFormat.should.equal('json');
+        generateTransformationDiagram().should.contain('contract_json --> markdown');
+        generateTransformationDiagram().should.contain('markdown --> contract_json');
+        const result = await transform({ text: 'Hello **World**' }, 'contract_json', ['html'], {}, {});
+        result.should.contain('<strong>World</strong>');
+        const json = await transform(acceptanceCommonMark, 'commonmark', ['contract_json'], {}, {});
+        json.text.should.equal(acceptanceMarkdown);
+    });
+
+    it('unregisters a format and all its transformations', () => {
+        registerFormat('contract_json', {
+            docs: 'Contract JSON (JSON)',
+            fileFormat: 'json',
+        });
+        registerTransformation('markdown', 'contract_json', (input,parameters,options) => {
+            return { text: input };
+        });
+        unregisterFormat('contract_json');
+        (() => formatDescriptor('contract_json')).should.throw('Unknown format contract_json');
+        formatDescriptor('markdown').should.not.have.property('contract_json');
+        generateTransformationDiagram().should.not.contain('contract_json');
+    });
+
+    it('unregisters a transformation', async () => {
+        registerFormat('contract_json', {
+            docs: 'Contract JSON (JSON)',
+            fileFormat: 'json',
+            markdown: (input,parameters,options) => {
+                return input.text;
+            },
+        });
+        planTransform('contract_json', ['markdown']).steps[0].converter.should.equal('custom');
+        unregisterTransformation('contract_json', 'markdown');
+        formatDescriptor('contract_json').should.not.have.property('markdown');
+        (() => unregisterTransformation('contract_json', 'markdown')).should.throw('No transformation from contract_json to markdown');
+    });
+
+    it('fails to register an existing format', () => {
+        (() => registerFormat('markdown', { docs: 'Markdown (string)', fileFormat: 'utf8' })).should.throw('Format markdown is already registered');
+    });
+
+    it('fails to register a format without docs', () => {
+        (() => registerFormat('contract_json', { fileFormat: 'json' })).should.throw('Format contract_json is missing docs');
+    });
+
+    it('fails to register a format with an unknown file format', () => {
+        (() => registerFormat('contract_json', { docs: 'Contract JSON', fileFormat: 'xml' })).should.throw('Format contract_json has unknown file format xml');
+    });
+
+    it('fails to register a format with reserved name', () => {
+        (() => registerFormat('docs', { docs: 'Docs', fileFormat: 'utf8' })).should.throw('Invalid format name docs');
+    });
+
+    it('fails to register a format with a transformation to an unknown format', () => {
+        (() => registerFormat('contract_json', {
+            docs: 'Contract JSON (JSON)',
+            fileFormat: 'json',
+            foobar: (input,parameters,options) => {
+                return input;
+            },
+        })).should.throw('Unknown format foobar');
+        (() => formatDescriptor('contract_json')).should.throw('Unknown format contract_json');
+    });
+
+    it('fails to register a transformation which is not a function', () => {
+        (() => registerTransformation('markdown', 'html', 'foo')).should.throw('Transformation from markdown to html must be a function');
+    });
+
+    it('fails to register a transformation with invalid parameters', () => {
+        (() => registerTransformation('markdown', 'html', { parameters: 'template', transform: (input) => input })).should.throw('Transformation from markdown to html has invalid parameters');
+    });
+
+    it('fails to register a transformation with an invalid cost', () => {
+        (() => registerTransformation('markdown', 'html', { cost: -1, transform: (input) => input })).should.throw('Transformation from markdown to html has invalid cost -1');
+    });
+
+    it('fails to register a transformation which loses an unknown kind of information', () => {
+        (() => registerTransformation('markdown', 'html', { loses: ['colors'], transform: (input) => input })).should.throw('Transformation from markdown to html loses unknown kind of information colors');
+    });
+});
+
+describe('#lossiness', () => {
+    before(() => {
+        registerFormat('outline', {
+            docs: 'Outline (string)',
+            fileFormat: 'utf8',
+        });
+        registerTransformation('commonmark', 'outline', {
+            loses: ['formatting'],
+            transform: (input,parameters,options) => 'lossy',
+        });
+        registerTransformation('markdown', 'outline', {
+            cost: 2,
+            transform: (input,parameters,options) => 'lossless',
+        });
+    });
+
+    after(() => {
+        unregisterFormat('outline');
+    });
+
+    it('prefers a longer path which does not lose information', async () => {
+        const result = await transform(acceptanceCommonMark, 'commonmark', ['outline'], {}, {});
+        result.should.equal('lossless');
+    });
+
+    it('uses a lossy path when no other path exists', async () => {
+        unregisterTransformation('markdown', 'outline');
+        const result = await transform(acceptanceCommonMark, 'commonmark', ['outline'], {}, {});
+        result.should.equal('lossy');
+        registerTransformation('markdown', 'outline', {
+            cost: 2,
+            transform: (input,parameters,options) => 'lossless',
+        });
+    });
+
+    it('refuses a lossy path in strict mode', async () => {
+        return transform(acceptanceCiceroMarkParsed, 'ciceromark', ['plaintext'], {}, { strict: true })
+            .should.be.rejectedWith('No transformation from ciceromark to plaintext which keeps formatting, variables, types');
+    });
+
+    it('accepts a path which keeps the requested information in strict mode', async () => {
+        const result = await transform(acceptanceCiceroMarkParsed, 'ciceromark', ['plaintext'], {}, { strict: true, keep: ['types'] });
+        result.should.startWith('Heading');
+    });
+
+    it('accepts a lossless path in strict mode', async () => {
+        const result = await transform(acceptanceCiceroMarkParsed, 'ciceromark', ['slate'], {}, { strict: true });
+        result.should.deep.equal(acceptanceSlate);
+    });
+
+    it('fails with an unknown kind of information to keep', async () => {
+        return transform(acceptanceCiceroMarkParsed, 'ciceromark', ['slate'], {}, { strict: true, keep: ['colors'] })
+            .should.be.rejectedWith('Unknown kind of information colors');
+    });
+
+    it('fails with an unknown destination format', async () => {
+        return transform(acceptanceCiceroMarkParsed, 'ciceromark', ['foobar'], {}, {})
+            .should.be.rejectedWith('Unknown format foobar');
+    });
+});
@@ -54,8 +54,29 @@ function mapName(requestUrl) {
     return '@' + name;
 }
 
+/**
+ * Whether a model is read from a file in this repository rather than downloaded
+ *
+ * @param {string} from - the URL or the local path of the CTO file
+ * @return {boolean} true if the model is a local file
+ */
+function isLocal(from) {
+    return !url.parse(from).protocol;
+}
+
+/**
+ * Read the content of a model, either vendored or downloaded
+ *
+ * @param {string} from - the URL or the local path of the CTO file
+ * @return {string} the content of the model
+ */
+function readModel(from) {
+    const file = isLocal(from) ? from : path.join(targetDir,mapName(from));
+    return fs.readFileSync(path.join(scriptDir,file), 'utf8');
+}
+
 async function fetchExternalModels() {
-    const downloadCtos = modelsJson.models.map(m => m.from);
+    const downloadCtos = modelsJson.models.map(m => m.from).filter(from => !isLocal(from));
     const result = await get(downloadCtos, targetDir);
     console.log(result);
 }
@@ -66,7 +87,7 @@ function buildExternalModels() {
     const source = fs.readFileSync(buildModelsTemplate,'utf8');
     const template = handlebars.compile(source);
 
-    const contextArray = modelsJson.models.map(m => { return { ...m, model: fs.readFileSync(path.join(scriptDir,targetDir,mapName(m.from)), 'utf8') } });
+    const contextArray = modelsJson.models.map(m => { return { ...m, model: readModel(m.from) } });
     //console.log('contextArray --- ' + JSON.stringify(contextArray));
 
     contextArray.forEach(function(context) {